@@ -0,0 +1,205 @@
+/**
+ * LyncFormula Custom Functions
+ * =LYNC.EXPLAIN(cell), =LYNC.CHECK(range) and =LYNC.ASK(question, [range]).
+ * They run in the task pane's shared runtime, so they read formulas through
+ * Excel.run and reach the service with the task pane's settings. Answers are
+ * cached by their inputs and service calls are queued one at a time, so a
+ * recalculation does not flood the local LLM.
+ */
+
+const FUNCTION_CACHE_TTL = 30 * 60 * 1000;
+const FUNCTION_CACHE_SIZE = 500;
+const FUNCTION_REQUEST_INTERVAL = 500;
+const FUNCTION_REQUEST_TIMEOUT = 60000;
+const MAX_FUNCTION_CELLS = 2000;
+const MAX_CELL_TEXT = 32767;
+const SERVICE_UNREACHABLE = 'The LyncFormula service is not running';
+
+const functionCache = new Map();
+const functionRequests = new Map();
+let functionQueue = Promise.resolve();
+let lastFunctionRequest = 0;
+
+/**
+ * =LYNC.EXPLAIN(A1): plain-English description of the cell's formula
+ */
+async function explainFunction(cell, invocation) {
+    const address = invocation.parameterAddresses[0];
+    const target = await loadFunctionRange(address, false);
+    const formula = target.formulas[0][0];
+    
+    if (typeof formula !== 'string' || !formula.startsWith('=')) {
+        return `${target.local} holds a value, not a formula`;
+    }
+    
+    return cachedFunctionCall(`EXPLAIN|${formula}`, async () => {
+        const result = await callFunctionService('/explain_sheet', {
+            worksheet: target.sheet,
+            formulas: { [target.local]: formula },
+            context: { worksheetName: target.sheet, formulas: { [target.local]: formula }, formulaCount: 1 }
+        });
+        const explanation = (result.explanations || [])[0];
+        if (!explanation || !explanation.explanation) {
+            throw new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, 'No explanation returned');
+        }
+        return toCellText(explanation.explanation);
+    });
+}
+
+/**
+ * =LYNC.CHECK(A1:D20): number of issues in the range's formulas. Falls back
+ * to the built-in audit rules when the service cannot be reached.
+ */
+async function checkFunction(range, invocation) {
+    const target = await loadFunctionRange(invocation.parameterAddresses[0], true);
+    const formulas = {};
+    
+    target.formulas.forEach((row, r) => {
+        row.forEach((formula, c) => {
+            if (typeof formula === 'string' && formula.startsWith('=')) {
+                formulas[cellAddress(target.rowIndex + r, target.columnIndex + c)] = formula;
+            }
+        });
+    });
+    
+    if (Object.keys(formulas).length === 0) {
+        return 0;
+    }
+    
+    const key = `CHECK|${target.sheet}|${hashText(JSON.stringify(formulas))}`;
+    try {
+        return await cachedFunctionCall(key, async () => {
+            const result = await callFunctionService('/audit_formulas', {
+                query: 'Audit these formulas for errors and issues',
+                context: { worksheetName: target.sheet, formulas: formulas, formulaCount: Object.keys(formulas).length }
+            });
+            return result.audit_summary && typeof result.audit_summary.total_issues === 'number' ?
+                result.audit_summary.total_issues : (result.issues || []).length;
+        });
+    } catch (error) {
+        if (error.message !== SERVICE_UNREACHABLE) throw error;
+        return auditSheetData(target).issues.length;
+    }
+}
+
+/**
+ * =LYNC.ASK("question", [A1:D20]): the service's answer, given the range's values
+ */
+async function askFunction(question, range, invocation) {
+    const address = invocation.parameterAddresses && invocation.parameterAddresses[1];
+    let context = {};
+    
+    if (range !== null && range !== undefined && address) {
+        const target = await loadFunctionRange(address, false);
+        context = { worksheetName: target.sheet, range: address, values: target.values };
+    }
+    
+    const key = `ASK|${question}|${hashText(JSON.stringify(context))}`;
+    return cachedFunctionCall(key, async () => {
+        const result = await callFunctionService('/natural_language', { query: question, context: context });
+        const answer = result.answer || result.response || result.summary || result.message;
+        if (!answer) {
+            throw new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, 'No answer returned');
+        }
+        return toCellText(answer);
+    });
+}
+
+/**
+ * Read a range by its sheet-qualified address. Ranges larger than
+ * MAX_FUNCTION_CELLS are rejected rather than sent to the service.
+ */
+async function loadFunctionRange(address, includeR1C1) {
+    return Excel.run(async (context) => {
+        const range = getRangeForAddress(context, address);
+        range.load('cellCount');
+        await context.sync();
+        
+        if (range.cellCount > MAX_FUNCTION_CELLS) {
+            throw new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue,
+                `Ranges are limited to ${MAX_FUNCTION_CELLS} cells`);
+        }
+        
+        range.load(`address, formulas, values, rowIndex, columnIndex${includeR1C1 ? ', formulasR1C1' : ''}`);
+        range.worksheet.load('name');
+        await context.sync();
+        
+        return {
+            sheet: range.worksheet.name,
+            local: splitSheetAddress(range.address).local,
+            rowIndex: range.rowIndex,
+            columnIndex: range.columnIndex,
+            formulas: range.formulas,
+            formulasR1C1: range.formulasR1C1,
+            values: range.values
+        };
+    });
+}
+
+/**
+ * Return a cached answer, join a request already in flight, or queue a new one
+ */
+function cachedFunctionCall(key, compute) {
+    const cached = functionCache.get(key);
+    if (cached && Date.now() - cached.at < FUNCTION_CACHE_TTL) {
+        return Promise.resolve(cached.value);
+    }
+    if (functionRequests.has(key)) {
+        return functionRequests.get(key);
+    }
+    
+    const request = functionQueue.then(async () => {
+        const wait = lastFunctionRequest + FUNCTION_REQUEST_INTERVAL - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        lastFunctionRequest = Date.now();
+        return compute();
+    });
+    
+    // The queue carries on after a failed request
+    functionQueue = request.catch(() => {});
+    functionRequests.set(key, request);
+    
+    return request.then(value => {
+        functionCache.delete(key);
+        functionCache.set(key, { value, at: Date.now() });
+        if (functionCache.size > FUNCTION_CACHE_SIZE) {
+            functionCache.delete(functionCache.keys().next().value);
+        }
+        return value;
+    }).finally(() => {
+        functionRequests.delete(key);
+    });
+}
+
+/**
+ * POST to the service with a timeout; every failure becomes a #N/A error
+ * carrying the reason
+ */
+async function callFunctionService(endpoint, requestData) {
+    try {
+        const result = await postToService(endpoint, requestData, { timeout: FUNCTION_REQUEST_TIMEOUT });
+        if (!result || result.success === false) {
+            throw new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable,
+                (result && result.error) || 'The service could not answer');
+        }
+        return result;
+    } catch (error) {
+        if (error instanceof CustomFunctions.Error) throw error;
+        const message = error instanceof ServiceError && error.code === 'unreachable' ? SERVICE_UNREACHABLE : error.message;
+        throw new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, message);
+    }
+}
+
+function toCellText(text) {
+    const value = String(text).trim();
+    return value.length > MAX_CELL_TEXT ? `${value.slice(0, MAX_CELL_TEXT - 1)}…` : value;
+}
+
+// CustomFunctions only exists when the page is loaded as the shared runtime
+if (typeof CustomFunctions !== 'undefined') {
+    CustomFunctions.associate('EXPLAIN', explainFunction);
+    CustomFunctions.associate('CHECK', checkFunction);
+    CustomFunctions.associate('ASK', askFunction);
+}
@@ -0,0 +1,209 @@
+/**
+ * LyncFormula Shared Excel Context Builder
+ * Collects formulas, values, headers, names, tables and the selection of the
+ * active worksheet for the AI service. Used by the task pane and the ribbon commands.
+ */
+
+// Size limits keep request payloads and Excel API responses manageable
+const CONTEXT_LIMITS = {
+    maxFormulas: 2000,
+    maxSampleRows: 20,
+    maxSelectionCells: 500,
+    maxTables: 50,
+    chunkCells: 50000
+};
+
+/**
+ * Build the context for the active worksheet inside an existing Excel.run.
+ * Options override CONTEXT_LIMITS and can turn off includeSelection,
+ * includeNames or includeTables.
+ */
+async function buildExcelContext(context, options = {}) {
+    const limits = { ...CONTEXT_LIMITS, ...options };
+    
+    const worksheet = context.workbook.worksheets.getActiveWorksheet();
+    worksheet.load('name');
+    
+    const usedRange = worksheet.getUsedRangeOrNullObject();
+    usedRange.load('address, rowCount, columnCount, rowIndex, columnIndex');
+    
+    await context.sync();
+    
+    const contextInfo = {
+        worksheetName: worksheet.name,
+        usedRange: null,
+        rowCount: 0,
+        columnCount: 0,
+        headers: [],
+        formulas: {},
+        formulaCount: 0,
+        sampleValues: [],
+        namedRanges: [],
+        tables: [],
+        hasSelection: false,
+        truncated: false,
+        chunks: 0
+    };
+    
+    if (!usedRange.isNullObject) {
+        contextInfo.usedRange = usedRange.address;
+        contextInfo.rowCount = usedRange.rowCount;
+        contextInfo.columnCount = usedRange.columnCount;
+        
+        await collectSheetContents(context, worksheet, usedRange, contextInfo, limits);
+    }
+    
+    if (options.includeNames !== false) {
+        contextInfo.namedRanges = await collectNamedRanges(context);
+    }
+    
+    if (options.includeTables !== false) {
+        contextInfo.tables = await collectTables(context, limits);
+    }
+    
+    if (options.includeSelection !== false) {
+        await collectSelection(context, contextInfo, limits);
+    }
+    
+    return contextInfo;
+}
+
+/**
+ * Read the used range in row chunks, collecting formulas, headers and sample
+ * values. Reading stops after the chunk that goes over maxFormulas, so a
+ * truncated context's formulaCount is a lower bound.
+ */
+async function collectSheetContents(context, worksheet, usedRange, contextInfo, limits) {
+    await readRangeInChunks(context, worksheet, usedRange, 'formulas, values', limits.chunkCells, (chunk, startRow, rowCount) => {
+        contextInfo.chunks++;
+        
+        for (let row = 0; row < rowCount; row++) {
+            const absoluteRow = startRow + row;
+            
+            if (absoluteRow === 0) {
+                contextInfo.headers = chunk.values[0].map((value, col) => ({
+                    column: columnIndexToLetter(usedRange.columnIndex + col),
+                    name: value === null || value === undefined ? '' : value.toString()
+                })).filter(header => header.name !== '');
+            } else if (contextInfo.sampleValues.length < limits.maxSampleRows) {
+                contextInfo.sampleValues.push(chunk.values[row]);
+            }
+            
+            for (let col = 0; col < usedRange.columnCount; col++) {
+                const formula = chunk.formulas[row][col];
+                if (!formula || !formula.toString().startsWith('=')) {
+                    continue;
+                }
+                
+                contextInfo.formulaCount++;
+                if (Object.keys(contextInfo.formulas).length < limits.maxFormulas) {
+                    const address = cellAddress(usedRange.rowIndex + absoluteRow, usedRange.columnIndex + col);
+                    contextInfo.formulas[address] = formula.toString();
+                } else {
+                    contextInfo.truncated = true;
+                }
+            }
+        }
+        
+        return !contextInfo.truncated;
+    });
+}
+
+/**
+ * Read a block of a worksheet ({ rowIndex, columnIndex, rowCount,
+ * columnCount }) in row chunks of at most chunkCells cells, one sync per
+ * chunk. onChunk(chunk, startRow, rowCount) gets each chunk with properties
+ * loaded, startRow counted from the top of the block; returning false stops.
+ */
+async function readRangeInChunks(context, worksheet, block, properties, chunkCells, onChunk) {
+    const chunkRows = Math.max(1, Math.floor(chunkCells / Math.max(1, block.columnCount)));
+    
+    for (let startRow = 0; startRow < block.rowCount; startRow += chunkRows) {
+        const rowCount = Math.min(chunkRows, block.rowCount - startRow);
+        const chunk = worksheet.getRangeByIndexes(block.rowIndex + startRow, block.columnIndex, rowCount, block.columnCount);
+        chunk.load(properties);
+        
+        await context.sync();
+        if (onChunk(chunk, startRow, rowCount) === false) return;
+    }
+}
+
+/**
+ * Collect workbook-scoped named ranges
+ */
+async function collectNamedRanges(context) {
+    const names = context.workbook.names;
+    names.load('items/name, items/formula, items/type, items/visible');
+    
+    await context.sync();
+    
+    return names.items
+        .filter(item => item.visible)
+        .map(item => ({
+            name: item.name,
+            formula: item.formula,
+            type: item.type
+        }));
+}
+
+/**
+ * Collect tables with their location and header names
+ */
+async function collectTables(context, limits) {
+    const tables = context.workbook.tables;
+    tables.load('items/name');
+    
+    await context.sync();
+    
+    const loaded = tables.items.slice(0, limits.maxTables).map(table => {
+        const worksheet = table.worksheet;
+        worksheet.load('name');
+        
+        const range = table.getRange();
+        range.load('address, rowCount');
+        
+        const headerRow = table.getHeaderRowRange();
+        headerRow.load('values');
+        
+        return { table, worksheet, range, headerRow };
+    });
+    
+    await context.sync();
+    
+    return loaded.map(({ table, worksheet, range, headerRow }) => ({
+        name: table.name,
+        worksheet: worksheet.name,
+        address: range.address,
+        headers: headerRow.values[0].map(value => value.toString()),
+        rowCount: range.rowCount - 1
+    }));
+}
+
+/**
+ * Collect the current selection's address and, when small enough, its contents
+ */
+async function collectSelection(context, contextInfo, limits) {
+    try {
+        const selectedRange = context.workbook.getSelectedRange();
+        selectedRange.load('address, cellCount');
+        await context.sync();
+        
+        contextInfo.hasSelection = true;
+        contextInfo.selectedRange = selectedRange.address;
+        contextInfo.selection = {
+            address: selectedRange.address,
+            cellCount: selectedRange.cellCount,
+            truncated: selectedRange.cellCount > limits.maxSelectionCells
+        };
+        
+        if (!contextInfo.selection.truncated) {
+            selectedRange.load('formulas, values');
+            await context.sync();
+            
+            contextInfo.selection.formulas = selectedRange.formulas;
+            contextInfo.selection.values = selectedRange.values;
+        }
+    } catch (e) {
+        // No selection (e.g. a chart is selected), which is fine
+    }
+}
@@ -0,0 +1,814 @@
+/**
+ * LyncFormula Formula Parser
+ * Tokenizes Excel formulas and parses them into an AST with function calls,
+ * A1/R1C1 references, structured table references, array constants and operators.
+ * Shared by the audit, explain and dependency features so they work without the service.
+ */
+
+const FORMULA_ERRORS = [
+    '#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A',
+    '#GETTING_DATA', '#SPILL!', '#CALC!', '#FIELD!', '#BLOCKED!',
+    '#UNKNOWN!', '#CONNECT!', '#BUSY!'
+];
+
+// Binary operator precedence, lowest first. Reference operators bind tightest.
+const BINARY_PRECEDENCE = {
+    '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1,
+    '&': 2,
+    '+': 3, '-': 3,
+    '*': 4, '/': 4,
+    '^': 5,
+    ' ': 8,
+    ':': 9
+};
+
+const A1_CELL = '\\$?[A-Za-z]{1,3}\\$?\\d+';
+const R1C1_PART = '(?:\\[-?\\d+\\]|\\d+)';
+
+// In A1 formulas R1C1 and RC are names (and RC:RC a column range), not references
+const REFERENCE_PATTERNS = {
+    A1: [
+        { kind: 'range', pattern: new RegExp(`${A1_CELL}:${A1_CELL}`, 'y') },
+        { kind: 'cell', pattern: new RegExp(A1_CELL, 'y') },
+        { kind: 'column', pattern: /\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}/y },
+        { kind: 'row', pattern: /\$?\d+:\$?\d+/y }
+    ],
+    R1C1: [
+        { kind: 'r1c1', pattern: new RegExp(`R${R1C1_PART}?C${R1C1_PART}?(?::R${R1C1_PART}?C${R1C1_PART}?)?`, 'iy') },
+        { kind: 'r1c1', pattern: new RegExp(`R${R1C1_PART}(?::R${R1C1_PART})?`, 'iy') },
+        { kind: 'r1c1', pattern: new RegExp(`C${R1C1_PART}(?::C${R1C1_PART})?`, 'iy') },
+        { kind: 'r1c1', pattern: /R(?::R)?|C(?::C)?/iy }
+    ]
+};
+
+/**
+ * Create a parse error that carries the offending position
+ */
+function formulaError(message, position) {
+    const error = new Error(`${message} at position ${position}`);
+    error.name = 'FormulaParseError';
+    error.position = position;
+    return error;
+}
+
+/**
+ * Split a formula into tokens. Offsets refer to the original string,
+ * including any leading "=". Options: { referenceStyle: 'A1' | 'R1C1' }.
+ */
+function tokenizeFormula(formula, options = {}) {
+    const text = String(formula);
+    const style = options.referenceStyle === 'R1C1' ? 'R1C1' : 'A1';
+    const tokens = [];
+    let i = text.startsWith('=') ? 1 : 0;
+    
+    const push = (type, start, end, extra = {}) => {
+        tokens.push({ type, value: text.substring(start, end), start, end, ...extra });
+    };
+    
+    const isWordChar = (ch) => ch !== undefined && /[\w.\\?]/.test(ch);
+    
+    // Try to read a reference body (A1, A1:B2, A:A, 1:1, R1C1) at a position
+    const matchReferenceBody = (position) => {
+        for (const { kind, pattern } of REFERENCE_PATTERNS[style]) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match) continue;
+            
+            const end = position + match[0].length;
+            if (isWordChar(text[end]) || text[end] === '(' || text[end] === '[' || text[end] === '!') continue;
+            
+            return { kind, address: match[0], end };
+        }
+        return null;
+    };
+    
+    // Read a complete reference token, optionally following a sheet/workbook prefix
+    const readQualified = (start, bodyStart, prefix) => {
+        const body = matchReferenceBody(bodyStart);
+        if (body) {
+            let end = body.end;
+            const spill = text[end] === '#' && !FORMULA_ERRORS.some(err => text.startsWith(err, end));
+            if (spill) end++;
+            
+            push('reference', start, end, {
+                ...prefix,
+                kind: body.kind,
+                address: body.address,
+                style: body.kind === 'r1c1' ? 'R1C1' : 'A1',
+                spill: spill
+            });
+            return end;
+        }
+        
+        const refError = text.substr(bodyStart, 5).toUpperCase() === '#REF!';
+        if (refError) {
+            push('reference', start, bodyStart + 5, { ...prefix, kind: 'error', address: '#REF!', style: style, spill: false });
+            return bodyStart + 5;
+        }
+        
+        // Sheet-scoped name such as Sheet1!Rates
+        const nameMatch = /[A-Za-z_\\][\w.\\?]*/y;
+        nameMatch.lastIndex = bodyStart;
+        const name = nameMatch.exec(text);
+        if (name && prefix.sheet) {
+            push('name', start, bodyStart + name[0].length, { ...prefix, name: name[0] });
+            return bodyStart + name[0].length;
+        }
+        
+        throw formulaError('Invalid reference', bodyStart);
+    };
+    
+    // Read balanced [...] used by structured references
+    const readBrackets = (position) => {
+        let depth = 0;
+        for (let j = position; j < text.length; j++) {
+            const ch = text[j];
+            if (ch === "'") {
+                j++;
+                continue;
+            }
+            if (ch === '[') depth++;
+            if (ch === ']') {
+                depth--;
+                if (depth === 0) return j + 1;
+            }
+        }
+        throw formulaError('Unclosed [', position);
+    };
+    
+    while (i < text.length) {
+        const ch = text[i];
+        const start = i;
+        
+        if (/\s/.test(ch)) {
+            while (i < text.length && /\s/.test(text[i])) i++;
+            push('whitespace', start, i);
+            continue;
+        }
+        
+        if (ch === '"') {
+            i++;
+            while (i < text.length) {
+                if (text[i] === '"') {
+                    if (text[i + 1] === '"') {
+                        i += 2;
+                        continue;
+                    }
+                    break;
+                }
+                i++;
+            }
+            if (i >= text.length) throw formulaError('Unclosed string', start);
+            i++;
+            push('string', start, i, { literal: text.substring(start + 1, i - 1).replace(/""/g, '"') });
+            continue;
+        }
+        
+        if (ch === '#') {
+            const error = FORMULA_ERRORS.find(err => text.substr(i, err.length).toUpperCase() === err);
+            if (!error) throw formulaError('Unknown error literal', i);
+            i += error.length;
+            push('error', start, i, { literal: error });
+            continue;
+        }
+        
+        if (ch === "'") {
+            i++;
+            while (i < text.length) {
+                if (text[i] === "'") {
+                    if (text[i + 1] === "'") {
+                        i += 2;
+                        continue;
+                    }
+                    break;
+                }
+                i++;
+            }
+            if (text[i + 1] !== '!') throw formulaError('Expected ! after quoted sheet name', i + 1);
+            const quoted = text.substring(start + 1, i).replace(/''/g, "'");
+            const external = quoted.match(/^(?:.*[\\/])?\[([^\]]+)\](.*)$/);
+            const sheets = (external ? external[2] : quoted).split(':');
+            i = readQualified(start, i + 2, {
+                workbook: external ? external[1] : null,
+                sheet: sheets[0],
+                sheetEnd: sheets[1] || null
+            });
+            continue;
+        }
+        
+        if (ch === '[') {
+            const end = readBrackets(i);
+            const sheetMatch = /([A-Za-z_][\w.]*)!/y;
+            sheetMatch.lastIndex = end;
+            const sheet = sheetMatch.exec(text);
+            if (sheet) {
+                i = readQualified(start, end + sheet[0].length, {
+                    workbook: text.substring(start + 1, end - 1),
+                    sheet: sheet[1],
+                    sheetEnd: null
+                });
+            } else {
+                push('structured', start, end, { table: null, spec: text.substring(start + 1, end - 1) });
+                i = end;
+            }
+            continue;
+        }
+        
+        if (ch === '{' || ch === '}') {
+            push('brace', start, ++i);
+            continue;
+        }
+        
+        if (ch === '(' || ch === ')') {
+            push('paren', start, ++i);
+            continue;
+        }
+        
+        if (ch === ',' || ch === ';') {
+            push(ch === ',' ? 'comma' : 'semicolon', start, ++i);
+            continue;
+        }
+        
+        const twoChar = text.substr(i, 2);
+        if (twoChar === '<=' || twoChar === '>=' || twoChar === '<>') {
+            i += 2;
+            push('operator', start, i);
+            continue;
+        }
+        
+        if ('+-*/^&=<>%@:'.includes(ch)) {
+            push('operator', start, ++i);
+            continue;
+        }
+        
+        // Row ranges (1:3) look like numbers, so try references before numbers
+        if ((ch === '$' || /[A-Za-z\d]/.test(ch)) && matchReferenceBody(i)) {
+            i = readQualified(start, start, { workbook: null, sheet: null, sheetEnd: null });
+            continue;
+        }
+        
+        if (/[\d.]/.test(ch)) {
+            const numberMatch = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+            numberMatch.lastIndex = i;
+            const number = numberMatch.exec(text);
+            if (!number) throw formulaError('Invalid number', i);
+            i += number[0].length;
+            push('number', start, i, { literal: parseFloat(number[0]) });
+            continue;
+        }
+        
+        if (/[A-Za-z_\\]/.test(ch)) {
+            const wordMatch = /[A-Za-z_\\][\w.\\?]*/y;
+            wordMatch.lastIndex = i;
+            const word = wordMatch.exec(text)[0];
+            const end = i + word.length;
+            
+            // Sheet1!A1 or Sheet1:Sheet3!A1
+            if (text[end] === '!') {
+                i = readQualified(start, end + 1, { workbook: null, sheet: word, sheetEnd: null });
+                continue;
+            }
+            const threeD = /:([A-Za-z_][\w.]*)!/y;
+            threeD.lastIndex = end;
+            const lastSheet = threeD.exec(text);
+            if (lastSheet) {
+                i = readQualified(start, end + lastSheet[0].length, { workbook: null, sheet: word, sheetEnd: lastSheet[1] });
+                continue;
+            }
+            
+            if (text[end] === '(') {
+                push('function', start, end, { name: word });
+                i = end;
+                continue;
+            }
+            
+            if (text[end] === '[') {
+                const bracketEnd = readBrackets(end);
+                push('structured', start, bracketEnd, { table: word, spec: text.substring(end + 1, bracketEnd - 1) });
+                i = bracketEnd;
+                continue;
+            }
+            
+            if (/^(TRUE|FALSE)$/i.test(word)) {
+                push('boolean', start, end, { literal: word.toUpperCase() === 'TRUE' });
+                i = end;
+                continue;
+            }
+            
+            push('name', start, end, { name: word, workbook: null, sheet: null });
+            i = end;
+            continue;
+        }
+        
+        throw formulaError(`Unexpected character "${ch}"`, i);
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parse a structured reference specifier such as "[#Headers],[Qty]:[Price]" or "@Qty"
+ */
+function parseStructuredSpec(spec) {
+    const items = [];
+    const trimmed = spec.trim();
+    if (trimmed === '') return items;
+    
+    // Simple forms: Table1[Column], Table1[#All], [@Column]
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('@[')) {
+        if (trimmed.startsWith('@')) {
+            items.push({ type: 'specifier', value: '#This Row' });
+            if (trimmed.length > 1) items.push({ type: 'column', value: unescapeStructuredName(trimmed.substring(1)) });
+        } else if (trimmed.startsWith('#')) {
+            items.push({ type: 'specifier', value: trimmed });
+        } else {
+            items.push({ type: 'column', value: unescapeStructuredName(trimmed) });
+        }
+        return items;
+    }
+    
+    let rest = trimmed;
+    if (rest.startsWith('@')) {
+        items.push({ type: 'specifier', value: '#This Row' });
+        rest = rest.substring(1);
+    }
+    
+    const partPattern = /\s*\[((?:[^\]']|'.)*)\](?:\s*:\s*\[((?:[^\]']|'.)*)\])?\s*,?/y;
+    let match;
+    while (partPattern.lastIndex < rest.length && (match = partPattern.exec(rest)) !== null) {
+        const first = match[1].trim();
+        if (first.startsWith('#')) {
+            items.push({ type: 'specifier', value: first });
+        } else if (match[2] !== undefined) {
+            items.push({ type: 'columnRange', value: unescapeStructuredName(first), end: unescapeStructuredName(match[2].trim()) });
+        } else {
+            items.push({ type: 'column', value: unescapeStructuredName(first) });
+        }
+    }
+    
+    return items;
+}
+
+function unescapeStructuredName(name) {
+    return name.replace(/'(.)/g, '$1');
+}
+
+/**
+ * Parse a formula into an AST. Throws a FormulaParseError on invalid input.
+ */
+function parseFormula(formula, options = {}) {
+    const tokens = prepareTokens(tokenizeFormula(formula, options));
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOperator = (token, ...values) => token && token.type === 'operator' && values.includes(token.value);
+    const endPosition = () => (tokens.length ? tokens[tokens.length - 1].end : String(formula).length);
+    
+    const expect = (type, value) => {
+        const token = next();
+        if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+            throw formulaError(`Expected ${value || type}`, token ? token.start : endPosition());
+        }
+        return token;
+    };
+    
+    const parseBinary = (minPrecedence) => {
+        let left = parseUnary();
+        
+        for (;;) {
+            const token = peek();
+            const precedence = token && token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) break;
+            
+            next();
+            // Reference operators bind tighter than prefix operators
+            const right = precedence >= BINARY_PRECEDENCE[' '] ? parsePostfix(parsePrimary()) : parseBinary(precedence + 1);
+            left = { type: 'Binary', operator: token.value, left, right, start: left.start, end: right.end };
+        }
+        
+        return left;
+    };
+    
+    const parseUnary = () => {
+        const token = peek();
+        if (isOperator(token, '-', '+', '@')) {
+            next();
+            const operand = parseUnary();
+            return { type: 'Unary', operator: token.value, operand, start: token.start, end: operand.end };
+        }
+        return parsePostfix(parseReferenceExpression());
+    };
+    
+    // Range and intersection operators inside an operand, e.g. A1:B2 C1:C9
+    const parseReferenceExpression = () => {
+        let left = parsePrimary();
+        
+        while (isOperator(peek(), ':', ' ')) {
+            const operator = next().value;
+            const right = parsePrimary();
+            left = { type: 'Binary', operator, left, right, start: left.start, end: right.end };
+        }
+        
+        return left;
+    };
+    
+    const parsePostfix = (operand) => {
+        let node = operand;
+        while (isOperator(peek(), '%')) {
+            const token = next();
+            node = { type: 'Postfix', operator: '%', operand: node, start: node.start, end: token.end };
+        }
+        return node;
+    };
+    
+    const parsePrimary = () => {
+        const token = next();
+        if (!token) throw formulaError('Unexpected end of formula', endPosition());
+        
+        switch (token.type) {
+            case 'number':
+                return { type: 'Number', value: token.literal, start: token.start, end: token.end };
+            case 'string':
+                return { type: 'String', value: token.literal, start: token.start, end: token.end };
+            case 'boolean':
+                return { type: 'Boolean', value: token.literal, start: token.start, end: token.end };
+            case 'error':
+                return { type: 'Error', value: token.literal, start: token.start, end: token.end };
+            case 'reference':
+                return {
+                    type: 'Reference',
+                    kind: token.kind,
+                    style: token.style,
+                    workbook: token.workbook,
+                    sheet: token.sheet,
+                    sheetEnd: token.sheetEnd,
+                    address: token.address,
+                    spill: token.spill,
+                    text: token.value,
+                    start: token.start,
+                    end: token.end
+                };
+            case 'structured':
+                return {
+                    type: 'StructuredReference',
+                    table: token.table,
+                    items: parseStructuredSpec(token.spec),
+                    text: token.value,
+                    start: token.start,
+                    end: token.end
+                };
+            case 'name':
+                return { type: 'Name', name: token.name, sheet: token.sheet, workbook: token.workbook, start: token.start, end: token.end };
+            case 'function':
+                return parseCalls(parseFunctionCall(token));
+            case 'paren':
+                if (token.value === '(') return parseGroup(token);
+                break;
+            case 'brace':
+                if (token.value === '{') return parseArray(token);
+                break;
+        }
+        
+        throw formulaError(`Unexpected "${token.value}"`, token.start);
+    };
+    
+    const parseFunctionCall = (token) => {
+        expect('paren', '(');
+        const { args, end } = parseArguments(token.name, token.start);
+        return functionNode(token, args, end);
+    };
+    
+    // Arguments after an opening parenthesis, up to and including the closing one
+    const parseArguments = (name, start) => {
+        const args = [];
+        
+        if (peek() && peek().type === 'paren' && peek().value === ')') {
+            return { args, end: next().end };
+        }
+        
+        for (;;) {
+            const current = peek();
+            if (current && (current.type === 'comma' || (current.type === 'paren' && current.value === ')'))) {
+                args.push({ type: 'Empty', start: current.start, end: current.start });
+            } else {
+                args.push(parseBinary(1));
+            }
+            
+            const separator = next();
+            if (!separator) throw formulaError(`Unclosed ${name}(`, start);
+            if (separator.type === 'paren' && separator.value === ')') {
+                return { args, end: separator.end };
+            }
+            if (separator.type !== 'comma') throw formulaError(`Unexpected "${separator.value}"`, separator.start);
+        }
+    };
+    
+    // A function result called directly, e.g. LAMBDA(x,x*2)(3)
+    const parseCalls = (callee) => {
+        let node = callee;
+        while (peek() && peek().type === 'paren' && peek().value === '(') {
+            next();
+            const { args, end } = parseArguments(formatFormulaAst(node, formula), node.start);
+            node = { type: 'Call', callee: node, args, start: node.start, end };
+        }
+        return node;
+    };
+    
+    const functionNode = (token, args, end) => ({
+        type: 'Function',
+        name: token.name,
+        canonicalName: token.name.toUpperCase().replace(/^(_XL(FN|WS)\.)+/, ''),
+        args,
+        start: token.start,
+        end
+    });
+    
+    // (expr) or a union (A1, B2:B4)
+    const parseGroup = (open) => {
+        const items = [parseBinary(1)];
+        while (peek() && peek().type === 'comma') {
+            next();
+            items.push(parseBinary(1));
+        }
+        const close = expect('paren', ')');
+        
+        if (items.length > 1) {
+            return { type: 'Union', items, start: open.start, end: close.end };
+        }
+        return { type: 'Group', expression: items[0], start: open.start, end: close.end };
+    };
+    
+    const parseArray = (open) => {
+        const rows = [[]];
+        
+        for (;;) {
+            const token = next();
+            if (!token) throw formulaError('Unclosed array constant', open.start);
+            
+            if (isOperator(token, '-') && peek() && peek().type === 'number') {
+                const number = next();
+                rows[rows.length - 1].push({ type: 'Number', value: -number.literal, start: token.start, end: number.end });
+            } else if (['number', 'string', 'boolean', 'error'].includes(token.type)) {
+                index--;
+                rows[rows.length - 1].push(parsePrimary());
+            } else {
+                throw formulaError('Array constants may only contain literals', token.start);
+            }
+            
+            const separator = next();
+            if (!separator) throw formulaError('Unclosed array constant', open.start);
+            if (separator.type === 'brace' && separator.value === '}') {
+                return { type: 'Array', rows, start: open.start, end: separator.end };
+            }
+            if (separator.type === 'semicolon') {
+                rows.push([]);
+            } else if (separator.type !== 'comma') {
+                throw formulaError(`Unexpected "${separator.value}" in array constant`, separator.start);
+            }
+        }
+    };
+    
+    if (tokens.length === 0) {
+        throw formulaError('Empty formula', 0);
+    }
+    
+    const ast = parseBinary(1);
+    if (index < tokens.length) {
+        throw formulaError(`Unexpected "${tokens[index].value}"`, tokens[index].start);
+    }
+    
+    return ast;
+}
+
+/**
+ * Drop insignificant whitespace; whitespace between two operands is the intersection operator
+ */
+function prepareTokens(tokens) {
+    const endsOperand = (token) => token && (
+        ['number', 'string', 'boolean', 'error', 'reference', 'structured', 'name'].includes(token.type) ||
+        (token.type === 'paren' && token.value === ')') ||
+        (token.type === 'brace' && token.value === '}')
+    );
+    const startsOperand = (token) => token && (
+        ['reference', 'structured', 'name', 'function'].includes(token.type) ||
+        (token.type === 'paren' && token.value === '(')
+    );
+    
+    const prepared = [];
+    tokens.forEach((token, i) => {
+        if (token.type !== 'whitespace') {
+            prepared.push(token);
+        } else if (endsOperand(prepared[prepared.length - 1]) && startsOperand(tokens[i + 1])) {
+            prepared.push({ ...token, type: 'operator', value: ' ' });
+        }
+    });
+    return prepared;
+}
+
+/**
+ * Parse without throwing; returns null when the formula cannot be parsed
+ */
+function tryParseFormula(formula, options = {}) {
+    try {
+        return parseFormula(formula, options);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Visit every node depth-first. Returning false from the visitor skips the node's children.
+ */
+function walkFormulaAst(node, visitor, parent = null) {
+    if (!node || visitor(node, parent) === false) return;
+    
+    switch (node.type) {
+        case 'Binary':
+            walkFormulaAst(node.left, visitor, node);
+            walkFormulaAst(node.right, visitor, node);
+            break;
+        case 'Unary':
+        case 'Postfix':
+            walkFormulaAst(node.operand, visitor, node);
+            break;
+        case 'Group':
+            walkFormulaAst(node.expression, visitor, node);
+            break;
+        case 'Union':
+            node.items.forEach(item => walkFormulaAst(item, visitor, node));
+            break;
+        case 'Function':
+            node.args.forEach(arg => walkFormulaAst(arg, visitor, node));
+            break;
+        case 'Call':
+            walkFormulaAst(node.callee, visitor, node);
+            node.args.forEach(arg => walkFormulaAst(arg, visitor, node));
+            break;
+        case 'Array':
+            node.rows.forEach(row => row.forEach(item => walkFormulaAst(item, visitor, node)));
+            break;
+    }
+}
+
+/**
+ * Collect Reference, StructuredReference and Name nodes
+ */
+function collectFormulaReferences(ast) {
+    const references = [];
+    walkFormulaAst(ast, node => {
+        if (node.type === 'Reference' || node.type === 'StructuredReference' || node.type === 'Name') {
+            references.push(node);
+        }
+    });
+    return references;
+}
+
+/**
+ * Collect the canonical (upper-case, unprefixed) names of functions used
+ */
+function collectFormulaFunctions(ast) {
+    const functions = [];
+    walkFormulaAst(ast, node => {
+        if (node.type === 'Function' && !functions.includes(node.canonicalName)) {
+            functions.push(node.canonicalName);
+        }
+    });
+    return functions;
+}
+
+/**
+ * Rebuild the AST bottom-up. fn(node) returns a replacement node or the node
+ * itself. Rebuilt nodes drop their source positions so formatFormulaAst
+ * renders them from their parts instead of copying the original text.
+ */
+function transformFormulaAst(node, fn) {
+    if (!node) return node;
+    
+    const rebuild = (changes) => {
+        const copy = { ...node, ...changes };
+        delete copy.start;
+        delete copy.end;
+        return copy;
+    };
+    const mapAll = (items) => {
+        const mapped = items.map(item => transformFormulaAst(item, fn));
+        return mapped.some((item, i) => item !== items[i]) ? mapped : items;
+    };
+    
+    let current = node;
+    switch (node.type) {
+        case 'Binary': {
+            const left = transformFormulaAst(node.left, fn);
+            const right = transformFormulaAst(node.right, fn);
+            if (left !== node.left || right !== node.right) current = rebuild({ left, right });
+            break;
+        }
+        case 'Unary':
+        case 'Postfix': {
+            const operand = transformFormulaAst(node.operand, fn);
+            if (operand !== node.operand) current = rebuild({ operand });
+            break;
+        }
+        case 'Group': {
+            const expression = transformFormulaAst(node.expression, fn);
+            if (expression !== node.expression) current = rebuild({ expression });
+            break;
+        }
+        case 'Union': {
+            const items = mapAll(node.items);
+            if (items !== node.items) current = rebuild({ items });
+            break;
+        }
+        case 'Function': {
+            const args = mapAll(node.args);
+            if (args !== node.args) current = rebuild({ args });
+            break;
+        }
+        case 'Call': {
+            const callee = transformFormulaAst(node.callee, fn);
+            const args = mapAll(node.args);
+            if (callee !== node.callee || args !== node.args) current = rebuild({ callee, args });
+            break;
+        }
+    }
+    
+    return fn(current);
+}
+
+/**
+ * Turn an AST back into formula text (without the leading "="). Nodes that
+ * still carry source positions are copied verbatim from source when given.
+ */
+function formatFormulaAst(node, source) {
+    if (source !== undefined && node.start !== undefined && node.end !== undefined) {
+        return String(source).substring(node.start, node.end);
+    }
+    
+    const operand = (child, parentPrecedence, isRight) => {
+        const text = formatFormulaAst(child, source);
+        if (child.type !== 'Binary') return text;
+        const precedence = BINARY_PRECEDENCE[child.operator];
+        return precedence < parentPrecedence || (isRight && precedence === parentPrecedence) ? `(${text})` : text;
+    };
+    
+    switch (node.type) {
+        case 'Number':
+            return String(node.value).toUpperCase();
+        case 'String':
+            return `"${String(node.value).replace(/"/g, '""')}"`;
+        case 'Boolean':
+            return node.value ? 'TRUE' : 'FALSE';
+        case 'Error':
+            return node.value;
+        case 'Reference':
+        case 'StructuredReference':
+            return node.text;
+        case 'Name': {
+            const sheet = node.sheet ?
+                (/^[A-Za-z_][\w.]*$/.test(node.sheet) ? node.sheet : `'${node.sheet.replace(/'/g, "''")}'`) + '!' : '';
+            return (node.workbook ? `[${node.workbook}]` : '') + sheet + node.name;
+        }
+        case 'Empty':
+            return '';
+        case 'Function':
+            return `${node.name}(${node.args.map(arg => formatFormulaAst(arg, source)).join(',')})`;
+        case 'Call':
+            return `${formatFormulaAst(node.callee, source)}(${node.args.map(arg => formatFormulaAst(arg, source)).join(',')})`;
+        case 'Binary': {
+            const precedence = BINARY_PRECEDENCE[node.operator];
+            return operand(node.left, precedence, false) + node.operator + operand(node.right, precedence, true);
+        }
+        case 'Unary':
+            return node.operator + operand(node.operand, BINARY_PRECEDENCE[' '], false);
+        case 'Postfix':
+            return operand(node.operand, BINARY_PRECEDENCE[' '], false) + node.operator;
+        case 'Group':
+            return `(${formatFormulaAst(node.expression, source)})`;
+        case 'Union':
+            return `(${node.items.map(item => formatFormulaAst(item, source)).join(',')})`;
+        case 'Array':
+            return `{${node.rows.map(row => row.map(item => formatFormulaAst(item, source)).join(',')).join(';')}}`;
+    }
+    
+    throw new Error(`Cannot format ${node.type} node`);
+}
+
+/**
+ * Format an AST as a complete formula, e.g. "=SUM(A1:A3)"
+ */
+function formatFormula(ast, source) {
+    return '=' + formatFormulaAst(ast, source);
+}
+
+/**
+ * FNV-1a hash of a string, used to key caches and stored decisions by formula text
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
@@ -0,0 +1,221 @@
+/**
+ * Tests for the LyncFormula formula parser. The parser is a plain browser
+ * script, so it is loaded into a VM context instead of being required.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const parser = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'formula-parser.js'), 'utf8'), parser);
+const { parseFormula, tokenizeFormula, formatFormulaAst, collectFormulaFunctions } = parser;
+
+/**
+ * Compact notation for an AST: operators are fully parenthesised, so each
+ * expectation also pins down precedence and associativity
+ */
+function show(node) {
+    switch (node.type) {
+        case 'Number':
+        case 'Boolean':
+            return String(node.value);
+        case 'String':
+            return JSON.stringify(node.value);
+        case 'Error':
+            return node.value;
+        case 'Reference': {
+            const workbook = node.workbook ? `[${node.workbook}]` : '';
+            const sheet = node.sheet ? `${node.sheet}${node.sheetEnd ? ':' + node.sheetEnd : ''}!` : '';
+            return `Ref(${node.kind}:${workbook}${sheet}${node.address}${node.spill ? '#' : ''})`;
+        }
+        case 'StructuredReference':
+            return `SRef(${node.table}|${node.items.map(item => `${item.type}:${item.value}${item.end ? '..' + item.end : ''}`).join(',')})`;
+        case 'Name':
+            return `Name(${node.sheet ? node.sheet + '!' : ''}${node.name})`;
+        case 'Function':
+            return `${node.canonicalName}(${node.args.map(show).join(', ')})`;
+        case 'Call':
+            return `Call(${show(node.callee)})(${node.args.map(show).join(', ')})`;
+        case 'Binary':
+            return `(${show(node.left)} ${node.operator === ' ' ? '∩' : node.operator} ${show(node.right)})`;
+        case 'Unary':
+            return `${node.operator}${show(node.operand)}`;
+        case 'Postfix':
+            return `${show(node.operand)}${node.operator}`;
+        case 'Group':
+            return `[${show(node.expression)}]`;
+        case 'Union':
+            return `U{${node.items.map(show).join(', ')}}`;
+        case 'Array':
+            return `{${node.rows.map(row => row.map(show).join(',')).join(';')}}`;
+        case 'Empty':
+            return '∅';
+    }
+    throw new Error(`Unknown node ${node.type}`);
+}
+
+function corpus(name, cases, options) {
+    test(name, async (t) => {
+        for (const [formula, expected] of cases) {
+            await t.test(formula, () => {
+                const ast = parseFormula(formula, options);
+                assert.strictEqual(show(ast), expected);
+                
+                // Formatting from the AST alone gives a formula that parses the same way
+                const formatted = '=' + formatFormulaAst(ast);
+                assert.strictEqual(show(parseFormula(formatted, options)), expected, formatted);
+            });
+        }
+    });
+}
+
+corpus('A1 references', [
+    ['=A1', 'Ref(cell:A1)'],
+    ['=$A$1+A$2+$B3', '((Ref(cell:$A$1) + Ref(cell:A$2)) + Ref(cell:$B3))'],
+    ['=A1:B2', 'Ref(range:A1:B2)'],
+    ['=SUM(a1:b2)', 'SUM(Ref(range:a1:b2))'],
+    ['=SUM(A:A)', 'SUM(Ref(column:A:A))'],
+    ['=SUM($A:$C)', 'SUM(Ref(column:$A:$C))'],
+    ['=SUM(1:3)', 'SUM(Ref(row:1:3))'],
+    ['=XFD1048576', 'Ref(cell:XFD1048576)'],
+    ['=XA1+AB12', '(Ref(cell:XA1) + Ref(cell:AB12))'],
+    ["='My Sheet'!A1+Sheet2!B$3", '(Ref(cell:My Sheet!A1) + Ref(cell:Sheet2!B$3))'],
+    ["='It''s'!A1", "Ref(cell:It's!A1)"],
+    ['=SUM(Sheet1:Sheet3!A1)', 'SUM(Ref(cell:Sheet1:Sheet3!A1))'],
+    ["='Jan:Mar'!A1", 'Ref(cell:Jan:Mar!A1)'],
+    ['=[Book1.xlsx]Sheet1!A1', 'Ref(cell:[Book1.xlsx]Sheet1!A1)'],
+    ["='C:\\Docs\\[Budget.xlsx]Q1'!B2", 'Ref(cell:[Budget.xlsx]Q1!B2)'],
+    ['=Data!$A:$C', 'Ref(column:Data!$A:$C)'],
+    ['=A1#', 'Ref(cell:A1#)'],
+    ['=SUM(Sheet1!B2#)', 'SUM(Ref(cell:Sheet1!B2#))'],
+    ['=A1:INDEX(B:B,3)', '(Ref(cell:A1) : INDEX(Ref(column:B:B), 3))'],
+    ['=SUM(A1:A10 B5:C5)', 'SUM((Ref(range:A1:A10) ∩ Ref(range:B5:C5)))'],
+    ['=SUM((A1,B2:B4))', 'SUM(U{Ref(cell:A1), Ref(range:B2:B4)})'],
+    ['=@A1:A10', '@Ref(range:A1:A10)']
+]);
+
+corpus('R1C1 references', [
+    ['=R1C1', 'Ref(r1c1:R1C1)'],
+    ['=RC', 'Ref(r1c1:RC)'],
+    ['=R[-1]C+C[1]+R2', '((Ref(r1c1:R[-1]C) + Ref(r1c1:C[1])) + Ref(r1c1:R2))'],
+    ['=SUM(R[-3]C:R[-1]C)', 'SUM(Ref(r1c1:R[-3]C:R[-1]C))'],
+    ['=COUNT(R1C1:R2C2)', 'COUNT(Ref(r1c1:R1C1:R2C2))'],
+    ['=SUM(C)', 'SUM(Ref(r1c1:C))'],
+    ['=SUM(C[-2]:C[-1])', 'SUM(Ref(r1c1:C[-2]:C[-1]))'],
+    ['=Sheet2!R[1]C[1]', 'Ref(r1c1:Sheet2!R[1]C[1])']
+], { referenceStyle: 'R1C1' });
+
+corpus('R1C1-looking text in A1 formulas', [
+    ['=R1C1', 'Name(R1C1)'],
+    ['=RC', 'Name(RC)'],
+    ['=SUM(R1C1,RC)', 'SUM(Name(R1C1), Name(RC))'],
+    ['=RC:RC', 'Ref(column:RC:RC)'],
+    ['=R1', 'Ref(cell:R1)'],
+    ['=C1', 'Ref(cell:C1)']
+]);
+
+corpus('structured references', [
+    ['=Table1[Amount]', 'SRef(Table1|column:Amount)'],
+    ['=Table1[#All]', 'SRef(Table1|specifier:#All)'],
+    ['=Table1[[#Totals],[Amount]]', 'SRef(Table1|specifier:#Totals,column:Amount)'],
+    ['=SUM(Table1[[#Headers],[Qty]:[Price]])', 'SUM(SRef(Table1|specifier:#Headers,columnRange:Qty..Price))'],
+    ['=[@Qty]*[@[Unit Price]]', '(SRef(null|specifier:#This Row,column:Qty) * SRef(null|specifier:#This Row,column:Unit Price))'],
+    ['=Table1[@Qty]', 'SRef(Table1|specifier:#This Row,column:Qty)'],
+    ["=Table1[[Col'[1']]]", 'SRef(Table1|column:Col[1])'],
+    ['=Table1[]', 'SRef(Table1|)']
+]);
+
+corpus('array constants', [
+    ['={1,2;3,4}', '{1,2;3,4}'],
+    ['={1,-2,"x",TRUE,#N/A}', '{1,-2,"x",true,#N/A}'],
+    ['={"a";"b";"c"}', '{"a";"b";"c"}'],
+    ['=SUM({1,2,3}*2)', 'SUM(({1,2,3} * 2))'],
+    ['={1.5,2E3}', '{1.5,2000}']
+]);
+
+corpus('operator precedence', [
+    ['=1+2*3', '(1 + (2 * 3))'],
+    ['=(1+2)*3', '([(1 + 2)] * 3)'],
+    ['=1-2-3', '((1 - 2) - 3)'],
+    ['=2^3^2', '((2 ^ 3) ^ 2)'],
+    ['=-2^2', '(-2 ^ 2)'],
+    ['=-A1%', '-Ref(cell:A1)%'],
+    ['=50%*A1', '(50% * Ref(cell:A1))'],
+    ['=1+2&"x"', '((1 + 2) & "x")'],
+    ['=A1<=B1&"x"', '(Ref(cell:A1) <= (Ref(cell:B1) & "x"))'],
+    ['=A1<>B1', '(Ref(cell:A1) <> Ref(cell:B1))'],
+    ['=A1=B1+1', '(Ref(cell:A1) = (Ref(cell:B1) + 1))'],
+    ['=-A1:B2', '-Ref(range:A1:B2)'],
+    ['= A1 + B1 ', '(Ref(cell:A1) + Ref(cell:B1))'],
+    ['=1.5e3+.5+1.', '((1500 + 0.5) + 1)'],
+    ['="a""b"&C1', '("a\\"b" & Ref(cell:C1))']
+]);
+
+corpus('error values', [
+    ['=#N/A', '#N/A'],
+    ['=IFERROR(1/0,#DIV/0!)', 'IFERROR((1 / 0), #DIV/0!)'],
+    ['=#REF!+Sheet1!#REF!', '(#REF! + Ref(error:Sheet1!#REF!))'],
+    ['=ISERROR(#spill!)', 'ISERROR(#SPILL!)'],
+    ['=A1=#VALUE!', '(Ref(cell:A1) = #VALUE!)']
+]);
+
+corpus('calls and names', [
+    ['=NOW()', 'NOW()'],
+    ['=IF(A1,,2)', 'IF(Ref(cell:A1), ∅, 2)'],
+    ['=IF(A1>0,"yes","no")', 'IF((Ref(cell:A1) > 0), "yes", "no")'],
+    ['=_xlfn.XLOOKUP(A2,B:B,C:C)', 'XLOOKUP(Ref(cell:A2), Ref(column:B:B), Ref(column:C:C))'],
+    ['=_xlfn._xlws.SORT(A1:A5)', 'SORT(Ref(range:A1:A5))'],
+    ['=LOG10(A1)', 'LOG10(Ref(cell:A1))'],
+    ['=LYNC.EXPLAIN(A1)', 'LYNC.EXPLAIN(Ref(cell:A1))'],
+    ['=TaxRate*A1', '(Name(TaxRate) * Ref(cell:A1))'],
+    ['=Sheet1!TaxRate', 'Name(Sheet1!TaxRate)'],
+    ['=TRUE', 'true'],
+    ['=LET(x,1,x+1)', 'LET(Name(x), 1, (Name(x) + 1))'],
+    ['=LAMBDA(x,x*2)(3)', 'Call(LAMBDA(Name(x), (Name(x) * 2)))(3)'],
+    ['=LAMBDA(x,LAMBDA(y,x+y))(1)(2)', 'Call(Call(LAMBDA(Name(x), LAMBDA(Name(y), (Name(x) + Name(y)))))(1))(2)'],
+    ['=LAMBDA(x,x)(3)+1', '(Call(LAMBDA(Name(x), Name(x)))(3) + 1)'],
+    ['=LET(f,LAMBDA(x,x*2),f(3))', 'LET(Name(f), LAMBDA(Name(x), (Name(x) * 2)), F(3))'],
+    ['=MAP(A1:A3,LAMBDA(v,v+1))', 'MAP(Ref(range:A1:A3), LAMBDA(Name(v), (Name(v) + 1)))']
+]);
+
+test('functions used by a LAMBDA call are collected', () => {
+    assert.deepStrictEqual(
+        Array.from(collectFormulaFunctions(parseFormula('=LAMBDA(x,SUM(x))(A1:A3)'))),
+        ['LAMBDA', 'SUM']
+    );
+});
+
+test('invalid formulas are rejected with their position', async (t) => {
+    const cases = [
+        ['=SUM(A1', 'Unclosed SUM( at position 1'],
+        ['=1+', 'Unexpected end of formula at position 3'],
+        ['="abc', 'Unclosed string at position 1'],
+        ['=#FOO', 'Unknown error literal at position 1'],
+        ['=(1,', 'Unexpected end of formula at position 4'],
+        ['={A1}', 'Array constants may only contain literals at position 2'],
+        ['=A1 B1 +', 'Unexpected end of formula at position 8'],
+        ['=)', 'Unexpected ")" at position 1'],
+        ['=LAMBDA(x,x)(3', 'Unclosed LAMBDA(x,x)( at position 1'],
+        ['', 'Empty formula at position 0']
+    ];
+    for (const [formula, message] of cases) {
+        await t.test(formula || '(empty)', () => {
+            assert.throws(() => parseFormula(formula), error => {
+                assert.strictEqual(error.name, 'FormulaParseError');
+                assert.strictEqual(error.message, message);
+                return true;
+            });
+        });
+    }
+});
+
+test('token offsets cover the original formula text', () => {
+    const formula = "=SUM('My Sheet'!A1:B2, Table1[Qty]) & \"x\"";
+    const tokens = tokenizeFormula(formula);
+    assert.strictEqual(tokens.map(token => token.value).join(''), formula.substring(1));
+    tokens.forEach(token => assert.strictEqual(formula.substring(token.start, token.end), token.value));
+});
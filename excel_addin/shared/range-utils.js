@@ -0,0 +1,148 @@
+/**
+ * LyncFormula Range Utilities
+ * Column letters, A1 addresses and sheet-qualified references, shared by the
+ * task pane, the custom functions and the ribbon commands.
+ */
+
+const MAX_EXCEL_ROWS = 1048576;
+const MAX_EXCEL_COLUMNS = 16384;
+
+/**
+ * Convert a zero-based column index to its letter (0=A, 26=AA)
+ */
+function columnIndexToLetter(index) {
+    let result = '';
+    let colNum = index + 1;
+    while (colNum > 0) {
+        colNum--;
+        result = String.fromCharCode(65 + (colNum % 26)) + result;
+        colNum = Math.floor(colNum / 26);
+    }
+    return result;
+}
+
+/**
+ * Convert column letters to a zero-based index (A=0, AA=26)
+ */
+function columnLetterToIndex(letters) {
+    let result = 0;
+    const upper = letters.toUpperCase();
+    for (let i = 0; i < upper.length; i++) {
+        result = result * 26 + (upper.charCodeAt(i) - 64);
+    }
+    return result - 1;
+}
+
+/**
+ * A1 address of a cell from zero-based indexes, e.g. (3, 1) => "B4"
+ */
+function cellAddress(rowIndex, columnIndex) {
+    return columnIndexToLetter(columnIndex) + (rowIndex + 1);
+}
+
+/**
+ * Split "'Sheet 1'!B4:C9" into { sheet: "Sheet 1", local: "B4:C9" }.
+ * Unqualified addresses have a null sheet.
+ */
+function splitSheetAddress(address) {
+    const bang = address.lastIndexOf('!');
+    if (bang === -1) {
+        return { sheet: null, local: address };
+    }
+    
+    return {
+        sheet: unquoteSheetName(address.substring(0, bang)),
+        local: address.substring(bang + 1)
+    };
+}
+
+function quoteSheetName(sheet) {
+    return /^[A-Za-z_][\w.]*$/.test(sheet) ? sheet : `'${sheet.replace(/'/g, "''")}'`;
+}
+
+function unquoteSheetName(name) {
+    const match = name.match(/^'(.*)'$/);
+    return match ? match[1].replace(/''/g, "'") : name;
+}
+
+/**
+ * Parse "A1", "A1:B5", "A:C", "2:4" or a sheet-qualified form of any of them
+ * into zero-based bounds. A sheet in the address wins over the sheet argument.
+ */
+function parseRangeAddress(address, sheet) {
+    const parsed = splitSheetAddress(address);
+    const parts = parsed.local.replace(/\$/g, '').toUpperCase().split(':');
+    const start = parseRangePart(parts[0]);
+    const end = parts.length > 1 ? parseRangePart(parts[1]) : start;
+    if (!start || !end || parts.length > 2) return null;
+    
+    const ref = {
+        sheet: parsed.sheet !== null ? parsed.sheet : sheet,
+        startRow: Math.min(start.row === null ? 0 : start.row, end.row === null ? 0 : end.row),
+        endRow: Math.max(start.row === null ? MAX_EXCEL_ROWS - 1 : start.row, end.row === null ? MAX_EXCEL_ROWS - 1 : end.row),
+        startCol: Math.min(start.col === null ? 0 : start.col, end.col === null ? 0 : end.col),
+        endCol: Math.max(start.col === null ? MAX_EXCEL_COLUMNS - 1 : start.col, end.col === null ? MAX_EXCEL_COLUMNS - 1 : end.col)
+    };
+    ref.address = formatRangeAddress(ref);
+    
+    return ref;
+}
+
+function parseRangePart(part) {
+    const match = part.match(/^([A-Z]{0,3})(\d*)$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    
+    return {
+        col: match[1] ? columnLetterToIndex(match[1]) : null,
+        row: match[2] ? parseInt(match[2], 10) - 1 : null
+    };
+}
+
+/**
+ * True when an address such as "B4" or "'Sheet 1'!$B$4" names exactly one cell
+ */
+function isSingleCellAddress(address) {
+    const ref = parseRangeAddress(address);
+    return ref !== null && ref.startRow === ref.endRow && ref.startCol === ref.endCol;
+}
+
+/**
+ * Qualify an unqualified address with a sheet; qualified addresses are kept
+ */
+function qualifyAddress(address, sheet) {
+    return sheet && splitSheetAddress(address).sheet === null ? `${quoteSheetName(sheet)}!${address}` : address;
+}
+
+/**
+ * Format bounds back into a sheet-qualified address
+ */
+function formatRangeAddress(ref) {
+    const wholeColumns = ref.startRow === 0 && ref.endRow === MAX_EXCEL_ROWS - 1;
+    const wholeRows = ref.startCol === 0 && ref.endCol === MAX_EXCEL_COLUMNS - 1;
+    
+    let local;
+    if (wholeColumns && !wholeRows) {
+        local = `${columnIndexToLetter(ref.startCol)}:${columnIndexToLetter(ref.endCol)}`;
+    } else if (wholeRows && !wholeColumns) {
+        local = `${ref.startRow + 1}:${ref.endRow + 1}`;
+    } else {
+        local = cellAddress(ref.startRow, ref.startCol);
+        if (ref.endRow !== ref.startRow || ref.endCol !== ref.startCol) {
+            local += ':' + cellAddress(ref.endRow, ref.endCol);
+        }
+    }
+    
+    return ref.sheet ? `${quoteSheetName(ref.sheet)}!${local}` : local;
+}
+
+/**
+ * Resolve an address such as "B4" or "'Sheet 1'!B4" to a Range.
+ * Unqualified addresses refer to the active worksheet.
+ */
+function getRangeForAddress(context, address) {
+    const { sheet, local } = splitSheetAddress(address);
+    const worksheet = sheet === null ?
+        context.workbook.worksheets.getActiveWorksheet() :
+        context.workbook.worksheets.getItem(sheet);
+    return worksheet.getRange(local);
+}
@@ -0,0 +1,520 @@
+/**
+ * LyncFormula Service Client
+ * Every call to the local LyncFormula service goes through here: the saved
+ * settings, the base URL, pairing, timeouts, retries and error reporting.
+ * Used by the task pane, the custom functions and the ribbon commands, which
+ * share the settings through localStorage.
+ *
+ * Pairing: the service prints a one-time code, the task pane exchanges it at
+ * /pair for a token, and every request carries that token as a bearer
+ * Authorization header. Before the token is sent to a service, the service
+ * proves it already holds it: /health?challenge=<nonce> answers with
+ * challenge_response, the hex HMAC-SHA256 of the nonce keyed with the token.
+ */
+
+const SETTINGS_KEY = 'lyncformula-settings';
+const DEFAULT_SETTINGS = {
+    serviceUrl: 'http://127.0.0.1:8700',
+    llmModel: 'llama3.1:8b',
+    autoBackup: true,
+    liveAudit: false,
+    serviceToken: null,
+    pairedServiceId: null
+};
+
+const SERVICE_NAME_PATTERN = /^LyncFormula\b/i;
+// Service releases this add-in works with: from minimum up to, not including, below
+const SERVICE_VERSION_RANGE = { minimum: '1.0.0', below: '2.0.0' };
+const PAIRING_CLIENT_NAME = 'LyncFormula Excel add-in';
+const CHALLENGE_BYTES = 32;
+
+const SERVICE_TIMEOUTS = {
+    health: 5000,
+    request: 300000
+};
+const SERVICE_RETRIES = 2;
+const SERVICE_RETRY_DELAY = 500;
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/**
+ * @typedef {Object} ServiceSettings
+ * @property {string} serviceUrl  Base URL of the service, without a trailing slash
+ * @property {string} llmModel
+ * @property {boolean} autoBackup
+ * @property {boolean} liveAudit  Re-audit edited cells as the workbook changes
+ * @property {string|null} serviceToken  Issued by /pair
+ * @property {string|null} pairedServiceId  service_id reported by the service when it was paired
+ */
+
+/**
+ * @typedef {Object} ServiceRequestOptions
+ * @property {string} [method]  Defaults to POST when there is a body, GET otherwise
+ * @property {Object} [body]  Sent as JSON
+ * @property {AbortSignal} [signal]  Cancels the request; the AbortError is passed through
+ * @property {number} [timeout]  Milliseconds to wait for the response, or between chunks of a stream
+ * @property {number} [retries]  Extra attempts when the service is unreachable or overloaded
+ * @property {function(Object)} [onEvent]  Receives progress events of a streamed response
+ * @property {boolean} [authorize]  Send the pairing token; defaults to true
+ */
+
+/**
+ * @typedef {Object} ServiceResponse
+ * Fields every endpoint answers with; the rest depend on the endpoint.
+ * @property {boolean} success
+ * @property {string} [error]
+ * @property {string} [session_id]
+ */
+
+/**
+ * @typedef {Object} HealthResponse
+ * @property {string} service  Must start with "LyncFormula"
+ * @property {string} version  Semantic version, checked against SERVICE_VERSION_RANGE
+ * @property {string} [service_id]  Stable identifier of this service installation
+ * @property {boolean} [authenticated]  Whether the request's token was accepted
+ * @property {string} [challenge_response]  Hex HMAC-SHA256 of the challenge, keyed with the token
+ */
+
+/**
+ * @typedef {Object} PairResponse
+ * @property {boolean} success
+ * @property {string} token
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} ServiceProblem
+ * @property {string} reason  "not-lyncformula", "incompatible", "different-service", "unpaired",
+ *     "unproven" or "unauthorized"
+ * @property {string} message  Shown to the user as is
+ */
+
+/**
+ * Failure talking to the service. code is one of:
+ * "unreachable" (nothing answered), "timeout", "unauthorized" (the token was
+ * missing or rejected), "unproven" (the service could not show it holds the
+ * token, so it was not sent), "http" (any other error status),
+ * "invalid-response" (unreadable body) or "service" (the stream reported an
+ * error).
+ */
+class ServiceError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'ServiceError';
+        this.code = code;
+        this.endpoint = details.endpoint || null;
+        this.status = details.status || null;
+    }
+}
+
+// Service URL and token of the last service that answered the challenge
+let provenService = null;
+
+/**
+ * Saved settings merged over the defaults
+ * @returns {ServiceSettings}
+ */
+function loadServiceSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Merge changes into the saved settings and return the result
+ * @returns {ServiceSettings}
+ */
+function saveServiceSettings(changes) {
+    const settings = { ...loadServiceSettings(), ...changes };
+    settings.serviceUrl = normalizeServiceUrl(settings.serviceUrl);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+function getServiceUrl() {
+    return normalizeServiceUrl(loadServiceSettings().serviceUrl);
+}
+
+function normalizeServiceUrl(url) {
+    const trimmed = String(url || '').trim().replace(/\/+$/, '');
+    return trimmed || DEFAULT_SETTINGS.serviceUrl;
+}
+
+/**
+ * GET /health with a short timeout. The token is left off unless asked for;
+ * when it is, the service has to answer the challenge first.
+ * @returns {Promise<HealthResponse>}
+ */
+function checkServiceHealth(authorize = false) {
+    return serviceRequest('/health', { timeout: SERVICE_TIMEOUTS.health, authorize: authorize });
+}
+
+/**
+ * Identify the service, check its version and pairing, then confirm it
+ * still accepts the token
+ * @returns {Promise<{health: HealthResponse, problem: ServiceProblem|null}>}
+ */
+async function verifyService() {
+    const health = await checkServiceHealth();
+    const problem = checkServiceCompatibility(health);
+    if (problem) {
+        return { health, problem };
+    }
+    
+    try {
+        const authorized = await checkServiceHealth(true);
+        if (authorized && authorized.authenticated === true) {
+            return { health, problem: null };
+        }
+    } catch (error) {
+        if (error instanceof ServiceError && error.code === 'unproven') {
+            return { health, problem: { reason: 'unproven', message: error.message } };
+        }
+        if (!(error instanceof ServiceError && error.code === 'unauthorized')) throw error;
+    }
+    
+    return {
+        health,
+        problem: { reason: 'unauthorized', message: 'The service no longer accepts this pairing - pair again in Settings.' }
+    };
+}
+
+/**
+ * Whether a /health response comes from a LyncFormula service this add-in
+ * can use and has paired with. Returns null when it does, otherwise the
+ * problem to show.
+ * @param {HealthResponse} health
+ * @returns {ServiceProblem|null}
+ */
+function checkServiceCompatibility(health, options = {}) {
+    const settings = loadServiceSettings();
+    const url = getServiceUrl();
+    
+    if (!health || !SERVICE_NAME_PATTERN.test(String(health.service || ''))) {
+        return {
+            reason: 'not-lyncformula',
+            message: `The service at ${url} is not LyncFormula${health && health.service ? ` (it reports "${health.service}")` : ''}. Check the service URL in Settings.`
+        };
+    }
+    
+    const version = String(health.version || '0.0.0');
+    if (compareVersions(version, SERVICE_VERSION_RANGE.minimum) < 0) {
+        return {
+            reason: 'incompatible',
+            message: `LyncFormula service v${version} is too old for this add-in. Upgrade the service to v${SERVICE_VERSION_RANGE.minimum} or later and restart it.`
+        };
+    }
+    if (compareVersions(version, SERVICE_VERSION_RANGE.below) >= 0) {
+        return {
+            reason: 'incompatible',
+            message: `LyncFormula service v${version} is newer than this add-in supports. Update the add-in, or run a service release below v${SERVICE_VERSION_RANGE.below}.`
+        };
+    }
+    
+    if (options.ignorePairing) return null;
+    
+    if (!settings.serviceToken) {
+        return { reason: 'unpaired', message: 'Not paired with the service - enter its one-time code in Settings.' };
+    }
+    if (settings.pairedServiceId && health.service_id !== settings.pairedServiceId) {
+        return {
+            reason: 'different-service',
+            message: `A different LyncFormula service is answering at ${url}. Pair again in Settings if you trust it.`
+        };
+    }
+    return null;
+}
+
+/**
+ * Make sure the service at the current URL holds the saved token before the
+ * token is sent to it. Proven services are remembered until the URL or the
+ * token changes.
+ */
+async function proveServiceIdentity() {
+    const url = getServiceUrl();
+    const token = loadServiceSettings().serviceToken;
+    if (provenService && provenService.url === url && provenService.token === token) return;
+    
+    const challenge = toHex(crypto.getRandomValues(new Uint8Array(CHALLENGE_BYTES)));
+    const health = await serviceRequest(`/health?challenge=${challenge}`, {
+        timeout: SERVICE_TIMEOUTS.health,
+        authorize: false
+    });
+    
+    const expected = await signChallenge(token, challenge);
+    if (!health || typeof health.challenge_response !== 'string' ||
+        health.challenge_response.toLowerCase() !== expected) {
+        throw new ServiceError(`The service at ${url} could not prove it is the service this add-in paired with. Pair again in Settings if you trust it.`,
+            'unproven', { endpoint: '/health' });
+    }
+    provenService = { url, token };
+}
+
+/**
+ * Hex HMAC-SHA256 of the challenge, keyed with the token
+ */
+async function signChallenge(token, challenge) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(token),
+        { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(challenge));
+    return toHex(new Uint8Array(signature));
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare dotted versions numerically; pre-release suffixes are ignored
+ */
+function compareVersions(a, b) {
+    const left = String(a).split(/[-+]/)[0].split('.').map(part => parseInt(part, 10) || 0);
+    const right = String(b).split(/[-+]/)[0].split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Exchange the service's one-time code for a token and save it. The service
+ * is checked first so the code is only sent to a compatible LyncFormula.
+ * @returns {Promise<HealthResponse>} the service that was paired
+ */
+async function pairWithService(code) {
+    const health = await checkServiceHealth();
+    const problem = checkServiceCompatibility(health, { ignorePairing: true });
+    if (problem) {
+        throw new ServiceError(problem.message, problem.reason, { endpoint: '/health' });
+    }
+    
+    let response;
+    try {
+        response = await serviceRequest('/pair', {
+            body: { code: code.trim(), client: PAIRING_CLIENT_NAME },
+            authorize: false
+        });
+    } catch (error) {
+        if (error instanceof ServiceError && error.code === 'unauthorized') {
+            throw new ServiceError('The code was not accepted. Codes work once and expire - use the latest one the service shows.',
+                'unauthorized', { endpoint: '/pair', status: error.status });
+        }
+        throw error;
+    }
+    
+    if (!response || !response.token) {
+        throw new ServiceError((response && response.error) || 'The service did not issue a token',
+            'invalid-response', { endpoint: '/pair' });
+    }
+    
+    saveServiceSettings({ serviceToken: response.token, pairedServiceId: health.service_id || null });
+    return health;
+}
+
+function forgetServicePairing() {
+    provenService = null;
+    saveServiceSettings({ serviceToken: null, pairedServiceId: null });
+}
+
+/**
+ * POST a request to the service and return the parsed response.
+ * Server-sent events and newline-delimited JSON are read incrementally and
+ * passed to options.onEvent; the stream's final "result" event is returned.
+ * @returns {Promise<ServiceResponse>}
+ */
+function postToService(endpoint, requestData, options = {}) {
+    return serviceRequest(endpoint, { ...options, method: 'POST', body: requestData });
+}
+
+/**
+ * Send a request, retrying while the service is unreachable or overloaded.
+ * GET requests retry by default; POSTs only when options.retries says so.
+ * A request that carries the token waits for the service to prove it holds it.
+ * @param {string} endpoint
+ * @param {ServiceRequestOptions} options
+ */
+async function serviceRequest(endpoint, options = {}) {
+    const method = options.method || (options.body === undefined ? 'GET' : 'POST');
+    const retries = options.retries !== undefined ? options.retries : (method === 'GET' ? SERVICE_RETRIES : 0);
+    
+    if (options.authorize !== false && loadServiceSettings().serviceToken) {
+        await proveServiceIdentity();
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendServiceRequest(endpoint, method, options);
+        } catch (error) {
+            const retryable = error instanceof ServiceError &&
+                (error.code === 'unreachable' || RETRYABLE_STATUSES.includes(error.status));
+            if (!retryable || attempt >= retries || (options.signal && options.signal.aborted)) {
+                throw error;
+            }
+            console.warn(`Retrying ${endpoint} after: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, SERVICE_RETRY_DELAY * 2 ** attempt));
+        }
+    }
+}
+
+async function sendServiceRequest(endpoint, method, options) {
+    const timeout = options.timeout || SERVICE_TIMEOUTS.request;
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    
+    // Restarted whenever stream data arrives, so long streams are not cut off
+    const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+    };
+    const cancel = () => controller.abort();
+    
+    if (options.signal) {
+        if (options.signal.aborted) controller.abort();
+        options.signal.addEventListener('abort', cancel);
+    }
+    restartTimer();
+    
+    const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream, application/x-ndjson, application/json'
+    };
+    const token = loadServiceSettings().serviceToken;
+    if (token && options.authorize !== false) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    let response = null;
+    try {
+        response = await fetch(`${getServiceUrl()}${endpoint}`, {
+            method: method,
+            headers: headers,
+            body: options.body === undefined ? undefined : JSON.stringify(options.body),
+            signal: controller.signal
+        });
+        
+        if (response.status === 401 || response.status === 403) {
+            throw new ServiceError('The service did not accept this add-in - pair it in the LyncFormula task pane settings',
+                'unauthorized', { endpoint, status: response.status });
+        }
+        if (!response.ok) {
+            throw new ServiceError(await readErrorMessage(response), 'http', { endpoint, status: response.status });
+        }
+        
+        const contentType = response.headers.get('Content-Type') || '';
+        const format = contentType.includes('text/event-stream') ? 'sse' :
+            contentType.includes('ndjson') ? 'ndjson' : null;
+        
+        if (format && response.body) {
+            return await readStreamingResponse(response.body, format, options.onEvent || (() => {}), restartTimer);
+        }
+        
+        return await response.json();
+    } catch (error) {
+        if (error instanceof ServiceError) throw error;
+        
+        if (error.name === 'AbortError') {
+            if (!timedOut) throw error;
+            throw new ServiceError(`The service did not answer within ${Math.round(timeout / 1000)} seconds`,
+                'timeout', { endpoint });
+        }
+        
+        // fetch rejects with a TypeError when nothing answers at the URL
+        if (!response) {
+            throw new ServiceError(`The LyncFormula service is not reachable at ${getServiceUrl()}`,
+                'unreachable', { endpoint });
+        }
+        
+        throw new ServiceError(`The service sent a response that could not be read: ${error.message}`,
+            'invalid-response', { endpoint, status: response.status });
+    } finally {
+        clearTimeout(timer);
+        if (options.signal) {
+            options.signal.removeEventListener('abort', cancel);
+        }
+    }
+}
+
+/**
+ * The service's own message for an error status when it sent one
+ */
+async function readErrorMessage(response) {
+    const fallback = `HTTP ${response.status}: ${response.statusText}`;
+    try {
+        const body = await response.json();
+        const detail = body.error || body.detail;
+        return typeof detail === 'string' ? `${fallback} - ${detail}` : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Read a streamed response body event by event
+ */
+async function readStreamingResponse(body, format, onEvent, onChunk) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    const separator = format === 'sse' ? /\r?\n\r?\n/ : /\r?\n/;
+    let buffer = '';
+    let finalResult = null;
+    
+    const dispatch = (chunk) => {
+        const event = parseStreamEvent(chunk, format);
+        if (!event) return;
+        
+        if (event.type === 'result') {
+            finalResult = event.data || null;
+        } else if (event.type === 'error') {
+            throw new ServiceError(event.error || event.message || 'The service reported an error', 'service');
+        } else {
+            onEvent(event);
+        }
+    };
+    
+    for (;;) {
+        const { done, value } = await reader.read();
+        onChunk();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        
+        const chunks = buffer.split(separator);
+        buffer = done ? '' : chunks.pop();
+        chunks.forEach(dispatch);
+        
+        if (done) break;
+    }
+    
+    return finalResult;
+}
+
+function parseStreamEvent(chunk, format) {
+    if (!chunk.trim()) return null;
+    
+    if (format === 'ndjson') {
+        return JSON.parse(chunk);
+    }
+    
+    let eventName = 'message';
+    const dataLines = [];
+    chunk.split(/\r?\n/).forEach(line => {
+        if (line.startsWith(':')) return;
+        if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    });
+    
+    if (dataLines.length === 0) return null;
+    
+    const payload = JSON.parse(dataLines.join('\n'));
+    return payload.type ? payload : { type: eventName, data: payload };
+}
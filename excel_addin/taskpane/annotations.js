@@ -0,0 +1,176 @@
+/**
+ * LyncFormula In-Grid Annotations
+ * Highlights audit findings in the worksheet with severity-colored fills and
+ * optional notes, and restores the original formatting when cleared.
+ * Annotation state lives in the document settings so it can be cleared later.
+ */
+
+const ANNOTATIONS_SETTING = 'lyncformula-annotations';
+
+const SEVERITY_FILLS = {
+    high: '#F4BFC3',
+    medium: '#FFF4CE',
+    low: '#DEECF9'
+};
+
+// Everything that makes up a cell's fill, saved per cell so it can be put back exactly
+const FILL_PROPERTIES = {
+    format: {
+        fill: { color: true, pattern: true, patternColor: true, patternTintAndShade: true, tintAndShade: true }
+    }
+};
+
+/**
+ * Highlight the cells of the given issues, optionally adding a note to each
+ * single cell. Unqualified addresses refer to the audited sheet. The original
+ * fills are saved before any cell is changed, so a failure part way through
+ * can still be cleared.
+ */
+async function annotateIssues(issues, addNotes, sheet) {
+    const existing = getDocumentSetting(ANNOTATIONS_SETTING, []);
+    const useNotes = Office.context.requirements.isSetSupported('ExcelApi', '1.18');
+    
+    // One annotation per cell, colored by its most severe issue
+    const severityRank = { high: 0, medium: 1, low: 2 };
+    const byAddress = {};
+    issues.forEach(issue => {
+        if (!issue.cell_address) return;
+        const address = qualifyAddress(issue.cell_address, sheet);
+        (byAddress[address] = byAddress[address] || []).push(issue);
+    });
+    Object.values(byAddress).forEach(cellIssues => {
+        cellIssues.sort((a, b) => severityRank[a.severity] - severityRank[b.severity]);
+    });
+    
+    let annotated;
+    try {
+        annotated = await Excel.run(async (context) => {
+            const targets = Object.keys(byAddress).map(address => {
+                const range = getRangeForAddress(context, address);
+                range.load('address');
+                return { range, fills: range.getCellProperties(FILL_PROPERTIES), issues: byAddress[address] };
+            });
+            
+            await context.sync();
+            
+            const records = targets.map(({ range, fills }) =>
+                existing.find(record => record.address === range.address) || {
+                    address: range.address,
+                    fills: fills.value.map(row => row.map(cell => cell.format.fill)),
+                    note: null
+                }
+            );
+            await saveAnnotationRecords(existing, records);
+            
+            const noteChecks = [];
+            
+            targets.forEach(({ range, issues: cellIssues }, i) => {
+                const record = records[i];
+                range.format.fill.color = SEVERITY_FILLS[cellIssues[0].severity] || SEVERITY_FILLS.low;
+                
+                if (addNotes && !record.note && isSingleCellAddress(record.address)) {
+                    const item = useNotes ?
+                        range.worksheet.notes.getItemOrNullObject(range.address) :
+                        context.workbook.comments.getItemByCellOrNullObject(range.address);
+                    item.load('isNullObject');
+                    noteChecks.push({ item, range, record, cellIssues });
+                }
+            });
+            
+            await context.sync();
+            
+            // Only add notes to cells that do not already carry one
+            noteChecks.filter(({ item }) => item.isNullObject).forEach(({ range, record, cellIssues }) => {
+                const text = cellIssues.map(issue =>
+                    `LyncFormula [${issue.severity.toUpperCase()}] ${issue.title}: ${issue.description}` +
+                    (issue.suggested_fix ? `\nFix: ${issue.suggested_fix}` : '')
+                ).join('\n\n');
+                
+                if (useNotes) {
+                    range.worksheet.notes.add(record.address, text);
+                    record.note = 'note';
+                } else {
+                    context.workbook.comments.add(record.address, text);
+                    record.note = 'comment';
+                }
+            });
+            
+            await context.sync();
+            return records;
+        });
+    } catch (error) {
+        // Fills written before the failure are recorded, so they can be cleared
+        updateAnnotationsBar();
+        throw error;
+    }
+    
+    await saveAnnotationRecords(existing, annotated);
+    updateAnnotationsBar();
+    
+    return annotated.length;
+}
+
+function saveAnnotationRecords(existing, records) {
+    const kept = existing.filter(record => !records.some(item => item.address === record.address));
+    return setDocumentSetting(ANNOTATIONS_SETTING, [...kept, ...records]);
+}
+
+/**
+ * Remove every annotation and restore the original fill of each cell.
+ * Cells without a fill get their "None" pattern back rather than a color.
+ */
+async function clearAnnotations() {
+    const records = getDocumentSetting(ANNOTATIONS_SETTING, []);
+    if (records.length === 0) return;
+    
+    showLoading(true);
+    
+    try {
+        await Excel.run(async (context) => {
+            const notes = [];
+            
+            records.forEach(record => {
+                const range = getRangeForAddress(context, record.address);
+                
+                range.setCellProperties(record.fills.map(row => row.map(fill => ({
+                    format: { fill: fill.pattern === 'None' ? { pattern: 'None' } : fill }
+                }))));
+                
+                if (record.note) {
+                    const item = record.note === 'note' ?
+                        range.worksheet.notes.getItemOrNullObject(record.address) :
+                        context.workbook.comments.getItemByCellOrNullObject(record.address);
+                    item.load('isNullObject');
+                    notes.push(item);
+                }
+            });
+            
+            await context.sync();
+            
+            // Notes the user already deleted by hand are skipped
+            notes.filter(item => !item.isNullObject).forEach(item => item.delete());
+            await context.sync();
+        });
+        
+        await setDocumentSetting(ANNOTATIONS_SETTING, []);
+        updateAnnotationsBar();
+        showNotification(`Cleared annotations from ${records.length} cell${records.length === 1 ? '' : 's'}`);
+    } catch (error) {
+        console.error('Clearing annotations failed:', error);
+        showError(`Could not clear annotations: ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Show or hide the "cells highlighted" bar under the connection status
+ */
+function updateAnnotationsBar() {
+    const bar = document.getElementById('annotations-bar');
+    const count = getDocumentSetting(ANNOTATIONS_SETTING, []).length;
+    
+    bar.style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('annotations-count').textContent =
+        `${count} cell${count === 1 ? '' : 's'} highlighted in the workbook`;
+}
@@ -0,0 +1,453 @@
+/**
+ * LyncFormula Consolidation Wizard
+ * Maps differently named columns across the selected files and sheets,
+ * merges them in the browser (append or key-based join, with dedupe) and
+ * writes the result as a new table in the open workbook.
+ */
+
+const SOURCE_COLUMN_NAME = 'Source File';
+const WRITE_CHUNK_ROWS = 5000;
+const MAPPING_THRESHOLD = 0.6;
+const DATE_FORMAT = 'yyyy-mm-dd';
+const DATE_TIME_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+// Header words treated as the same column when suggesting a mapping
+const COLUMN_SYNONYMS = [
+    ['revenue', 'rev', 'sales', 'turnover', 'income'],
+    ['amount', 'amt', 'value', 'total', 'sum'],
+    ['quantity', 'qty', 'units', 'volume'],
+    ['price', 'rate', 'cost', 'unitprice'],
+    ['date', 'day', 'period', 'month'],
+    ['customer', 'client', 'account', 'buyer'],
+    ['product', 'item', 'sku', 'article'],
+    ['region', 'area', 'territory', 'zone'],
+    ['description', 'desc', 'details', 'notes'],
+    ['id', 'key', 'code', 'number', 'no', 'num', 'ref'],
+    ['name', 'title', 'label'],
+    ['department', 'dept', 'division', 'unit'],
+    ['employee', 'staff', 'person', 'rep', 'salesperson']
+];
+
+let consolidationWizard = null;
+
+/**
+ * Open the wizard for the currently selected files
+ */
+function openConsolidationWizard() {
+    const sources = [];
+    selectedFiles.forEach(file => {
+        file.sheets.forEach(sheet => {
+            if (sheet.headers.length === 0) return;
+            sources.push({
+                id: `${file.id}:${sheet.name}`,
+                label: file.sheets.length === 1 ? file.name : `${file.name} › ${sheet.name}`,
+                headers: sheet.headers,
+                rows: sheet.rows
+            });
+        });
+    });
+    
+    if (sources.length === 0) {
+        showError('None of the selected files has a header row to consolidate');
+        return;
+    }
+    
+    consolidationWizard = {
+        sources: sources,
+        columns: suggestColumnMapping(sources),
+        mode: 'append',
+        keyColumn: 0,
+        dedupe: 'none',
+        includeSource: true
+    };
+    
+    document.getElementById('consolidation-sheet-name').value = 'Consolidated';
+    document.getElementById('consolidation-section').style.display = 'block';
+    renderConsolidationWizard();
+    document.getElementById('consolidation-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+function hideConsolidationWizard() {
+    document.getElementById('consolidation-section').style.display = 'none';
+    consolidationWizard = null;
+}
+
+/**
+ * Build output columns from the first source's headers, then map every other
+ * source onto them. Headers with no good match become new output columns.
+ * Returns [{ name, sources: { sourceId: headerIndex or -1 } }].
+ */
+function suggestColumnMapping(sources) {
+    const columns = [];
+    
+    sources.forEach(source => {
+        const candidates = [];
+        source.headers.forEach((header, headerIndex) => {
+            if (!header) return;
+            columns.forEach((column, columnIndex) => {
+                const score = scoreHeaderMatch(column.name, header);
+                if (score >= MAPPING_THRESHOLD) {
+                    candidates.push({ headerIndex, columnIndex, score });
+                }
+            });
+        });
+        
+        // Greedy: best pairs first, each header and column used once
+        const usedHeaders = new Set();
+        columns.forEach(column => { column.sources[source.id] = -1; });
+        candidates.sort((a, b) => b.score - a.score).forEach(({ headerIndex, columnIndex }) => {
+            const column = columns[columnIndex];
+            if (usedHeaders.has(headerIndex) || column.sources[source.id] !== -1) return;
+            column.sources[source.id] = headerIndex;
+            usedHeaders.add(headerIndex);
+        });
+        
+        source.headers.forEach((header, headerIndex) => {
+            if (!header || usedHeaders.has(headerIndex)) return;
+            const column = { name: header, sources: {} };
+            sources.forEach(other => { column.sources[other.id] = -1; });
+            column.sources[source.id] = headerIndex;
+            columns.push(column);
+        });
+    });
+    
+    return columns;
+}
+
+/**
+ * Similarity of two headers between 0 and 1
+ */
+function scoreHeaderMatch(a, b) {
+    const tokensA = headerTokens(a);
+    const tokensB = headerTokens(b);
+    const joinedA = tokensA.join('');
+    const joinedB = tokensB.join('');
+    
+    if (!joinedA || !joinedB) return 0;
+    if (joinedA === joinedB) return 1;
+    
+    const canonicalA = tokensA.map(canonicalToken).join(' ');
+    const canonicalB = tokensB.map(canonicalToken).join(' ');
+    if (canonicalA === canonicalB) return 0.9;
+    
+    const shorter = joinedA.length < joinedB.length ? joinedA : joinedB;
+    const longer = shorter === joinedA ? joinedB : joinedA;
+    if (shorter.length >= 3 && longer.includes(shorter)) return 0.7;
+    
+    const setA = new Set(canonicalA.split(' '));
+    const setB = new Set(canonicalB.split(' '));
+    const shared = [...setA].filter(token => setB.has(token)).length;
+    return 0.8 * shared / new Set([...setA, ...setB]).size;
+}
+
+function headerTokens(header) {
+    return String(header)
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+function canonicalToken(token) {
+    const group = COLUMN_SYNONYMS.find(words => words.includes(token));
+    return group ? group[0] : token;
+}
+
+/**
+ * Draw sources, the mapping grid and the merge options
+ */
+function renderConsolidationWizard() {
+    const wizard = consolidationWizard;
+    if (!wizard) return;
+    
+    document.getElementById('consolidation-sources').innerHTML = html`${wizard.sources.map(source => html`
+        <div class="consolidation-source">
+            <strong>${source.label}</strong>
+            <span>${source.rows.length} rows · ${source.headers.filter(Boolean).length} columns</span>
+        </div>
+    `)}`;
+    
+    const headerCells = wizard.sources.map(source => html`<th>${source.label}</th>`);
+    const bodyRows = wizard.columns.map((column, columnIndex) => {
+        const selects = wizard.sources.map(source => {
+            const options = source.headers.map((header, headerIndex) => header ?
+                html`<option value="${headerIndex}" ${column.sources[source.id] === headerIndex ? 'selected' : ''}>${header}</option>` : ''
+            );
+            return html`
+                <td>
+                    <select class="mapping-select" data-column="${columnIndex}" data-source="${source.id}">
+                        <option value="-1">(none)</option>
+                        ${options}
+                    </select>
+                </td>
+            `;
+        });
+        
+        return html`
+            <tr>
+                <td><input class="mapping-name" data-column="${columnIndex}" value="${column.name}"></td>
+                ${selects}
+            </tr>
+        `;
+    });
+    
+    document.getElementById('consolidation-mapping').innerHTML = html`
+        <table class="mapping-table">
+            <thead><tr><th>Output column</th>${headerCells}</tr></thead>
+            <tbody>${bodyRows}</tbody>
+        </table>
+    `;
+    
+    const keySelect = document.getElementById('consolidation-key');
+    keySelect.innerHTML = html`${wizard.columns.map((column, index) =>
+        html`<option value="${index}" ${wizard.keyColumn === index ? 'selected' : ''}>${column.name || '(unnamed)'}</option>`
+    )}`;
+    
+    document.querySelector(`input[name="consolidation-mode"][value="${wizard.mode}"]`).checked = true;
+    document.getElementById('consolidation-dedupe').value = wizard.dedupe;
+    document.getElementById('consolidation-include-source').checked = wizard.includeSource;
+    document.getElementById('consolidation-key-row').style.display =
+        wizard.mode === 'join' || wizard.dedupe === 'key' ? 'flex' : 'none';
+}
+
+/**
+ * Wire the wizard controls once; the grid is re-rendered on every change
+ */
+function setupConsolidationWizard() {
+    const mapping = document.getElementById('consolidation-mapping');
+    
+    mapping.addEventListener('change', (event) => {
+        const wizard = consolidationWizard;
+        const columnIndex = Number(event.target.dataset.column);
+        
+        if (event.target.classList.contains('mapping-select')) {
+            wizard.columns[columnIndex].sources[event.target.dataset.source] = Number(event.target.value);
+        } else if (event.target.classList.contains('mapping-name')) {
+            wizard.columns[columnIndex].name = event.target.value.trim();
+            renderConsolidationWizard();
+        }
+    });
+    
+    document.querySelectorAll('input[name="consolidation-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            consolidationWizard.mode = radio.value;
+            renderConsolidationWizard();
+        });
+    });
+    document.getElementById('consolidation-dedupe').addEventListener('change', (event) => {
+        consolidationWizard.dedupe = event.target.value;
+        renderConsolidationWizard();
+    });
+    document.getElementById('consolidation-key').addEventListener('change', (event) => {
+        consolidationWizard.keyColumn = Number(event.target.value);
+    });
+    document.getElementById('consolidation-include-source').addEventListener('change', (event) => {
+        consolidationWizard.includeSource = event.target.checked;
+    });
+    
+    document.getElementById('btn-close-consolidation').addEventListener('click', hideConsolidationWizard);
+    document.getElementById('btn-run-consolidation').addEventListener('click', runConsolidation);
+}
+
+/**
+ * Merge the sources according to the wizard settings.
+ * Returns { headers, rows, rowsIn, duplicatesRemoved }.
+ */
+function mergeConsolidationSources(wizard) {
+    const columns = wizard.columns.filter(column => column.name);
+    const keyIndex = columns.indexOf(wizard.columns[wizard.keyColumn]);
+    const keyOf = values => keyIndex >= 0 ? String(values[keyIndex]).trim().toLowerCase() : '';
+    let rowsIn = 0;
+    
+    // Project every source row onto the output columns
+    const projected = [];
+    wizard.sources.forEach(source => {
+        source.rows.forEach(row => {
+            const values = columns.map(column => {
+                const index = column.sources[source.id];
+                return index >= 0 && index < row.length ? row[index] : '';
+            });
+            if (values.every(value => String(value).trim() === '')) return;
+            projected.push({ values, sources: [source.label] });
+            rowsIn++;
+        });
+    });
+    
+    let merged = projected;
+    
+    if (wizard.mode === 'join' && keyIndex >= 0) {
+        // Full outer join on the key; the first non-empty value wins
+        const byKey = new Map();
+        merged = [];
+        projected.forEach(row => {
+            const key = keyOf(row.values);
+            const existing = key ? byKey.get(key) : null;
+            if (!existing) {
+                if (key) byKey.set(key, row);
+                merged.push(row);
+                return;
+            }
+            row.values.forEach((value, index) => {
+                if (String(existing.values[index]).trim() === '') existing.values[index] = value;
+            });
+            if (!existing.sources.includes(row.sources[0])) existing.sources.push(row.sources[0]);
+        });
+    }
+    
+    const beforeDedupe = merged.length;
+    if (wizard.dedupe !== 'none') {
+        const seen = new Set();
+        merged = merged.filter(row => {
+            const signature = wizard.dedupe === 'key' ? keyOf(row.values) : JSON.stringify(row.values);
+            if (!signature) return true;
+            if (seen.has(signature)) return false;
+            seen.add(signature);
+            return true;
+        });
+    }
+    
+    const headers = uniqueHeaders(columns.map(column => column.name));
+    const rows = merged.map(row => row.values);
+    if (wizard.includeSource) {
+        headers.push(uniqueHeaders([...headers, SOURCE_COLUMN_NAME]).pop());
+        merged.forEach((row, index) => rows[index].push(row.sources.join('; ')));
+    }
+    
+    return {
+        headers: headers,
+        rows: rows,
+        rowsIn: rowsIn,
+        duplicatesRemoved: beforeDedupe - merged.length
+    };
+}
+
+/**
+ * Excel table headers must be unique
+ */
+function uniqueHeaders(names) {
+    const taken = new Set();
+    return names.map(name => {
+        let unique = name;
+        for (let suffix = 2; taken.has(unique.toLowerCase()); suffix++) {
+            unique = `${name} ${suffix}`;
+        }
+        taken.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+/**
+ * Merge and write the result as a table on a new worksheet
+ */
+async function runConsolidation() {
+    const wizard = consolidationWizard;
+    if (!wizard) return;
+    
+    const merged = mergeConsolidationSources(wizard);
+    if (merged.headers.length === 0) {
+        showError('Name at least one output column');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const requestedName = document.getElementById('consolidation-sheet-name').value;
+        const sheetName = await writeConsolidatedTable(requestedName, merged);
+        
+        const result = {
+            success: true,
+            consolidated_file: `${sheetName} (this workbook)`,
+            rows_merged: merged.rows.length,
+            files_processed: wizard.sources.length,
+            duplicates_removed: merged.duplicatesRemoved
+        };
+        const query = `Consolidated ${wizard.sources.length} sources into ${sheetName}`;
+        
+        hideConsolidationWizard();
+        hideFileSelection();
+        showResults(result, query);
+        addToHistory(query, result, { intent: 'consolidate', files: describeHistoryFiles() });
+        showNotification(`Wrote ${merged.rows.length} rows to ${sheetName}`);
+    } catch (error) {
+        console.error('Consolidation failed:', error);
+        showError(`Consolidation failed: ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Returns the name of the worksheet that was created
+ */
+async function writeConsolidatedTable(requestedName, merged) {
+    return Excel.run(async (context) => {
+        const worksheets = context.workbook.worksheets;
+        const tables = context.workbook.tables;
+        worksheets.load('items/name');
+        tables.load('items/name');
+        await context.sync();
+        
+        const sheetName = uniqueName(
+            (requestedName.replace(/[\[\]:*?\/\\]/g, '').trim() || 'Consolidated').slice(0, 28),
+            worksheets.items.map(sheet => sheet.name), ' ');
+        const tableName = uniqueName(
+            `tbl${sheetName.replace(/[^A-Za-z0-9_]/g, '')}`,
+            tables.items.map(table => table.name), '_');
+        
+        const sheet = worksheets.add(sheetName);
+        const values = [merged.headers, ...merged.rows];
+        const width = merged.headers.length;
+        
+        // Large results are written in slices to stay under request size limits
+        for (let start = 0; start < values.length; start += WRITE_CHUNK_ROWS) {
+            const slice = values.slice(start, start + WRITE_CHUNK_ROWS)
+                .map(row => Array.from({ length: width }, (_, index) => row[index] ?? ''));
+            const range = sheet.getRangeByIndexes(start, 0, slice.length, width);
+            if (slice.some(row => row.some(value => value instanceof Date))) {
+                range.numberFormat = slice.map(row => row.map(toWorksheetFormat));
+            }
+            range.values = slice.map(row => row.map(toWorksheetValue));
+            await context.sync();
+        }
+        
+        const table = sheet.tables.add(sheet.getRangeByIndexes(0, 0, values.length, width), true);
+        table.name = tableName;
+        sheet.getRangeByIndexes(0, 0, values.length, width).format.autofitColumns();
+        sheet.activate();
+        
+        await context.sync();
+        return sheetName;
+    });
+}
+
+/**
+ * Values as written to the sheet. Text that Excel would take as a formula
+ * (a crafted "=HYPERLINK(...)" in a CSV) is written with a leading
+ * apostrophe so it stays text; dates become serial numbers.
+ */
+function toWorksheetValue(value) {
+    if (value instanceof Date) {
+        return (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+            value.getHours(), value.getMinutes(), value.getSeconds()) - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+    if (typeof value !== 'string') return value;
+    
+    // Plain signed numbers such as "-5" from a CSV are left for Excel to parse
+    const formulaLike = /^[=@]/.test(value) || (/^[+\-]/.test(value) && !Number.isFinite(Number(value)));
+    return formulaLike ? `'${value}` : value;
+}
+
+function toWorksheetFormat(value) {
+    if (!(value instanceof Date)) return 'General';
+    return value.getHours() || value.getMinutes() || value.getSeconds() ? DATE_TIME_FORMAT : DATE_FORMAT;
+}
+
+function uniqueName(base, existing, separator) {
+    const taken = new Set(existing.map(name => name.toLowerCase()));
+    let name = base;
+    for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+        name = `${base}${separator}${suffix}`;
+    }
+    return name;
+}
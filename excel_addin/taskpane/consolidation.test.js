@@ -0,0 +1,178 @@
+/**
+ * Tests for the consolidation wizard's column mapping, merging and the
+ * values it writes to the sheet. The wizard is a plain browser script, so it
+ * is loaded into a VM context instead of being required.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const consolidation = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'consolidation.js'), 'utf8'), consolidation);
+const { suggestColumnMapping, scoreHeaderMatch, mergeConsolidationSources, toWorksheetValue, toWorksheetFormat } = consolidation;
+
+// Objects made inside the context are not deepStrictEqual to ones made here
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Dates have to come from the context for instanceof Date to hold there
+const contextDate = (...parts) => vm.runInContext(`new Date(${parts.join(',')})`, consolidation);
+
+function source(id, headers, rows = []) {
+    return { id: id, label: `${id}.csv`, headers: headers, rows: rows };
+}
+
+test('headers are matched by spelling, synonyms and containment', async (t) => {
+    const cases = [
+        ['Revenue', 'revenue', 1],
+        ['unitPrice', 'Unit Price', 1],
+        ['Customer ID', 'client id', 0.9],
+        ['Revenue', 'Sales', 0.9],
+        ['Order Date', 'Date', 0.7],
+        ['Qty', 'Region', 0],
+        ['', 'Region', 0]
+    ];
+    
+    for (const [a, b, score] of cases) {
+        await t.test(`${a} / ${b}`, () => assert.strictEqual(scoreHeaderMatch(a, b), score));
+    }
+});
+
+test('columns of later sources are mapped onto the first source', () => {
+    const columns = suggestColumnMapping([
+        source('q1', ['Customer ID', 'Revenue', 'Order Date']),
+        source('q2', ['Sales', 'client id', 'Date', 'Region'])
+    ]);
+    
+    assert.deepStrictEqual(plain(columns), [
+        { name: 'Customer ID', sources: { q1: 0, q2: 1 } },
+        { name: 'Revenue', sources: { q1: 1, q2: 0 } },
+        { name: 'Order Date', sources: { q1: 2, q2: 2 } },
+        { name: 'Region', sources: { q1: -1, q2: 3 } }
+    ]);
+});
+
+test('each header is mapped to one column at most', () => {
+    const columns = suggestColumnMapping([
+        source('a', ['Amount', 'Total', '']),
+        source('b', ['amount'])
+    ]);
+    
+    assert.deepStrictEqual(plain(columns), [
+        { name: 'Amount', sources: { a: 0, b: 0 } },
+        { name: 'Total', sources: { a: 1, b: -1 } }
+    ]);
+});
+
+function wizardFor(options = {}) {
+    const sources = [
+        source('q1', ['ID', 'Name', 'Amount'], [
+            ['1', 'Ann', 10],
+            ['2', 'Bob', ''],
+            ['', '', ''],
+            ['3', 'Cy', 30]
+        ]),
+        source('q2', ['Amount', 'ID'], [
+            [20, '2'],
+            [40, ' 4 '],
+            [10, '1']
+        ])
+    ];
+    return {
+        sources: sources,
+        columns: suggestColumnMapping(sources),
+        mode: 'append',
+        keyColumn: 0,
+        dedupe: 'none',
+        includeSource: false,
+        ...options
+    };
+}
+
+test('append stacks the rows of every source and skips empty ones', () => {
+    const merged = mergeConsolidationSources(wizardFor());
+    
+    assert.deepStrictEqual(plain(merged.headers), ['ID', 'Name', 'Amount']);
+    assert.deepStrictEqual(plain(merged.rows), [
+        ['1', 'Ann', 10],
+        ['2', 'Bob', ''],
+        ['3', 'Cy', 30],
+        ['2', '', 20],
+        [' 4 ', '', 40],
+        ['1', '', 10]
+    ]);
+    assert.strictEqual(merged.rowsIn, 6);
+    assert.strictEqual(merged.duplicatesRemoved, 0);
+});
+
+test('join merges rows with the same key and fills in empty values', () => {
+    const merged = mergeConsolidationSources(wizardFor({ mode: 'join', includeSource: true }));
+    
+    assert.deepStrictEqual(plain(merged.headers), ['ID', 'Name', 'Amount', 'Source File']);
+    assert.deepStrictEqual(plain(merged.rows), [
+        ['1', 'Ann', 10, 'q1.csv; q2.csv'],
+        ['2', 'Bob', 20, 'q1.csv; q2.csv'],
+        ['3', 'Cy', 30, 'q1.csv'],
+        [' 4 ', '', 40, 'q2.csv']
+    ]);
+    assert.strictEqual(merged.rowsIn, 6);
+});
+
+test('dedupe by key keeps the first row for each key', () => {
+    const merged = mergeConsolidationSources(wizardFor({ dedupe: 'key' }));
+    
+    assert.deepStrictEqual(Array.from(merged.rows, row => row[0]), ['1', '2', '3', ' 4 ']);
+    assert.strictEqual(merged.duplicatesRemoved, 2);
+});
+
+test('dedupe of whole rows only drops exact copies', () => {
+    const wizard = wizardFor({ dedupe: 'row' });
+    wizard.sources[1].rows.push([20, '2']);
+    const merged = mergeConsolidationSources(wizard);
+    
+    assert.strictEqual(merged.rows.length, 6);
+    assert.strictEqual(merged.duplicatesRemoved, 1);
+});
+
+test('output headers are made unique, including the source column', () => {
+    const sources = [source('a', ['Source File', 'source file'], [['x', 'y']])];
+    const merged = mergeConsolidationSources({
+        sources: sources,
+        columns: suggestColumnMapping(sources),
+        mode: 'append',
+        keyColumn: 0,
+        dedupe: 'none',
+        includeSource: true
+    });
+    
+    assert.deepStrictEqual(plain(merged.headers), ['Source File', 'source file 2', 'Source File 3']);
+});
+
+test('text that Excel would run as a formula is written as text', async (t) => {
+    const cases = [
+        ['=HYPERLINK("http://x","click")', '\'=HYPERLINK("http://x","click")'],
+        ['@SUM(A1)', '\'@SUM(A1)'],
+        ['+cmd', '\'+cmd'],
+        ['-2+3', '\'-2+3'],
+        ['-5', '-5'],
+        ['+1.5', '+1.5'],
+        ['plain', 'plain'],
+        [42, 42],
+        [true, true]
+    ];
+    
+    for (const [value, written] of cases) {
+        await t.test(String(value), () => assert.strictEqual(toWorksheetValue(value), written));
+    }
+});
+
+test('dates are written as serial numbers with a date format', () => {
+    assert.strictEqual(toWorksheetValue(contextDate(2024, 0, 31)), 45322);
+    assert.strictEqual(toWorksheetValue(contextDate(2024, 0, 31, 18)), 45322.75);
+    assert.strictEqual(toWorksheetFormat(contextDate(2024, 0, 31)), 'yyyy-mm-dd');
+    assert.strictEqual(toWorksheetFormat(contextDate(2024, 0, 31, 18)), 'yyyy-mm-dd hh:mm:ss');
+    assert.strictEqual(toWorksheetFormat('2024-01-31'), 'General');
+});
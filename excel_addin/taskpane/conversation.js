@@ -0,0 +1,199 @@
+/**
+ * LyncFormula Conversation Sessions
+ * Keeps a multi-turn thread per workbook so follow-up questions can refer to
+ * earlier results. The workbook carries a generated ID in its document
+ * settings; the turns themselves are kept in localStorage under that ID.
+ */
+
+const WORKBOOK_ID_SETTING = 'lyncformula-workbook-id';
+const SESSION_STORAGE_PREFIX = 'lyncformula-session-';
+const MAX_SESSION_TURNS = 40;
+const HISTORY_TURNS_SENT = 12;
+const MAX_TURN_LENGTH = 4000;
+
+let conversationSession = null;
+
+/**
+ * Load (or start) the conversation for the open workbook
+ */
+async function loadConversation() {
+    let workbookId = getDocumentSetting(WORKBOOK_ID_SETTING, null);
+    if (!workbookId) {
+        workbookId = generateId('workbook');
+        try {
+            await setDocumentSetting(WORKBOOK_ID_SETTING, workbookId);
+        } catch (error) {
+            console.warn('Could not store workbook ID:', error);
+        }
+    }
+    
+    try {
+        const stored = localStorage.getItem(SESSION_STORAGE_PREFIX + workbookId);
+        conversationSession = stored ? JSON.parse(stored) : createSession(workbookId);
+    } catch (error) {
+        console.error('Error loading conversation:', error);
+        conversationSession = createSession(workbookId);
+    }
+    
+    renderConversation();
+}
+
+function createSession(workbookId) {
+    return {
+        workbookId: workbookId,
+        sessionId: generateId('session'),
+        turns: []
+    };
+}
+
+function generateId(prefix) {
+    const random = window.crypto && crypto.randomUUID ?
+        crypto.randomUUID() :
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    return `${prefix}-${random}`;
+}
+
+function saveConversation() {
+    if (!conversationSession) return;
+    
+    try {
+        localStorage.setItem(SESSION_STORAGE_PREFIX + conversationSession.workbookId,
+            JSON.stringify(conversationSession));
+    } catch (error) {
+        console.error('Error saving conversation:', error);
+    }
+}
+
+/**
+ * Session fields added to every service request
+ */
+function getConversationPayload() {
+    if (!conversationSession) return {};
+    
+    return {
+        session_id: conversationSession.sessionId,
+        history: conversationSession.turns.slice(-HISTORY_TURNS_SENT).map(turn => ({
+            role: turn.role,
+            content: turn.content
+        }))
+    };
+}
+
+/**
+ * Append a question and the answer it produced to the thread
+ */
+function recordConversationTurn(query, result, endpoint) {
+    if (!conversationSession) return;
+    
+    // The service may assign its own session ID on the first turn
+    if (result.session_id) {
+        conversationSession.sessionId = result.session_id;
+    }
+    
+    const timestamp = new Date().toISOString();
+    conversationSession.turns.push(
+        { role: 'user', content: query, timestamp },
+        { role: 'assistant', content: describeResultForConversation(result), endpoint, timestamp }
+    );
+    conversationSession.turns = conversationSession.turns.slice(-MAX_SESSION_TURNS);
+    
+    saveConversation();
+    renderConversation();
+}
+
+/**
+ * Condense a result into text the service can refer back to in later turns
+ */
+function describeResultForConversation(result) {
+    let text;
+    
+    if (result.answer || result.response) {
+        text = result.answer || result.response;
+    } else if (result.issues) {
+        const lines = result.issues.map(issue =>
+            `- [${(issue.severity || 'low').toUpperCase()}] ${issue.title} at ${issue.cell_address}: ${issue.description}`
+        );
+        text = `Audit found ${result.issues.length} issue${result.issues.length === 1 ? '' : 's'}` +
+            (result.offline ? ' (offline rules)' : '') + (lines.length ? `:\n${lines.join('\n')}` : '.');
+    } else if (result.explanations) {
+        text = result.explanations.map(item => `- ${item.address} (${item.formula}): ${item.explanation}`).join('\n');
+    } else if (result.analysis_results) {
+        text = result.analysis_results.map(item =>
+            `- ${item.address}: ${item.explanation}` + (item.has_errors ? ` Issues: ${item.error_details}` : '')
+        ).join('\n');
+    } else if (result.consolidated_file) {
+        text = `Consolidated ${result.files_processed} files into ${result.consolidated_file} (${result.rows_merged} rows).`;
+    } else if (result.modernization) {
+        const lines = result.modernization.candidates.map(item =>
+            `- ${item.address}: ${item.before} → ${item.after} (${item.verified})`
+        );
+        text = `Found ${lines.length} formulas to modernize in ${result.modernization.scope}` + (lines.length ? `:\n${lines.join('\n')}` : '.');
+    } else if (result.performance) {
+        const lines = result.performance.formulas.slice(0, 10).map(item =>
+            `- ${item.address} (${(item.share * 100).toFixed(1)}% of estimated cost): ${item.factors.map(factor => factor.label).join(', ') || 'large references'}`
+        );
+        text = `Profiled ${result.performance.scanned} formulas. Most expensive:\n${lines.join('\n')}`;
+    } else if (result.authoring) {
+        text = `Suggested ${result.authoring.formula} for ${result.authoring.target.sheet}!${result.authoring.target.address}.` +
+            (result.authoring.explanation ? ` ${result.authoring.explanation}` : '');
+    } else if (result.applied_fixes) {
+        text = `Applied ${result.applied_fixes.length} formula fixes.`;
+    } else {
+        text = result.summary || result.message || JSON.stringify(result);
+    }
+    
+    text = String(text);
+    return text.length > MAX_TURN_LENGTH ? `${text.slice(0, MAX_TURN_LENGTH)}…` : text;
+}
+
+/**
+ * Start a fresh conversation for this workbook
+ */
+function clearConversation() {
+    if (!conversationSession) return;
+    
+    conversationSession = createSession(conversationSession.workbookId);
+    saveConversation();
+    renderConversation();
+    showNotification('Started a new conversation');
+}
+
+/**
+ * Draw the thread; the section stays hidden until the first turn
+ */
+function renderConversation() {
+    const section = document.getElementById('conversation-section');
+    const thread = document.getElementById('conversation-thread');
+    const turns = conversationSession ? conversationSession.turns : [];
+    
+    section.style.display = turns.length > 0 ? 'block' : 'none';
+    thread.innerHTML = '';
+    
+    turns.forEach(turn => {
+        const bubble = document.createElement('div');
+        bubble.className = `chat-turn chat-${turn.role}`;
+        
+        const content = document.createElement('div');
+        content.className = 'chat-content';
+        content.textContent = turn.content;
+        bubble.appendChild(content);
+        
+        const meta = document.createElement('div');
+        meta.className = 'chat-meta';
+        meta.textContent = new Date(turn.timestamp).toLocaleTimeString() +
+            (turn.endpoint ? ` · ${turn.endpoint.replace('/', '')}` : '');
+        bubble.appendChild(meta);
+        
+        thread.appendChild(bubble);
+    });
+    
+    thread.scrollTop = thread.scrollHeight;
+    
+    const input = document.getElementById('natural-language-input');
+    if (input.dataset.defaultPlaceholder === undefined) {
+        input.dataset.defaultPlaceholder = input.placeholder;
+    }
+    input.placeholder = turns.length > 0 ?
+        'Ask a follow-up, e.g. "Why is that one high severity?"' :
+        input.dataset.defaultPlaceholder;
+}
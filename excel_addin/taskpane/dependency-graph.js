@@ -0,0 +1,479 @@
+/**
+ * LyncFormula Dependency Graph
+ * Parses every formula in the workbook into a precedent/dependent graph and
+ * renders a browsable tree for the selected cell in the task pane.
+ */
+
+const MAX_TREE_CHILDREN = 50;
+
+let dependencyGraph = null;
+let dependencyRoot = null;
+let dependencyDirection = 'precedents';
+
+/**
+ * Read every worksheet and named range and build the workbook graph. Sheets
+ * are read in chunks of CONTEXT_LIMITS.chunkCells cells, like the context
+ * sent to the service.
+ */
+async function buildDependencyGraph() {
+    return Excel.run(async (context) => {
+        const worksheets = context.workbook.worksheets;
+        worksheets.load('items/name');
+        
+        const workbookNames = context.workbook.names;
+        workbookNames.load('items/name, items/formula, items/type');
+        
+        const tables = context.workbook.tables;
+        tables.load('items/name, items/showTotals');
+        
+        await context.sync();
+        
+        const tableRanges = tables.items.map(table => {
+            const range = table.getRange();
+            range.load('rowIndex, columnIndex, rowCount, columnCount');
+            range.worksheet.load('name');
+            
+            const headerRow = table.getHeaderRowRange();
+            headerRow.load('values');
+            
+            return { table, range, headerRow };
+        });
+        
+        const sheets = worksheets.items.map(worksheet => {
+            const usedRange = worksheet.getUsedRangeOrNullObject();
+            usedRange.load('rowIndex, columnIndex, rowCount, columnCount');
+            
+            const sheetNames = worksheet.names;
+            sheetNames.load('items/name, items/formula, items/type');
+            
+            return { worksheet, name: worksheet.name, usedRange, sheetNames };
+        });
+        
+        await context.sync();
+        
+        const graph = {
+            cells: new Map(),
+            names: {},
+            tables: {},
+            sheetOrder: sheets.map(sheet => sheet.name),
+            sheetExtents: {},
+            sheetCount: sheets.length,
+            crossSheetCount: 0,
+            builtAt: new Date()
+        };
+        
+        tableRanges.forEach(({ table, range, headerRow }) => {
+            graph.tables[table.name.toUpperCase()] = {
+                sheet: range.worksheet.name,
+                startRow: range.rowIndex,
+                endRow: range.rowIndex + range.rowCount - 1,
+                startCol: range.columnIndex,
+                endCol: range.columnIndex + range.columnCount - 1,
+                columns: headerRow.values[0].map(value => value.toString().toUpperCase()),
+                showTotals: table.showTotals
+            };
+        });
+        
+        // Names and tables first, so formulas can resolve them to their target ranges
+        const namedItems = workbookNames.items.map(item => ({ item, sheet: null }));
+        sheets.forEach(sheet => {
+            sheet.sheetNames.items.forEach(item => namedItems.push({ item, sheet: sheet.name }));
+        });
+        
+        namedItems.forEach(({ item, sheet }) => {
+            if (item.type !== 'Range' || !item.formula) return;
+            
+            const key = item.name.toUpperCase();
+            const refs = extractFormulaReferences(item.formula, { sheet: sheet || '', graph, names: {} });
+            graph.names[sheet ? `${sheet}!${key}` : key] = refs;
+        });
+        
+        for (const sheet of sheets) {
+            if (sheet.usedRange.isNullObject) continue;
+            
+            const { rowIndex, columnIndex, rowCount, columnCount } = sheet.usedRange;
+            const sheetNames = getNamesForSheet(graph.names, sheet.name);
+            
+            graph.sheetExtents[sheet.name] = {
+                endRow: rowIndex + rowCount - 1,
+                endCol: columnIndex + columnCount - 1
+            };
+            
+            await readRangeInChunks(context, sheet.worksheet, sheet.usedRange, 'formulas', CONTEXT_LIMITS.chunkCells, (chunk, startRow) => {
+                chunk.formulas.forEach((rowFormulas, row) => {
+                    rowFormulas.forEach((formula, col) => {
+                        setGraphCell(graph, sheet.name, rowIndex + startRow + row, columnIndex + col, formula, sheetNames);
+                    });
+                });
+            });
+        }
+        
+        return graph;
+    });
+}
+
+/**
+ * Add, replace or (for a value or empty cell) remove a cell of the graph
+ */
+function setGraphCell(graph, sheet, row, col, formula, names = getNamesForSheet(graph.names, sheet)) {
+    const key = getCellKey(sheet, row, col);
+    const previous = graph.cells.get(key);
+    if (previous) {
+        graph.crossSheetCount -= previous.refs.filter(ref => ref.sheet !== sheet).length;
+        graph.cells.delete(key);
+    }
+    
+    if (!formula || !formula.toString().startsWith('=')) return;
+    
+    const refs = extractFormulaReferences(formula.toString(), { sheet, row, col, graph, names });
+    graph.crossSheetCount += refs.filter(ref => ref.sheet !== sheet).length;
+    graph.cells.set(key, {
+        sheet: sheet,
+        row: row,
+        col: col,
+        formula: formula.toString(),
+        refs: refs
+    });
+}
+
+/**
+ * Names visible from a sheet: workbook names overridden by sheet-scoped ones
+ */
+function getNamesForSheet(names, sheetName) {
+    const visible = {};
+    
+    Object.keys(names).forEach(key => {
+        if (!key.includes('!')) {
+            visible[key] = names[key];
+        }
+    });
+    
+    Object.keys(names).forEach(key => {
+        if (key.startsWith(`${sheetName}!`)) {
+            visible[key.substring(sheetName.length + 1)] = names[key];
+        }
+    });
+    
+    return visible;
+}
+
+/**
+ * Extract the ranges a formula refers to using the shared formula parser.
+ * The scope gives the formula's own sheet and cell plus the graph's names and tables.
+ * Formulas the parser cannot read contribute no references.
+ */
+function extractFormulaReferences(formula, scope) {
+    const ast = tryParseFormula(formula);
+    if (!ast) {
+        console.warn('Could not parse formula for dependency graph:', formula);
+        return [];
+    }
+    
+    const refs = [];
+    
+    collectFormulaReferences(ast).forEach(node => {
+        if (node.type === 'Name') {
+            const key = node.sheet ? `${node.sheet}!${node.name.toUpperCase()}` : node.name.toUpperCase();
+            const namedRefs = node.sheet ? scope.graph.names[key] : scope.names[key];
+            (namedRefs || []).forEach(ref => refs.push({ ...ref, name: node.name }));
+        } else if (node.type === 'StructuredReference') {
+            const ref = resolveStructuredReference(node, scope);
+            if (ref) refs.push(ref);
+        } else if (node.style === 'A1' && node.kind !== 'error' && !node.workbook) {
+            getReferencedSheets(node, scope).forEach(sheet => {
+                const ref = parseRangeAddress(node.address, sheet);
+                if (ref) refs.push(ref);
+            });
+        }
+    });
+    
+    return refs;
+}
+
+/**
+ * Sheets covered by a reference; a 3D reference spans every sheet between its ends
+ */
+function getReferencedSheets(node, scope) {
+    const first = node.sheet || scope.sheet;
+    if (!node.sheetEnd) return [first];
+    
+    const order = scope.graph.sheetOrder || [];
+    const from = order.indexOf(first);
+    const to = order.indexOf(node.sheetEnd);
+    if (from === -1 || to === -1) return [first, node.sheetEnd];
+    
+    return order.slice(Math.min(from, to), Math.max(from, to) + 1);
+}
+
+/**
+ * Resolve Table1[Column], Table1[[#Headers],[A]:[B]] or [@Column] to a range
+ */
+function resolveStructuredReference(node, scope) {
+    const tables = scope.graph.tables || {};
+    const table = node.table ?
+        tables[node.table.toUpperCase()] :
+        Object.values(tables).find(candidate => rangeContains(candidate, scope.sheet, scope.row, scope.col));
+    if (!table) return null;
+    
+    const specifiers = node.items.filter(item => item.type === 'specifier').map(item => item.value.toUpperCase());
+    const columns = node.items.filter(item => item.type !== 'specifier');
+    
+    const dataStart = table.startRow + 1;
+    const dataEnd = table.showTotals ? table.endRow - 1 : table.endRow;
+    
+    let startRow = dataStart;
+    let endRow = dataEnd;
+    if (specifiers.includes('#THIS ROW')) {
+        startRow = endRow = scope.row;
+    } else if (specifiers.includes('#ALL')) {
+        startRow = table.startRow;
+        endRow = table.endRow;
+    } else if (specifiers.length > 0) {
+        const rows = [];
+        if (specifiers.includes('#HEADERS')) rows.push(table.startRow);
+        if (specifiers.includes('#DATA')) rows.push(dataStart, dataEnd);
+        if (specifiers.includes('#TOTALS') && table.showTotals) rows.push(table.endRow);
+        if (rows.length === 0) return null;
+        startRow = Math.min(...rows);
+        endRow = Math.max(...rows);
+    }
+    
+    let startCol = table.startCol;
+    let endCol = table.endCol;
+    if (columns.length > 0) {
+        const indexes = [];
+        columns.forEach(item => {
+            indexes.push(table.columns.indexOf(item.value.toUpperCase()));
+            if (item.end) indexes.push(table.columns.indexOf(item.end.toUpperCase()));
+        });
+        if (indexes.includes(-1)) return null;
+        startCol = table.startCol + Math.min(...indexes);
+        endCol = table.startCol + Math.max(...indexes);
+    }
+    
+    const ref = { sheet: table.sheet, startRow, endRow, startCol, endCol, name: node.text };
+    ref.address = formatRangeAddress(ref);
+    return ref;
+}
+
+function getCellKey(sheet, row, col) {
+    return formatRangeAddress({ sheet, startRow: row, endRow: row, startCol: col, endCol: col });
+}
+
+function rangeContains(ref, sheet, row, col) {
+    return ref.sheet === sheet &&
+        row >= ref.startRow && row <= ref.endRow &&
+        col >= ref.startCol && col <= ref.endCol;
+}
+
+function rangesIntersect(a, b) {
+    return a.sheet === b.sheet &&
+        a.startRow <= b.endRow && b.startRow <= a.endRow &&
+        a.startCol <= b.endCol && b.startCol <= a.endCol;
+}
+
+/**
+ * Children of a node in the precedent direction: the ranges a cell refers to,
+ * or the formula cells inside a multi-cell range
+ */
+function getPrecedentNodes(graph, node) {
+    if (node.startRow === node.endRow && node.startCol === node.endCol) {
+        const cell = graph.cells.get(getCellKey(node.sheet, node.startRow, node.startCol));
+        return cell ? cell.refs : [];
+    }
+    
+    const inside = [];
+    graph.cells.forEach(cell => {
+        if (rangeContains(node, cell.sheet, cell.row, cell.col)) {
+            inside.push(toCellNode(cell));
+        }
+    });
+    return inside;
+}
+
+/**
+ * Children of a node in the dependent direction: formula cells that refer to it
+ */
+function getDependentNodes(graph, node) {
+    const dependents = [];
+    graph.cells.forEach(cell => {
+        if (cell.refs.some(ref => rangesIntersect(ref, node))) {
+            dependents.push(toCellNode(cell));
+        }
+    });
+    return dependents;
+}
+
+/**
+ * Formula cells that depend on any of the nodes, directly or through other
+ * formulas, nearest first. Stops after limit cells.
+ */
+function collectDependentCells(graph, nodes, limit) {
+    const seen = new Set(nodes.map(node => node.address));
+    const queue = [...nodes];
+    const dependents = [];
+    
+    while (queue.length > 0 && dependents.length < limit) {
+        getDependentNodes(graph, queue.shift()).forEach(node => {
+            if (seen.has(node.address) || dependents.length >= limit) return;
+            seen.add(node.address);
+            dependents.push(graph.cells.get(node.address));
+            queue.push(node);
+        });
+    }
+    
+    return dependents;
+}
+
+function toCellNode(cell) {
+    return {
+        sheet: cell.sheet,
+        startRow: cell.row,
+        endRow: cell.row,
+        startCol: cell.col,
+        endCol: cell.col,
+        address: getCellKey(cell.sheet, cell.row, cell.col)
+    };
+}
+
+/**
+ * Dependency explorer UI
+ */
+function showDependencyExplorer() {
+    document.getElementById('dependency-section').style.display = 'block';
+    traceSelectedCell();
+}
+
+function hideDependencyExplorer() {
+    document.getElementById('dependency-section').style.display = 'none';
+}
+
+/**
+ * Build the graph if needed and show the tree for the selected cell
+ */
+async function traceSelectedCell(forceRebuild = false) {
+    const summary = document.getElementById('dependency-summary');
+    const tree = document.getElementById('dependency-tree');
+    
+    try {
+        if (!dependencyGraph || forceRebuild) {
+            summary.textContent = 'Reading formulas across the workbook...';
+            tree.innerHTML = '';
+            dependencyGraph = await buildDependencyGraph();
+        }
+        
+        const selection = await Excel.run(async (context) => {
+            const range = context.workbook.getSelectedRange();
+            range.load('address');
+            range.worksheet.load('name');
+            await context.sync();
+            return { address: range.address, sheet: range.worksheet.name };
+        });
+        
+        const local = splitSheetAddress(selection.address).local;
+        dependencyRoot = parseRangeAddress(local.split(':')[0], selection.sheet);
+        
+        summary.textContent = `${dependencyGraph.cells.size} formulas across ${dependencyGraph.sheetCount} sheets, ` +
+            `${dependencyGraph.crossSheetCount} cross-sheet references. Built ${dependencyGraph.builtAt.toLocaleTimeString()}.`;
+        
+        renderDependencyTree();
+    } catch (error) {
+        console.error('Dependency trace failed:', error);
+        summary.textContent = `Could not build dependency graph: ${error.message}`;
+    }
+}
+
+function setDependencyDirection(direction) {
+    dependencyDirection = direction;
+    document.getElementById('btn-dep-precedents').classList.toggle('ms-Button--primary', direction === 'precedents');
+    document.getElementById('btn-dep-dependents').classList.toggle('ms-Button--primary', direction === 'dependents');
+    renderDependencyTree();
+}
+
+function renderDependencyTree() {
+    const tree = document.getElementById('dependency-tree');
+    tree.innerHTML = '';
+    
+    if (!dependencyGraph || !dependencyRoot) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'dep-tree';
+    list.appendChild(createDependencyNode(dependencyRoot, []));
+    tree.appendChild(list);
+    
+    // Open the first level straight away
+    list.querySelector('.dep-toggle').click();
+}
+
+/**
+ * Create a lazily expanded tree node. The ancestor path is used to stop on cycles.
+ */
+function createDependencyNode(node, ancestors) {
+    const item = document.createElement('li');
+    item.className = 'dep-node';
+    
+    const cell = graphCellForNode(node);
+    const circular = ancestors.includes(node.address);
+    const children = circular ? [] : (dependencyDirection === 'precedents' ?
+        getPrecedentNodes(dependencyGraph, node) :
+        getDependentNodes(dependencyGraph, node));
+    
+    const toggle = document.createElement('span');
+    toggle.className = 'dep-toggle';
+    toggle.textContent = children.length > 0 ? '▸' : '•';
+    
+    const label = document.createElement('span');
+    label.className = 'dep-label';
+    label.textContent = node.name ? `${node.name} (${node.address})` : node.address;
+    label.title = 'Select in Excel';
+    label.addEventListener('click', () => selectRangeInExcel(node.address));
+    
+    item.appendChild(toggle);
+    item.appendChild(label);
+    
+    if (cell) {
+        const formula = document.createElement('code');
+        formula.className = 'dep-formula';
+        formula.textContent = cell.formula;
+        item.appendChild(formula);
+    }
+    
+    if (circular) {
+        const badge = document.createElement('span');
+        badge.className = 'severity-badge';
+        badge.textContent = 'circular';
+        item.appendChild(badge);
+    }
+    
+    if (children.length > 0) {
+        const childList = document.createElement('ul');
+        childList.style.display = 'none';
+        item.appendChild(childList);
+        
+        toggle.addEventListener('click', () => {
+            const open = childList.style.display !== 'none';
+            if (!open && childList.childElementCount === 0) {
+                const path = [...ancestors, node.address];
+                children.slice(0, MAX_TREE_CHILDREN).forEach(child => {
+                    childList.appendChild(createDependencyNode(child, path));
+                });
+                
+                if (children.length > MAX_TREE_CHILDREN) {
+                    const more = document.createElement('li');
+                    more.className = 'dep-more';
+                    more.textContent = `…and ${children.length - MAX_TREE_CHILDREN} more`;
+                    childList.appendChild(more);
+                }
+            }
+            childList.style.display = open ? 'none' : 'block';
+            toggle.textContent = open ? '▸' : '▾';
+        });
+    }
+    
+    return item;
+}
+
+function graphCellForNode(node) {
+    if (node.startRow !== node.endRow || node.startCol !== node.endCol) return null;
+    return dependencyGraph.cells.get(getCellKey(node.sheet, node.startRow, node.startCol)) || null;
+}
@@ -0,0 +1,337 @@
+/**
+ * LyncFormula File Import
+ * Real file selection for consolidation: .xlsx/.csv files are picked or
+ * dropped, read in the browser (SheetJS for workbooks) and previewed with
+ * their sheets and headers. Sheets of the open workbook can be added too.
+ */
+
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const SUPPORTED_FILE_TYPES = ['xlsx', 'xlsm', 'xls', 'csv'];
+const MAX_PREVIEW_HEADERS = 8;
+
+/**
+ * Wire up the file input, drop zone and workbook sheet picker
+ */
+function setupFileImport() {
+    const fileInput = document.getElementById('file-input');
+    const dropZone = document.getElementById('file-drop-zone');
+    
+    document.getElementById('btn-browse-files').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        addFiles(Array.from(fileInput.files));
+        fileInput.value = '';
+    });
+    
+    ['dragenter', 'dragover'].forEach(type => {
+        dropZone.addEventListener(type, (event) => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+    });
+    ['dragleave', 'drop'].forEach(type => {
+        dropZone.addEventListener(type, () => dropZone.classList.remove('drag-over'));
+    });
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        addFiles(Array.from(event.dataTransfer.files));
+    });
+    
+    document.getElementById('btn-workbook-sheets').addEventListener('click', showWorkbookSheetPicker);
+    
+    document.getElementById('selected-files').addEventListener('click', (event) => {
+        const remove = event.target.closest('.file-remove');
+        if (remove) {
+            removeFile(remove.dataset.fileId);
+        }
+    });
+}
+
+/**
+ * Read and add picked or dropped files
+ */
+async function addFiles(files) {
+    for (const file of files) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        
+        if (!SUPPORTED_FILE_TYPES.includes(extension)) {
+            showError(`${file.name}: only ${SUPPORTED_FILE_TYPES.map(type => '.' + type).join(', ')} files can be consolidated`);
+            continue;
+        }
+        if (file.size > MAX_UPLOAD_BYTES) {
+            showError(`${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+            continue;
+        }
+        if (selectedFiles.some(item => item.source === 'upload' && item.name === file.name && item.size === file.size)) {
+            continue;
+        }
+        
+        try {
+            selectedFiles.push(await readUploadedFile(file, extension));
+            updateSelectedFilesList();
+        } catch (error) {
+            console.error(`Could not read ${file.name}:`, error);
+            showError(`Could not read ${file.name}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Parse one file into { id, name, source, type, size, content, sheets }.
+ * Each sheet keeps its rows (array of arrays) for client-side use.
+ */
+async function readUploadedFile(file, extension) {
+    const buffer = await file.arrayBuffer();
+    let sheets;
+    
+    if (extension === 'csv') {
+        const rows = parseCsv(decodeCsv(buffer));
+        sheets = [describeSheet(file.name.replace(/\.csv$/i, ''), rows)];
+    } else {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Excel file support did not load - reload the add-in');
+        }
+        // Dates are read as Date objects so they can be written back as dates
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        sheets = workbook.SheetNames.map(name =>
+            describeSheet(name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' }))
+        );
+    }
+    
+    return {
+        id: generateId('file'),
+        name: file.name,
+        path: file.name,
+        source: 'upload',
+        type: extension,
+        size: file.size,
+        content: arrayBufferToBase64(buffer),
+        sheets: sheets
+    };
+}
+
+/**
+ * Headers are taken from the first non-empty row; blank rows are dropped
+ */
+function describeSheet(name, rows) {
+    const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+    const headers = headerIndex >= 0 ? rows[headerIndex].map(cell => String(cell).trim()) : [];
+    
+    while (headers.length > 0 && headers[headers.length - 1] === '') {
+        headers.pop();
+    }
+    
+    const dataRows = headerIndex >= 0 ?
+        rows.slice(headerIndex + 1).filter(row => row.some(cell => String(cell).trim() !== '')) : [];
+    return {
+        name: name,
+        headers: headers,
+        rowCount: dataRows.length,
+        rows: dataRows
+    };
+}
+
+/**
+ * CSV text from its bytes. Files with a byte order mark say what they are;
+ * otherwise UTF-8 is tried first, and text that is not valid UTF-8 is read as
+ * Windows-1252, which Excel uses when saving plain "CSV (Comma delimited)".
+ */
+function decodeCsv(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+    
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    text = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * List the open workbook's worksheets so they can be added as sources
+ */
+async function showWorkbookSheetPicker() {
+    const picker = document.getElementById('workbook-sheet-picker');
+    
+    if (picker.style.display === 'block') {
+        picker.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const names = await Excel.run(async (context) => {
+            const worksheets = context.workbook.worksheets;
+            worksheets.load('items/name');
+            await context.sync();
+            return worksheets.items.map(sheet => sheet.name);
+        });
+        
+        picker.innerHTML = '';
+        names.forEach(name => {
+            const added = selectedFiles.some(item => item.source === 'workbook' && item.name === name);
+            const button = document.createElement('button');
+            button.className = 'ms-Button ms-Button--default ms-Button--small';
+            button.textContent = added ? `✓ ${name}` : name;
+            button.disabled = added;
+            button.addEventListener('click', () => addWorkbookSheet(name));
+            picker.appendChild(button);
+        });
+        
+        picker.style.display = 'block';
+    } catch (error) {
+        console.error('Could not list worksheets:', error);
+        showError(`Could not list worksheets: ${error.message}`);
+    }
+}
+
+/**
+ * Add a worksheet of the open workbook as a consolidation source
+ */
+async function addWorkbookSheet(name) {
+    try {
+        const rows = await Excel.run(async (context) => {
+            const range = context.workbook.worksheets.getItem(name).getUsedRangeOrNullObject(true);
+            range.load('values');
+            await context.sync();
+            return range.isNullObject ? [] : range.values;
+        });
+        
+        selectedFiles.push({
+            id: generateId('sheet'),
+            name: name,
+            path: 'This workbook',
+            source: 'workbook',
+            type: 'worksheet',
+            sheets: [describeSheet(name, rows)]
+        });
+        
+        document.getElementById('workbook-sheet-picker').style.display = 'none';
+        updateSelectedFilesList();
+    } catch (error) {
+        console.error(`Could not read worksheet ${name}:`, error);
+        showError(`Could not read worksheet ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * The selected files as sent to the service. Uploads carry their bytes;
+ * workbook sheets carry their rows since the service cannot read them.
+ */
+function getSelectedFilesPayload() {
+    return selectedFiles.map(file => ({
+        name: file.name,
+        source: file.source,
+        type: file.type,
+        size: file.size,
+        content: file.content,
+        sheets: file.sheets.map(sheet => ({
+            name: sheet.name,
+            headers: sheet.headers,
+            row_count: sheet.rowCount,
+            rows: file.source === 'workbook' ? sheet.rows : undefined
+        }))
+    }));
+}
+
+function updateSelectedFilesList() {
+    const filesList = document.getElementById('selected-files');
+    filesList.innerHTML = '';
+    
+    selectedFiles.forEach(file => {
+        const item = document.createElement('div');
+        item.className = 'file-item';
+        
+        const sheets = file.sheets.map(sheet => {
+            const shown = sheet.headers.slice(0, MAX_PREVIEW_HEADERS).map(header =>
+                html`<span class="file-header">${header || '(blank)'}</span>`
+            );
+            const more = sheet.headers.length > MAX_PREVIEW_HEADERS ?
+                html`<span class="file-header-more">+${sheet.headers.length - MAX_PREVIEW_HEADERS} more</span>` : '';
+            
+            return html`
+                <div class="file-sheet">
+                    <div class="file-sheet-name">${sheet.name} · ${sheet.rowCount} rows</div>
+                    <div class="file-headers">${shown.length > 0 ? shown : html`<em>No headers detected</em>`}${more}</div>
+                </div>
+            `;
+        });
+        
+        const size = file.size ? ` · ${(file.size / 1024).toFixed(1)} KB` : '';
+        item.innerHTML = html`
+            <div class="file-info">
+                <div class="file-name">${file.name}</div>
+                <div class="file-path">${file.path}${size}</div>
+                ${sheets}
+            </div>
+            <div class="file-remove" data-file-id="${file.id}" title="Remove">
+                <i class="ms-Icon ms-Icon--Cancel"></i>
+            </div>
+        `;
+        
+        filesList.appendChild(item);
+    });
+    
+    // Consolidating selected files works offline too
+    validateInput();
+}
+
+function removeFile(fileId) {
+    selectedFiles = selectedFiles.filter(file => file.id !== fileId);
+    updateSelectedFilesList();
+}
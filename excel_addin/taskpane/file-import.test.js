@@ -0,0 +1,90 @@
+/**
+ * Tests for reading uploaded CSV files: decoding, parsing and picking the
+ * header row. The importer is a plain browser script, so it is loaded into a
+ * VM context instead of being required.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const importer = vm.createContext({ TextDecoder });
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'file-import.js'), 'utf8'), importer);
+const { decodeCsv, parseCsv, describeSheet } = importer;
+
+// Objects made inside the context are not deepStrictEqual to ones made here
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const bytes = (...values) => new Uint8Array(values.flat()).buffer;
+
+test('CSV fields are split on commas and line breaks', async (t) => {
+    const cases = [
+        ['a,b,c\n1,2,3', [['a', 'b', 'c'], ['1', '2', '3']]],
+        ['a,b\r\n1,2\r\n', [['a', 'b'], ['1', '2']]],
+        ['a,b\r1,2', [['a', 'b'], ['1', '2']]],
+        ['a,,\n,b,', [['a', '', ''], ['', 'b', '']]],
+        ['a\n\nb', [['a'], [''], ['b']]],
+        ['\uFEFFName,Amount\nAnn,10', [['Name', 'Amount'], ['Ann', '10']]],
+        ['', []]
+    ];
+    
+    for (const [text, rows] of cases) {
+        await t.test(JSON.stringify(text), () => assert.deepStrictEqual(plain(parseCsv(text)), rows));
+    }
+});
+
+test('quoted fields keep commas, quotes and line breaks', async (t) => {
+    const cases = [
+        ['"Smith, J",10', [['Smith, J', '10']]],
+        ['"say ""hi""",x', [['say "hi"', 'x']]],
+        ['"line one\r\nline two",x\ny,z', [['line one\r\nline two', 'x'], ['y', 'z']]],
+        ['"",""', [['', '']]],
+        ['"unterminated,x', [['unterminated,x']]]
+    ];
+    
+    for (const [text, rows] of cases) {
+        await t.test(JSON.stringify(text), () => assert.deepStrictEqual(plain(parseCsv(text)), rows));
+    }
+});
+
+test('CSV bytes are decoded by byte order mark, then as UTF-8', async (t) => {
+    const cases = [
+        ['UTF-8', bytes([0x63, 0x61, 0x66, 0xC3, 0xA9]), 'café'],
+        ['UTF-8 with a byte order mark', bytes([0xEF, 0xBB, 0xBF], [0x63, 0xC3, 0xA9]), 'cé'],
+        ['UTF-16LE', bytes([0xFF, 0xFE], [0x61, 0x00, 0xE9, 0x00]), 'aé'],
+        ['UTF-16BE', bytes([0xFE, 0xFF], [0x00, 0x61, 0x00, 0xE9]), 'aé']
+    ];
+    
+    for (const [name, buffer, text] of cases) {
+        await t.test(name, () => assert.strictEqual(decodeCsv(buffer), text));
+    }
+});
+
+test('CSV bytes that are not UTF-8 are read as Windows-1252', () => {
+    // "Café;Müller" as saved by Excel's plain CSV format
+    assert.strictEqual(decodeCsv(bytes([0x43, 0x61, 0x66, 0xE9, 0x3B, 0x4D, 0xFC, 0x6C, 0x6C, 0x65, 0x72])), 'Café;Müller');
+});
+
+test('the header row is the first row with any text', () => {
+    const sheet = describeSheet('Q1.csv', [
+        ['', ''],
+        [' Name ', 'Amount', '', ''],
+        ['Ann', '10'],
+        ['', ' '],
+        ['Bob', '20']
+    ]);
+    
+    assert.strictEqual(sheet.name, 'Q1.csv');
+    assert.deepStrictEqual(plain(sheet.headers), ['Name', 'Amount']);
+    assert.deepStrictEqual(plain(sheet.rows), [['Ann', '10'], ['Bob', '20']]);
+    assert.strictEqual(sheet.rowCount, 2);
+});
+
+test('a sheet without text has no headers or rows', () => {
+    const sheet = describeSheet('Empty', [['', '']]);
+    assert.strictEqual(sheet.headers.length, 0);
+    assert.strictEqual(sheet.rowCount, 0);
+});
@@ -0,0 +1,318 @@
+/**
+ * LyncFormula Formula Authoring
+ * Turns a description into a formula for the selected cell. The service gets
+ * the headers and tables around the selection; the candidate is previewed on
+ * a scratch sheet and only written (to the cell or down a column) once the
+ * user confirms.
+ */
+
+const AUTHORING_WINDOW_ROWS = 50;
+const AUTHORING_WINDOW_COLUMNS = 12;
+const MAX_FILL_ROWS = 10000;
+const FILL_PREVIEW_ROWS = 5;
+
+/**
+ * Ask the service for a formula and preview it. Returns a result for showResults.
+ */
+async function generateFormula(query, signal) {
+    const target = await collectAuthoringTarget();
+    
+    const response = await postToService('/generate_formula', {
+        query: query,
+        target: target,
+        context: await getCurrentExcelContext(),
+        ...getConversationPayload()
+    }, { signal });
+    
+    if (!response || !response.success) {
+        return response || { success: false, error: 'No formula was returned' };
+    }
+    
+    let formula = String(response.formula || '').trim();
+    if (!formula) {
+        return { success: false, error: 'The service could not write a formula for that description' };
+    }
+    if (!formula.startsWith('=')) {
+        formula = '=' + formula;
+    }
+    
+    return {
+        success: true,
+        authoring: {
+            target: target,
+            formula: formula,
+            explanation: response.explanation || '',
+            preview: await previewAuthoredFormula(target, formula)
+        },
+        session_id: response.session_id
+    };
+}
+
+/**
+ * The selected cell with its column header, the header row above it, the
+ * values on its row, an enclosing table and how far a fill-down would reach
+ */
+async function collectAuthoringTarget() {
+    return Excel.run(async (context) => {
+        const cell = context.workbook.getSelectedRange().getCell(0, 0);
+        cell.load('address, rowIndex, columnIndex');
+        cell.worksheet.load('name');
+        
+        const tables = cell.getTables(false);
+        tables.load('items/name');
+        
+        await context.sync();
+        
+        const row = cell.rowIndex;
+        const col = cell.columnIndex;
+        const firstRow = Math.max(0, row - AUTHORING_WINDOW_ROWS);
+        const firstCol = Math.max(0, col - AUTHORING_WINDOW_COLUMNS);
+        const windowRange = cell.worksheet.getRangeByIndexes(
+            firstRow, firstCol, row - firstRow + 1, col - firstCol + AUTHORING_WINDOW_COLUMNS + 1
+        );
+        windowRange.load('values');
+        
+        const usedRange = cell.worksheet.getUsedRangeOrNullObject(true);
+        usedRange.load('rowIndex, rowCount');
+        
+        let table = null;
+        if (tables.items.length > 0) {
+            const headerRow = tables.items[0].getHeaderRowRange();
+            headerRow.load('values, columnIndex');
+            table = { name: tables.items[0].name, headerRow };
+        }
+        
+        await context.sync();
+        
+        const values = windowRange.values;
+        const headerIndex = findHeaderRow(values, row - firstRow);
+        const headers = headerIndex === -1 ? [] : values[headerIndex]
+            .map((value, i) => ({ column: columnIndexToLetter(firstCol + i), name: String(value).trim() }))
+            .filter(header => header.name !== '');
+        
+        const local = splitSheetAddress(cell.address).local;
+        const target = {
+            address: local,
+            sheet: cell.worksheet.name,
+            row: row + 1,
+            column: columnIndexToLetter(col),
+            header: (headers.find(header => header.column === columnIndexToLetter(col)) || {}).name || null,
+            header_row: headerIndex === -1 ? null : firstRow + headerIndex + 1,
+            headers: headers,
+            row_values: values[row - firstRow]
+                .map((value, i) => ({ column: columnIndexToLetter(firstCol + i), value }))
+                .filter(item => item.value !== '' && item.column !== columnIndexToLetter(col)),
+            table: table ? {
+                name: table.name,
+                column: table.headerRow.values[0][col - table.headerRow.columnIndex]
+            } : null
+        };
+        
+        target.fill_to_row = await findFillExtent(context, cell.worksheet, row, col, usedRange);
+        return target;
+    });
+}
+
+/**
+ * The nearest row above the target whose non-empty cells are all text
+ * (at least two of them), scanning upwards
+ */
+function findHeaderRow(values, targetIndex) {
+    for (let i = targetIndex - 1; i >= 0; i--) {
+        const filled = values[i].filter(value => value !== '' && value !== null);
+        if (filled.length >= 2 && filled.every(value => typeof value === 'string')) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Last row (1-based) a fill-down should reach: the end of the data in the
+ * neighbouring column, bounded by the used range
+ */
+async function findFillExtent(context, worksheet, row, col, usedRange) {
+    if (usedRange.isNullObject) return row + 1;
+    
+    const lastUsedRow = Math.min(usedRange.rowIndex + usedRange.rowCount - 1, row + MAX_FILL_ROWS - 1);
+    if (lastUsedRow <= row) return row + 1;
+    
+    const neighbour = worksheet.getRangeByIndexes(row, col > 0 ? col - 1 : col + 1, lastUsedRow - row + 1, 1);
+    neighbour.load('values');
+    await context.sync();
+    
+    const blank = neighbour.values.findIndex(value => value[0] === '' || value[0] === null);
+    return row + (blank === -1 ? neighbour.values.length : Math.max(1, blank));
+}
+
+/**
+ * Shift the relative rows of every A1 reference, as a fill-down would
+ */
+function shiftFormulaRows(formula, offset) {
+    const ast = tryParseFormula(formula);
+    if (!ast || offset === 0) return formula;
+    
+    const shifted = transformFormulaAst(ast, node => {
+        if (node.type !== 'Reference' || node.style !== 'A1' || (node.kind !== 'cell' && node.kind !== 'range')) {
+            return node;
+        }
+        const address = node.address.replace(/(\$?[A-Za-z]{1,3})(\$?)(\d+)/g, (match, column, absolute, rowNumber) =>
+            absolute ? match : `${column}${Number(rowNumber) + offset}`
+        );
+        const prefix = node.text.substring(0, node.text.length - node.address.length);
+        return { ...node, address, text: prefix + address, start: undefined, end: undefined };
+    });
+    
+    return formatFormula(shifted, formula);
+}
+
+/**
+ * Values of the formula at the target and the first rows of a fill-down
+ */
+async function previewAuthoredFormula(target, formula) {
+    const rows = Math.min(FILL_PREVIEW_ROWS, target.fill_to_row - target.row + 1);
+    const items = [];
+    for (let offset = 0; offset < Math.max(1, rows); offset++) {
+        items.push({ address: `${target.column}${target.row + offset}`, formula: shiftFormulaRows(formula, offset) });
+    }
+    
+    try {
+        const values = await evaluateOnScratchSheet(target.sheet, items);
+        return items.map((item, i) => ({ address: item.address, value: values[i] }));
+    } catch (error) {
+        console.warn('Could not preview formula:', error);
+        return [];
+    }
+}
+
+/**
+ * Candidate formula with its preview and insert / fill-down actions. Each
+ * card edits and inserts its own draft, so older cards keep working.
+ */
+function showAuthoringResults(result, container) {
+    const draft = { ...result.authoring };
+    const { target } = draft;
+    const fillAddress = `${target.address}:${target.column}${target.fill_to_row}`;
+    const context = target.table ? `column ${target.table.column} of ${target.table.name}` :
+        target.header ? `column "${target.header}"` : '';
+    
+    const item = document.createElement('div');
+    item.className = 'result-item authoring-result';
+    item.innerHTML = html`
+        <div class="result-header">
+            <strong>Formula for ${target.sheet}!${target.address}</strong>
+            ${context ? html`<span class="severity-badge">${context}</span>` : ''}
+        </div>
+        <div class="result-content">
+            <input type="text" class="ms-TextField-field authoring-formula" value="${draft.formula}" spellcheck="false" />
+            ${draft.explanation ? renderMarkdown(draft.explanation) : ''}
+            <div class="authoring-preview"></div>
+            <p class="field-error authoring-error" style="display: none;"></p>
+            <div class="authoring-actions">
+                <button class="ms-Button ms-Button--default ms-Button--small btn-authoring-preview">
+                    <span class="ms-Button-label">Update Preview</span>
+                </button>
+                <button class="ms-Button ms-Button--primary ms-Button--small btn-authoring-insert">
+                    <span class="ms-Button-label">Insert into ${target.address}</span>
+                </button>
+                ${target.fill_to_row > target.row ? html`
+                    <button class="ms-Button ms-Button--default ms-Button--small btn-authoring-fill">
+                        <span class="ms-Button-label">Fill down ${fillAddress}</span>
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+    container.appendChild(item);
+    
+    const input = item.querySelector('.authoring-formula');
+    const preview = item.querySelector('.authoring-preview');
+    renderAuthoringPreview(preview, draft.preview);
+    
+    const error = item.querySelector('.authoring-error');
+    const showAuthoringError = (message) => {
+        error.textContent = message;
+        error.style.display = message ? '' : 'none';
+    };
+    
+    input.addEventListener('input', () => {
+        draft.formula = input.value.trim();
+    });
+    item.querySelector('.btn-authoring-preview').addEventListener('click', async () => {
+        preview.textContent = 'Calculating...';
+        draft.preview = await previewAuthoredFormula(target, draft.formula);
+        renderAuthoringPreview(preview, draft.preview);
+    });
+    item.querySelector('.btn-authoring-insert').addEventListener('click', () => insertAuthoredFormula(draft, false, showAuthoringError));
+    const fill = item.querySelector('.btn-authoring-fill');
+    if (fill) {
+        fill.addEventListener('click', () => insertAuthoredFormula(draft, true, showAuthoringError));
+    }
+}
+
+function renderAuthoringPreview(element, preview) {
+    element.innerHTML = preview.length === 0 ?
+        html`<p><em>No preview available - the formula could not be calculated outside the sheet.</em></p>` :
+        html`
+            <table class="authoring-preview-table">
+                ${preview.map(row => html`<tr><td>${row.address}</td><td>${String(row.value)}</td></tr>`)}
+            </table>
+        `;
+}
+
+/**
+ * Write the draft to the target cell, or down to the fill extent. Relative
+ * references are adjusted by Excel through the R1C1 form of the formula.
+ * Problems go to showProblem, which shows them on the draft's card; it is
+ * called with '' to clear them.
+ */
+async function insertAuthoredFormula(draft, fillDown, showProblem) {
+    showProblem('');
+    if (!draft.formula.startsWith('=')) {
+        showProblem('Enter a formula starting with "="');
+        return;
+    }
+    
+    const { target } = draft;
+    const address = `${quoteSheetName(target.sheet)}!${target.address}` +
+        (fillDown ? `:${target.column}${target.fill_to_row}` : '');
+    
+    showLoading(true);
+    
+    try {
+        const snapshot = await Excel.run(async (context) => {
+            const backup = autoBackup ? await captureSnapshot(context, [address]) : null;
+            
+            const first = getRangeForAddress(context, `${quoteSheetName(target.sheet)}!${target.address}`);
+            first.formulas = [[draft.formula]];
+            
+            if (fillDown) {
+                first.load('formulasR1C1');
+                await context.sync();
+                
+                const range = getRangeForAddress(context, address);
+                const rowCount = target.fill_to_row - target.row + 1;
+                range.formulasR1C1 = Array.from({ length: rowCount }, () => [first.formulasR1C1[0][0]]);
+            }
+            
+            await context.sync();
+            
+            if (backup) {
+                await recordWrittenFormulas(context, backup);
+            }
+            return backup;
+        });
+        
+        addToHistory(`Inserted formula into ${address}`, {
+            success: true,
+            changes: [{ cell_address: address, formula: draft.formula, description: 'Authored formula' }]
+        }, { intent: 'author', snapshot: snapshot });
+        
+        showNotification(fillDown ? `Filled ${address}` : `Inserted formula into ${target.address}`);
+    } catch (error) {
+        console.error('Inserting formula failed:', error);
+        showProblem(`Could not insert formula: ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
+}
@@ -0,0 +1,465 @@
+/**
+ * LyncFormula Formula Explainer
+ * A panel that follows the selection and breaks down the active cell's
+ * formula: each function's arguments with their current values, the headers
+ * of the ranges it refers to, and an Evaluate Formula style walkthrough.
+ * Following the selection only reads from the workbook; the parts that need
+ * calculating are evaluated on a scratch sheet when Evaluate or Refresh is
+ * clicked. Breakdowns are cached per formula, so moving back to a cell is instant.
+ */
+
+const EXPLAIN_SELECTION_DELAY = 200;
+// Rows and columns of a referenced range read for its preview
+const MAX_EXPLAIN_PREVIEW = 10;
+const MAX_EXPLAIN_STEPS = 60;
+const MAX_EXPLAIN_CACHE = 200;
+const LITERAL_NODES = ['Number', 'String', 'Boolean', 'Error', 'Empty', 'Array'];
+
+let explainPanel = { subscription: null, request: 0, current: null, step: 0 };
+let scheduleExplainSelection = null;
+const explainCache = new Map();
+
+function setupFormulaExplainer() {
+    scheduleExplainSelection = debounce(() => explainActiveCell(), EXPLAIN_SELECTION_DELAY);
+    
+    document.getElementById('btn-close-explain').addEventListener('click', hideExplainPanel);
+    document.getElementById('btn-explain-refresh').addEventListener('click', () => explainActiveCell(true));
+    document.getElementById('btn-explain-sheet').addEventListener('click', () => {
+        document.getElementById('natural-language-input').value = 'Explain all formulas in the current sheet in plain English';
+        handleSubmitRequest();
+    });
+    document.getElementById('explain-content').addEventListener('click', handleExplainClick);
+}
+
+/**
+ * Open the panel and follow the selection until it is closed
+ */
+async function showExplainPanel() {
+    document.getElementById('explain-section').style.display = 'block';
+    
+    if (!explainPanel.subscription) {
+        try {
+            explainPanel.subscription = await Excel.run(async (context) => {
+                const subscription = context.workbook.worksheets.onSelectionChanged.add(async () => scheduleExplainSelection());
+                await context.sync();
+                return subscription;
+            });
+        } catch (error) {
+            console.warn('Could not follow the selection, use Refresh instead:', error);
+        }
+    }
+    
+    explainActiveCell();
+}
+
+async function hideExplainPanel() {
+    document.getElementById('explain-section').style.display = 'none';
+    
+    const subscription = explainPanel.subscription;
+    explainPanel.subscription = null;
+    if (!subscription) return;
+    
+    try {
+        await Excel.run(subscription.context, async (context) => {
+            subscription.remove();
+            await context.sync();
+        });
+    } catch (error) {
+        console.warn('Could not stop following the selection:', error);
+    }
+}
+
+/**
+ * Break down the active cell's formula, from the cache when the formula was
+ * seen before and its result has not changed since. Refresh also evaluates
+ * its parts.
+ */
+async function explainActiveCell(refresh = false) {
+    const request = ++explainPanel.request;
+    const content = document.getElementById('explain-content');
+    
+    try {
+        const cell = await Excel.run(async (context) => {
+            const range = context.workbook.getActiveCell();
+            range.load('address, formulas, values, rowIndex, columnIndex');
+            range.worksheet.load('name');
+            await context.sync();
+            return {
+                sheet: range.worksheet.name,
+                address: range.address,
+                row: range.rowIndex,
+                col: range.columnIndex,
+                formula: String(range.formulas[0][0]),
+                value: range.values[0][0]
+            };
+        });
+        if (request !== explainPanel.request) return;
+        
+        if (!cell.formula.startsWith('=')) {
+            explainPanel.current = null;
+            content.innerHTML = html`<p class="explain-note">${cell.address} holds a value. Select a cell with a formula to break it down.</p>`;
+            return;
+        }
+        
+        const key = `${cell.sheet}|${hashText(cell.formula)}`;
+        let entry = explainCache.get(key);
+        
+        // A different result means the inputs changed, so the values are read again
+        if (!entry || refresh || !valuesMatch(entry.cellValue, cell.value)) {
+            content.innerHTML = html`<p class="explain-note">Reading ${cell.address}...</p>`;
+            entry = { explanation: entry ? entry.explanation : undefined, ...await buildFormulaBreakdown(cell) };
+            if (refresh) {
+                await evaluateFormulaParts(cell, entry).catch(error => {
+                    console.warn('Could not evaluate the formula parts:', error);
+                    entry.evaluationError = error.message;
+                });
+            }
+            
+            explainCache.delete(key);
+            explainCache.set(key, entry);
+            if (explainCache.size > MAX_EXPLAIN_CACHE) {
+                explainCache.delete(explainCache.keys().next().value);
+            }
+            if (request !== explainPanel.request) return;
+        }
+        
+        explainPanel.current = { cell, entry };
+        explainPanel.step = 0;
+        renderExplainPanel();
+        
+        if (entry.explanation === undefined && connectionStatus === 'connected') {
+            fetchFormulaExplanation(cell, entry);
+        }
+    } catch (error) {
+        if (request !== explainPanel.request) return;
+        console.error('Formula breakdown failed:', error);
+        content.innerHTML = html`<p class="explain-note">Could not break down the formula: ${error.message}</p>`;
+    }
+}
+
+/**
+ * Split the formula into its parts and read the values of the ranges it
+ * refers to. The other parts are left for evaluateFormulaParts.
+ */
+async function buildFormulaBreakdown(cell) {
+    const breakdown = { cellValue: cell.value, functions: [], references: [], order: [], values: new Map(), evaluated: true };
+    
+    const ast = tryParseFormula(cell.formula);
+    if (!ast) {
+        return { ...breakdown, error: 'This formula could not be parsed, so it cannot be broken down.' };
+    }
+    
+    // Evaluation order: arguments and operands before what uses them
+    const visit = (node) => {
+        getEvaluationChildren(node).forEach(visit);
+        if (!LITERAL_NODES.includes(node.type) && node.type !== 'Group') {
+            breakdown.order.push(node);
+        }
+    };
+    visit(ast);
+    
+    if (breakdown.order.length > MAX_EXPLAIN_STEPS) {
+        return { ...breakdown, order: [], error: `This formula has more than ${MAX_EXPLAIN_STEPS} parts to evaluate, too many to step through.` };
+    }
+    
+    const isReadable = node => node.type === 'Reference' && node.style === 'A1' &&
+        node.kind !== 'r1c1' && !node.workbook && !node.sheetEnd;
+    const referenceNodes = breakdown.order.filter(isReadable);
+    
+    breakdown.references = await readReferencedRanges(referenceNodes, cell.sheet);
+    breakdown.references.forEach(reference => breakdown.values.set(reference.node, reference.value));
+    breakdown.values.set(ast, cell.value);
+    breakdown.evaluated = breakdown.order.every(node => breakdown.values.has(node));
+    
+    breakdown.ast = ast;
+    walkFormulaAst(ast, node => {
+        if (node.type !== 'Function') return;
+        breakdown.functions.push({
+            name: node.canonicalName,
+            args: node.args.map(arg => ({ text: formatFormulaAst(arg, cell.formula), node: arg }))
+        });
+    });
+    
+    return breakdown;
+}
+
+/**
+ * Calculate the parts whose values could not be read, on a scratch sheet.
+ * Each is written at the cell's own address, so ROW() and COLUMN() match,
+ * and one at a time, so arrays cannot spill into each other.
+ */
+async function evaluateFormulaParts(cell, entry) {
+    const computed = entry.order.filter(node => !entry.values.has(node));
+    if (computed.length > 0) {
+        const values = await evaluateOnScratchSheet(cell.sheet, computed.map(node => ({
+            address: cellAddress(cell.row, cell.col),
+            formula: '=' + formatFormulaAst(node, cell.formula)
+        })), { spills: true });
+        computed.forEach((node, i) => entry.values.set(node, values[i]));
+    }
+    entry.evaluated = true;
+}
+
+/**
+ * Sub-expressions in source order, as evaluated by Excel
+ */
+function getEvaluationChildren(node) {
+    switch (node.type) {
+        case 'Binary':
+            return [node.left, node.right];
+        case 'Unary':
+        case 'Postfix':
+            return [node.operand];
+        case 'Group':
+            return [node.expression];
+        case 'Union':
+            return node.items;
+        case 'Function':
+        case 'Call':
+            return node.args;
+        default:
+            return [];
+    }
+}
+
+function getNodeValue(node, values) {
+    if (values.has(node)) return values.get(node);
+    if (node.type === 'Group') return getNodeValue(node.expression, values);
+    if (['Number', 'String', 'Boolean', 'Error'].includes(node.type)) return node.value;
+    return undefined;
+}
+
+/**
+ * Values of the referenced ranges (the first rows and columns of large
+ * ones), with the header above each column and the label left of the row
+ * taken from the edges of the sheet's used range
+ */
+async function readReferencedRanges(nodes, sheet) {
+    if (nodes.length === 0) return [];
+    
+    return Excel.run(async (context) => {
+        const usedRanges = {};
+        const loaded = nodes.map(node => {
+            const ref = parseRangeAddress(node.address, node.sheet || sheet);
+            const preview = {
+                ...ref,
+                endRow: Math.min(ref.endRow, ref.startRow + MAX_EXPLAIN_PREVIEW - 1),
+                endCol: Math.min(ref.endCol, ref.startCol + MAX_EXPLAIN_PREVIEW - 1)
+            };
+            const range = getRangeForAddress(context, formatRangeAddress(preview));
+            range.load('values');
+            
+            if (!usedRanges[ref.sheet]) {
+                usedRanges[ref.sheet] = context.workbook.worksheets.getItem(ref.sheet).getUsedRangeOrNullObject(true);
+                usedRanges[ref.sheet].load('rowIndex, columnIndex');
+            }
+            return { node, ref, preview, range };
+        });
+        await context.sync();
+        
+        const labelled = loaded.map(item => {
+            const used = usedRanges[item.ref.sheet];
+            const worksheet = context.workbook.worksheets.getItem(item.ref.sheet);
+            if (used.isNullObject) return item;
+            
+            if (used.rowIndex < item.ref.startRow) {
+                item.headerRange = worksheet.getRange(formatRangeAddress({
+                    startRow: used.rowIndex, endRow: used.rowIndex,
+                    startCol: item.preview.startCol, endCol: item.preview.endCol
+                }));
+                item.headerRange.load('values');
+            }
+            if (item.ref.startRow === item.ref.endRow && used.columnIndex < item.ref.startCol) {
+                item.labelRange = worksheet.getRange(cellAddress(item.ref.startRow, used.columnIndex));
+                item.labelRange.load('values');
+            }
+            return item;
+        });
+        await context.sync();
+        
+        const isLabel = value => typeof value === 'string' && value.trim() !== '';
+        return labelled.map(({ node, ref, range, headerRange, labelRange }) => ({
+            node: node,
+            text: node.text,
+            address: formatRangeAddress(ref),
+            value: ref.startRow === ref.endRow && ref.startCol === ref.endCol ? range.values[0][0] : range.values,
+            headers: headerRange ? headerRange.values[0].filter(isLabel) : [],
+            rowLabel: labelRange && isLabel(labelRange.values[0][0]) ? labelRange.values[0][0] : null
+        }));
+    });
+}
+
+/**
+ * Ask the service for a plain-English explanation of the formula. It is
+ * cached with the breakdown; null while the request is in flight.
+ */
+async function fetchFormulaExplanation(cell, entry) {
+    entry.explanation = null;
+    
+    try {
+        const formulas = { [splitSheetAddress(cell.address).local]: cell.formula };
+        const result = await postToService('/explain_sheet', {
+            worksheet: cell.sheet,
+            formulas: formulas,
+            context: { worksheetName: cell.sheet, formulas: formulas, formulaCount: 1 }
+        });
+        const explanation = (result.explanations || [])[0];
+        entry.explanation = explanation ? explanation.explanation : '';
+    } catch (error) {
+        console.warn('Could not fetch a formula explanation:', error);
+        entry.explanation = undefined;
+    }
+    
+    if (explainPanel.current && explainPanel.current.entry === entry) {
+        renderExplainPanel();
+    }
+}
+
+function renderExplainPanel() {
+    const { cell, entry } = explainPanel.current;
+    const content = document.getElementById('explain-content');
+    
+    content.innerHTML = html`
+        <div class="explain-cell">
+            <strong>${cell.address}</strong> = ${formatExplainValue(cell.value)}
+            <div class="result-formula"><code>${cell.formula}</code></div>
+        </div>
+        ${entry.explanation ? html`<div class="explain-block">${renderMarkdown(entry.explanation)}</div>` : ''}
+        ${entry.explanation === null ? html`<p class="explain-note">Asking the service for an explanation...</p>` : ''}
+        ${entry.error ? html`<p class="explain-note">${entry.error}</p>` : ''}
+        ${entry.functions.length > 0 ? html`
+            <h5>Functions</h5>
+            ${entry.functions.map(fn => html`
+                <div class="explain-block">
+                    <code>${fn.name}</code>
+                    <table class="explain-table">
+                        ${fn.args.map((arg, i) => html`
+                            <tr>
+                                <td>${i + 1}</td>
+                                <td><code>${arg.text || '(omitted)'}</code></td>
+                                <td>${formatExplainValue(getNodeValue(arg.node, entry.values))}</td>
+                            </tr>
+                        `)}
+                    </table>
+                </div>
+            `)}
+        ` : ''}
+        ${entry.references.length > 0 ? html`
+            <h5>Referenced ranges</h5>
+            <table class="explain-table">
+                ${entry.references.map(reference => html`
+                    <tr>
+                        <td><code>${reference.text}</code></td>
+                        <td>${[reference.rowLabel, ...reference.headers].filter(Boolean).join(' / ') || '(no header)'}</td>
+                        <td>${formatExplainValue(reference.value)}</td>
+                    </tr>
+                `)}
+            </table>
+        ` : ''}
+        ${entry.order.length > 0 ? html`
+            <h5>Evaluate</h5>
+            <div class="explain-steps"></div>
+        ` : ''}
+    `;
+    
+    renderExplainStep();
+}
+
+/**
+ * The formula with the parts evaluated so far replaced by their values and
+ * the next part highlighted, like Excel's Evaluate Formula dialog
+ */
+function renderExplainStep() {
+    const container = document.querySelector('#explain-content .explain-steps');
+    if (!container) return;
+    
+    const { cell, entry } = explainPanel.current;
+    const step = explainPanel.step;
+    const evaluated = new Set(entry.order.slice(0, step));
+    const next = entry.order[step] || null;
+    
+    const render = (node) => {
+        let inner;
+        if (evaluated.has(node)) {
+            inner = formatExplainValue(entry.values.get(node));
+        } else {
+            const parts = [];
+            let position = node.start;
+            getEvaluationChildren(node).forEach(child => {
+                parts.push(cell.formula.substring(position, child.start), render(child));
+                position = child.end;
+            });
+            parts.push(cell.formula.substring(position, node.end));
+            inner = html`${parts}`;
+        }
+        return node === next ? html`<mark>${inner}</mark>` : inner;
+    };
+    
+    container.innerHTML = html`
+        <div class="explain-expression"><code>=${render(entry.ast)}</code></div>
+        <div class="explain-step-controls">
+            <span>${entry.evaluating ? 'Calculating...' : `Step ${step} of ${entry.order.length}`}</span>
+            <button class="ms-Button ms-Button--primary ms-Button--small btn-explain-step" ${next && !entry.evaluating ? '' : 'disabled'}>
+                <span class="ms-Button-label">Evaluate</span>
+            </button>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-explain-restart">
+                <span class="ms-Button-label">Restart</span>
+            </button>
+        </div>
+        ${entry.evaluationError ? html`<p class="field-error">Could not evaluate the formula: ${entry.evaluationError}</p>` : ''}
+    `;
+}
+
+/**
+ * The first Evaluate click calculates the parts that could not be read. A
+ * failure is shown under the steps, and the next click tries again.
+ */
+async function handleExplainClick(event) {
+    if (!explainPanel.current) return;
+    
+    if (event.target.closest('.btn-explain-step')) {
+        const { cell, entry } = explainPanel.current;
+        if (!entry.evaluated) {
+            entry.evaluating = true;
+            entry.evaluationError = null;
+            renderExplainStep();
+            try {
+                await evaluateFormulaParts(cell, entry);
+            } catch (error) {
+                console.error('Evaluating formula parts failed:', error);
+                entry.evaluationError = error.message;
+            } finally {
+                entry.evaluating = false;
+            }
+            if (!explainPanel.current || explainPanel.current.entry !== entry) return;
+            if (!entry.evaluated) {
+                renderExplainStep();
+                return;
+            }
+            renderExplainPanel();
+        }
+        explainPanel.step = Math.min(explainPanel.step + 1, entry.order.length);
+        renderExplainStep();
+    } else if (event.target.closest('.btn-explain-restart')) {
+        explainPanel.step = 0;
+        renderExplainStep();
+    }
+}
+
+/**
+ * Show a value the way Excel writes it in a formula; arrays are shortened
+ */
+function formatExplainValue(value) {
+    if (Array.isArray(value)) {
+        const rows = value.slice(0, 3).map(row =>
+            row.slice(0, 5).map(formatExplainValue).join(',') + (row.length > 5 ? ',…' : ''));
+        return `{${rows.join(';')}${value.length > 3 ? ';…' : ''}}`;
+    }
+    if (typeof value === 'string') {
+        return FORMULA_ERRORS.includes(value) ? value : `"${value}"`;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    return value === undefined || value === null ? '' : String(value);
+}
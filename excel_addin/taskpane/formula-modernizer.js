@@ -0,0 +1,627 @@
+/**
+ * LyncFormula Formula Modernizer
+ * Rewrites legacy formula patterns into modern equivalents (VLOOKUP/HLOOKUP
+ * and INDEX/MATCH to XLOOKUP, nested IF to IFS/SWITCH, SUMPRODUCT
+ * conditionals to SUMIFS/COUNTIFS/FILTER, IF(ISERROR()) to IFERROR), then
+ * checks each rewrite by evaluating it on a hidden scratch sheet and
+ * comparing the result with the cell's current value.
+ */
+
+const MAX_MODERNIZE_CANDIDATES = 500;
+const SCRATCH_SHEET_NAME = 'LyncFormula Check';
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+const MODERNIZE_RULES = {
+    vlookup: 'VLOOKUP → XLOOKUP',
+    hlookup: 'HLOOKUP → XLOOKUP',
+    indexMatch: 'INDEX/MATCH → XLOOKUP',
+    isError: 'IF(ISERROR) → IFERROR',
+    ifs: 'Nested IF → IFS',
+    switch: 'Nested IF → SWITCH',
+    sumifs: 'SUMPRODUCT → SUMIFS',
+    countifs: 'SUMPRODUCT → COUNTIFS',
+    filter: 'SUMPRODUCT → SUM(FILTER)'
+};
+
+/**
+ * Scan the selection (or the used range when a single cell is selected),
+ * propose rewrites and verify them. Returns a result for showResults.
+ */
+async function runModernization() {
+    const scan = await Excel.run(async (context) => {
+        const sheet = context.workbook.worksheets.getActiveWorksheet();
+        const selection = context.workbook.getSelectedRange();
+        sheet.load('name');
+        selection.load('cellCount');
+        await context.sync();
+        
+        const range = selection.cellCount > 1 ? selection : sheet.getUsedRangeOrNullObject();
+        range.load('address, formulas, values, rowIndex, columnIndex');
+        await context.sync();
+        
+        if (range.isNullObject) {
+            return { sheet: sheet.name, scope: sheet.name, scanned: 0, candidates: [] };
+        }
+        
+        const candidates = [];
+        let scanned = 0;
+        
+        range.formulas.forEach((row, r) => {
+            row.forEach((formula, c) => {
+                if (typeof formula !== 'string' || !formula.startsWith('=')) return;
+                scanned++;
+                if (candidates.length >= MAX_MODERNIZE_CANDIDATES) return;
+                
+                const modern = modernizeFormula(formula);
+                if (!modern) return;
+                
+                const local = cellAddress(range.rowIndex + r, range.columnIndex + c);
+                candidates.push({
+                    address: `${quoteSheetName(sheet.name)}!${local}`,
+                    localAddress: local,
+                    before: formula,
+                    after: modern.formula,
+                    rules: modern.rules,
+                    beforeValue: range.values[r][c]
+                });
+            });
+        });
+        
+        return { sheet: sheet.name, scope: range.address, scanned, candidates };
+    });
+    
+    if (scan.candidates.length > 0) {
+        await verifyModernization(scan.sheet, scan.candidates);
+    }
+    
+    return {
+        success: true,
+        modernization: {
+            scope: scan.scope,
+            scanned: scan.scanned,
+            candidates: scan.candidates.map(({ localAddress, ...candidate }) => candidate)
+        }
+    };
+}
+
+/**
+ * Rewrite one formula. Returns { formula, rules } or null when nothing applies.
+ */
+function modernizeFormula(formula) {
+    const ast = tryParseFormula(formula);
+    if (!ast) return null;
+    
+    const applied = [];
+    const apply = (rule, node) => {
+        if (!applied.includes(MODERNIZE_RULES[rule])) applied.push(MODERNIZE_RULES[rule]);
+        return node;
+    };
+    
+    let modern = transformFormulaAst(ast, node => {
+        if (node.type !== 'Function') return node;
+        
+        switch (node.canonicalName) {
+            case 'VLOOKUP':
+            case 'HLOOKUP': {
+                const rewritten = rewriteLegacyLookup(node);
+                return rewritten ? apply(node.canonicalName === 'VLOOKUP' ? 'vlookup' : 'hlookup', rewritten) : node;
+            }
+            case 'INDEX': {
+                const rewritten = rewriteIndexMatch(node);
+                return rewritten ? apply('indexMatch', rewritten) : node;
+            }
+            case 'IF': {
+                const errorCheck = rewriteIsErrorCheck(node, formula);
+                if (errorCheck) return apply('isError', errorCheck);
+                const chain = rewriteNestedIf(node);
+                return chain ? apply('ifs', chain) : node;
+            }
+            case 'SUMPRODUCT': {
+                const rewritten = rewriteSumproduct(node);
+                return rewritten ? apply(rewritten.rule, rewritten.node) : node;
+            }
+        }
+        return node;
+    });
+    
+    // IFS chains that test one value against constants read better as SWITCH
+    let keptIfs = false;
+    modern = transformFormulaAst(modern, node => {
+        if (!node.ifChain) return node;
+        const rewritten = rewriteChainAsSwitch(node.ifChain, formula);
+        if (!rewritten) {
+            keptIfs = true;
+            return node;
+        }
+        return apply('switch', rewritten);
+    });
+    const rules = applied.filter(rule => keptIfs || rule !== MODERNIZE_RULES.ifs);
+    
+    if (rules.length === 0) return null;
+    
+    const result = formatFormula(modern, formula);
+    return result === formula ? null : { formula: result, rules };
+}
+
+/**
+ * VLOOKUP(x, table, n, [approx]) → XLOOKUP(x, first column, nth column).
+ * Approximate lookups keep their binary search: XLOOKUP(..., , -1, 2).
+ */
+function rewriteLegacyLookup(node) {
+    const [lookup, table, index, rangeLookup] = node.args;
+    if (node.args.length < 3 || node.args.length > 4) return null;
+    if (!table || table.type !== 'Reference' || index.type !== 'Number') return null;
+    
+    const exact = isExactMatchFlag(rangeLookup);
+    if (exact === null) return null;
+    
+    const vertical = node.canonicalName === 'VLOOKUP';
+    const lookupArray = sliceReference(table, vertical, 0);
+    const returnArray = sliceReference(table, vertical, index.value - 1);
+    if (!lookupArray || !returnArray || !Number.isInteger(index.value)) return null;
+    
+    const args = [lookup, lookupArray, returnArray];
+    if (!exact) {
+        args.push(emptyArgument(), numberNode(-1), numberNode(2));
+    } else if (needsWildcardMatch(lookup)) {
+        args.push(emptyArgument(), numberNode(2));
+    }
+    return functionNode('XLOOKUP', args);
+}
+
+/**
+ * INDEX(values, MATCH(x, keys, [type]), [column]) → XLOOKUP(x, keys, values)
+ */
+function rewriteIndexMatch(node) {
+    const [values, match, column] = node.args;
+    if (node.args.length < 2 || node.args.length > 3) return null;
+    if (!match || match.type !== 'Function' || match.canonicalName !== 'MATCH') return null;
+    if (match.args.length < 2 || match.args.length > 3) return null;
+    
+    let returnArray = values;
+    if (column && column.type !== 'Empty') {
+        if (column.type !== 'Number' || values.type !== 'Reference') return null;
+        returnArray = sliceReference(values, true, column.value - 1);
+    } else if (values.type === 'Reference') {
+        const bounds = parseReferenceBounds(values);
+        if (!bounds || (bounds.startCol !== bounds.endCol && bounds.startRow !== bounds.endRow)) return null;
+    } else {
+        return null;
+    }
+    if (!returnArray) return null;
+    
+    const matchType = match.args[2];
+    const type = !matchType || matchType.type === 'Empty' ? 1 : numberValue(matchType);
+    if (![1, 0, -1].includes(type)) return null;
+    
+    const args = [match.args[0], match.args[1], returnArray];
+    if (type !== 0) {
+        // MATCH type 1 finds the largest value <= x in ascending keys, -1 the
+        // smallest >= x in descending keys, both by binary search
+        args.push(emptyArgument(), numberNode(-type), numberNode(type === 1 ? 2 : -2));
+    } else if (needsWildcardMatch(match.args[0])) {
+        args.push(emptyArgument(), numberNode(2));
+    }
+    return functionNode('XLOOKUP', args);
+}
+
+/**
+ * Exact VLOOKUP and MATCH treat * ? ~ in a text lookup value as wildcards,
+ * XLOOKUP only with match_mode 2. Values not known until calculation might
+ * be such text, so they get match_mode 2 as well.
+ */
+function needsWildcardMatch(lookup) {
+    if (lookup.type === 'Number' || lookup.type === 'Boolean') return false;
+    return lookup.type !== 'String' || /[*?~]/.test(lookup.value);
+}
+
+/**
+ * IF(ISERROR(x), y, x) → IFERROR(x, y); IF(ISNA(x), y, x) → IFNA(x, y)
+ */
+function rewriteIsErrorCheck(node, source) {
+    const [test, fallback, value] = node.args;
+    if (node.args.length !== 3 || test.type !== 'Function' || test.args.length !== 1) return null;
+    if (test.canonicalName !== 'ISERROR' && test.canonicalName !== 'ISNA') return null;
+    if (formatFormulaAst(test.args[0], source) !== formatFormulaAst(value, source)) return null;
+    
+    return functionNode(test.canonicalName === 'ISNA' ? 'IFNA' : 'IFERROR', [value, fallback]);
+}
+
+/**
+ * IF(c1, v1, IF(c2, v2, e)) → IFS(c1, v1, c2, v2, TRUE, e). The chain is
+ * kept on the node so an enclosing IF can extend it.
+ */
+function rewriteNestedIf(node) {
+    if (node.args.length < 2 || node.args.length > 3) return null;
+    
+    const [condition, value, otherwise] = node.args;
+    let rest;
+    if (otherwise && otherwise.ifChain) {
+        rest = otherwise.ifChain;
+    } else if (otherwise && otherwise.type === 'Function' && otherwise.canonicalName === 'IF' &&
+               otherwise.args.length >= 2 && otherwise.args.length <= 3) {
+        rest = {
+            pairs: [[otherwise.args[0], otherwise.args[1]]],
+            fallback: otherwise.args[2] && otherwise.args[2].type !== 'Empty' ? otherwise.args[2] : booleanNode(false)
+        };
+    } else {
+        return null;
+    }
+    
+    const chain = { pairs: [[condition, value], ...rest.pairs], fallback: rest.fallback };
+    const args = [];
+    chain.pairs.forEach(([test, result]) => args.push(test, result));
+    args.push(booleanNode(true), chain.fallback);
+    
+    return { ...functionNode('IFS', args), ifChain: chain };
+}
+
+/**
+ * When every test is subject = constant for the same subject, use SWITCH
+ */
+function rewriteChainAsSwitch(chain, source) {
+    let subject = null;
+    const cases = [];
+    
+    for (const [test, result] of chain.pairs) {
+        if (test.type !== 'Binary' || test.operator !== '=') return null;
+        
+        const literalOnRight = isLiteral(test.right);
+        const operand = literalOnRight ? test.left : test.right;
+        const constant = literalOnRight ? test.right : test.left;
+        if (!isLiteral(constant) || isLiteral(operand)) return null;
+        
+        const text = formatFormulaAst(operand, source);
+        if (subject && formatFormulaAst(subject, source) !== text) return null;
+        subject = subject || operand;
+        cases.push(constant, result);
+    }
+    
+    if (!subject || cases.length < 4) return null;
+    return functionNode('SWITCH', [subject, ...cases, chain.fallback]);
+}
+
+/**
+ * SUMPRODUCT((A="x")*(B>5)*C) → SUMIFS(C, A, "x", B, ">5"); without C, or
+ * with a constant 1, → COUNTIFS. Conditions SUMIFS cannot express fall back
+ * to SUM(FILTER()) when there is a value range to filter.
+ */
+function rewriteSumproduct(node) {
+    const factors = node.args.length === 1 ? multiplicationFactors(node.args[0]) : node.args.map(unwrapFactor);
+    const conditions = factors.filter(factor => factor.type === 'Binary' && COMPARISON_OPERATORS.includes(factor.operator));
+    const values = factors.filter(factor => !conditions.includes(factor));
+    
+    if (conditions.length === 0 || values.length > 1) return null;
+    // (A=x)*1 only turns the conditions into numbers
+    const valueRange = values[0] && !(values[0].type === 'Number' && values[0].value === 1) ? values[0] : null;
+    if (valueRange && valueRange.type !== 'Reference') return null;
+    
+    const criteria = conditions.map(conditionToCriteria);
+    if (criteria.every(Boolean)) {
+        const args = [];
+        criteria.forEach(({ range, criterion }) => args.push(range, criterion));
+        return valueRange ?
+            { rule: 'sumifs', node: functionNode('SUMIFS', [valueRange, ...args]) } :
+            { rule: 'countifs', node: functionNode('COUNTIFS', args) };
+    }
+    
+    if (!valueRange) return null;
+    const include = conditions.map(condition => groupNode(condition))
+        .reduce((left, right) => binaryNode('*', left, right));
+    return {
+        rule: 'filter',
+        node: functionNode('SUM', [functionNode('FILTER', [valueRange, include, numberNode(0)])])
+    };
+}
+
+function multiplicationFactors(expression) {
+    const node = unwrapFactor(expression);
+    if (node.type === 'Binary' && node.operator === '*') {
+        return [...multiplicationFactors(node.left), ...multiplicationFactors(node.right)];
+    }
+    return [node];
+}
+
+/**
+ * Strip grouping parentheses and the -- coercion idiom
+ */
+function unwrapFactor(node) {
+    let current = node;
+    for (;;) {
+        if (current.type === 'Group') {
+            current = current.expression;
+        } else if (current.type === 'Unary' && current.operator === '-' &&
+                   current.operand.type === 'Unary' && current.operand.operator === '-') {
+            current = current.operand.operand;
+        } else {
+            return current;
+        }
+    }
+}
+
+/**
+ * range op constant → { range, criterion } for the *IFS functions, or null.
+ * Cell values are not used as criteria: text such as "a*", ">5" or "1" in
+ * the cell would be read as a pattern, a comparison or a number.
+ */
+function conditionToCriteria(condition) {
+    const flipped = { '<': '>', '>': '<', '<=': '>=', '>=': '<=', '=': '=', '<>': '<>' };
+    let range = unwrapFactor(condition.left);
+    let value = unwrapFactor(condition.right);
+    let operator = condition.operator;
+    
+    if (range.type !== 'Reference' && value.type === 'Reference' && range.type !== 'Function') {
+        [range, value] = [value, range];
+        operator = flipped[operator];
+    }
+    if (range.type !== 'Reference' || range.kind === 'cell') return null;
+    
+    // Criteria strings treat * ? ~ as wildcards and a leading operator as a comparison
+    if (value.type === 'String' && (/[*?~]/.test(value.value) || (operator === '=' && /^[<>=]/.test(value.value)))) {
+        return null;
+    }
+    
+    if (operator === '=' && (value.type === 'String' || value.type === 'Number' || value.type === 'Boolean')) {
+        return { range, criterion: value };
+    }
+    if (value.type === 'String' || value.type === 'Number') {
+        return { range, criterion: stringNode(`${operator}${value.value}`) };
+    }
+    return null;
+}
+
+/**
+ * true for FALSE/0/omitted-after-comma, false for TRUE/1/omitted, null otherwise
+ */
+function isExactMatchFlag(node) {
+    if (!node) return false;
+    if (node.type === 'Empty') return true;
+    if (node.type === 'Boolean') return !node.value;
+    if (node.type === 'Number') return node.value === 0;
+    return null;
+}
+
+/**
+ * Value of a number literal, including a negated one, or null
+ */
+function numberValue(node) {
+    if (node.type === 'Number') return node.value;
+    if (node.type === 'Unary' && node.operator === '-' && node.operand.type === 'Number') return -node.operand.value;
+    return null;
+}
+
+function isLiteral(node) {
+    return ['Number', 'String', 'Boolean'].includes(node.type);
+}
+
+/**
+ * Bounds of an A1 range or column reference, keeping the $ markers
+ */
+function parseReferenceBounds(node) {
+    if (node.type !== 'Reference' || node.style !== 'A1' || node.sheetEnd || node.spill) return null;
+    
+    const range = node.address.match(/^(\$?)([A-Z]{1,3})(\$?)(\d+):(\$?)([A-Z]{1,3})(\$?)(\d+)$/i);
+    if (range) {
+        return {
+            startCol: columnLetterToIndex(range[2].toUpperCase()), endCol: columnLetterToIndex(range[6].toUpperCase()),
+            startRow: Number(range[4]), endRow: Number(range[8]),
+            startColAbs: range[1], endColAbs: range[5], startRowAbs: range[3], endRowAbs: range[7]
+        };
+    }
+    
+    const columns = node.address.match(/^(\$?)([A-Z]{1,3}):(\$?)([A-Z]{1,3})$/i);
+    if (columns) {
+        return {
+            startCol: columnLetterToIndex(columns[2].toUpperCase()), endCol: columnLetterToIndex(columns[4].toUpperCase()),
+            startRow: null, endRow: null,
+            startColAbs: columns[1], endColAbs: columns[3], startRowAbs: '', endRowAbs: ''
+        };
+    }
+    return null;
+}
+
+/**
+ * One column (vertical) or row of a range reference, keeping its sheet prefix
+ */
+function sliceReference(node, vertical, offset) {
+    const bounds = parseReferenceBounds(node);
+    if (!bounds || offset < 0) return null;
+    
+    let address;
+    if (vertical) {
+        const col = bounds.startCol + offset;
+        if (col > bounds.endCol) return null;
+        const letter = columnIndexToLetter(col);
+        address = bounds.startRow === null ?
+            `${bounds.startColAbs}${letter}:${bounds.endColAbs}${letter}` :
+            `${bounds.startColAbs}${letter}${bounds.startRowAbs}${bounds.startRow}:${bounds.endColAbs}${letter}${bounds.endRowAbs}${bounds.endRow}`;
+    } else {
+        if (bounds.startRow === null) return null;
+        const row = bounds.startRow + offset;
+        if (row > bounds.endRow) return null;
+        address = `${bounds.startColAbs}${columnIndexToLetter(bounds.startCol)}${bounds.startRowAbs}${row}:` +
+            `${bounds.endColAbs}${columnIndexToLetter(bounds.endCol)}${bounds.endRowAbs}${row}`;
+    }
+    
+    const prefix = node.text.substring(0, node.text.length - node.address.length);
+    return { ...node, kind: bounds.startRow === null ? 'column' : 'range', address, text: prefix + address, start: undefined, end: undefined };
+}
+
+function functionNode(name, args) {
+    return { type: 'Function', name, canonicalName: name, args };
+}
+
+function binaryNode(operator, left, right) {
+    return { type: 'Binary', operator, left, right };
+}
+
+function groupNode(expression) {
+    return { type: 'Group', expression };
+}
+
+function numberNode(value) {
+    return { type: 'Number', value };
+}
+
+function stringNode(value) {
+    return { type: 'String', value };
+}
+
+function booleanNode(value) {
+    return { type: 'Boolean', value };
+}
+
+function emptyArgument() {
+    return { type: 'Empty' };
+}
+
+/**
+ * Check each rewrite against the cell's current value. Sets
+ * candidate.verified and candidate.afterValue.
+ */
+async function verifyModernization(sheetName, candidates) {
+    try {
+        const values = await evaluateOnScratchSheet(sheetName, candidates.map(candidate => ({
+            address: candidate.localAddress,
+            formula: candidate.after
+        })));
+        candidates.forEach((candidate, i) => {
+            candidate.afterValue = values[i];
+            candidate.verified = valuesMatch(candidate.beforeValue, candidate.afterValue) ? 'equivalent' : 'different';
+        });
+    } catch (error) {
+        console.error('Could not verify modernized formulas:', error);
+        candidates.forEach(candidate => {
+            candidate.verified = 'unverified';
+        });
+    }
+}
+
+/**
+ * Evaluate formulas without touching the workbook's own cells: each one is
+ * written at its address on a hidden scratch sheet, with unqualified
+ * references pointing back at sheetName. Returns the values in order. With
+ * options.spills, formulas are evaluated one at a time, so an array has the
+ * sheet to itself, and a formula that spills returns its whole array.
+ */
+async function evaluateOnScratchSheet(sheetName, items, options = {}) {
+    return Excel.run(async (context) => {
+        const worksheets = context.workbook.worksheets;
+        worksheets.load('items/name');
+        await context.sync();
+        
+        const existing = worksheets.items.map(sheet => sheet.name.toLowerCase());
+        let scratchName = SCRATCH_SHEET_NAME;
+        for (let suffix = 2; existing.includes(scratchName.toLowerCase()); suffix++) {
+            scratchName = `${SCRATCH_SHEET_NAME} ${suffix}`;
+        }
+        
+        const scratch = worksheets.add(scratchName);
+        scratch.visibility = Excel.SheetVisibility.hidden;
+        
+        const evaluate = async (batch) => {
+            const cells = batch.map(item => {
+                const cell = scratch.getRange(item.address);
+                cell.formulas = [[qualifyFormulaReferences(item.formula, sheetName)]];
+                return cell;
+            });
+            scratch.calculate(true);
+            cells.forEach(cell => cell.load('values'));
+            const spills = options.spills ? cells.map(cell => {
+                const spill = cell.getSpillingToRangeOrNullObject();
+                spill.load('values');
+                return spill;
+            }) : [];
+            await context.sync();
+            
+            return cells.map((cell, i) => spills[i] && !spills[i].isNullObject ? spills[i].values : cell.values[0][0]);
+        };
+        
+        try {
+            if (!options.spills) {
+                return await evaluate(items);
+            }
+            
+            const values = [];
+            for (const item of items) {
+                values.push(...await evaluate([item]));
+                scratch.getRange(item.address).clear();
+            }
+            return values;
+        } finally {
+            scratch.delete();
+            await context.sync();
+        }
+    });
+}
+
+/**
+ * Prefix references that have no sheet with the source sheet's name
+ */
+function qualifyFormulaReferences(formula, sheetName) {
+    const ast = tryParseFormula(formula);
+    if (!ast) return formula;
+    
+    const qualified = transformFormulaAst(ast, node => {
+        if (node.type !== 'Reference' || node.sheet || node.workbook) return node;
+        return { type: 'Reference', kind: node.kind, style: node.style, sheet: sheetName, address: node.address,
+            text: `${quoteSheetName(sheetName)}!${node.text}` };
+    });
+    return formatFormula(qualified, formula);
+}
+
+function valuesMatch(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    return a === b;
+}
+
+/**
+ * Summary and per-cell verification status; the diffs and the batch apply
+ * live in the fix preview that showResults adds below
+ */
+function showModernizationResults(result, container) {
+    const { scope, scanned, candidates } = result.modernization;
+    const count = status => candidates.filter(candidate => candidate.verified === status).length;
+    
+    const summary = document.createElement('div');
+    summary.className = 'result-item';
+    summary.innerHTML = html`
+        <div class="result-header">
+            <strong>Formula Modernization</strong>
+        </div>
+        <div class="result-content">
+            <p>Scanned ${scanned} formulas in ${scope}; ${candidates.length} can be modernized.</p>
+            ${candidates.length > 0 ? html`
+                <p>${count('equivalent')} give the same result, ${count('different')} differ,
+                ${count('unverified')} could not be checked. Only matching rewrites are preselected.</p>
+            ` : ''}
+        </div>
+    `;
+    container.appendChild(summary);
+    
+    candidates.forEach(candidate => {
+        const item = document.createElement('div');
+        item.className = `result-item ${candidate.verified === 'equivalent' ? 'result-success' :
+            candidate.verified === 'different' ? 'result-error' : 'result-warning'}`;
+        item.innerHTML = html`
+            <div class="result-header">
+                <a href="#" class="cell-link">${candidate.address}</a>
+                <span class="severity-badge">${candidate.verified}</span>
+            </div>
+            <div class="result-content">
+                <p>${candidate.rules.join(', ')}</p>
+                ${candidate.verified === 'different' ? html`
+                    <p>Current result <code>${String(candidate.beforeValue)}</code>,
+                    rewritten <code>${String(candidate.afterValue)}</code></p>
+                ` : ''}
+            </div>
+        `;
+        item.querySelector('.cell-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            selectRangeInExcel(candidate.address);
+        });
+        container.appendChild(item);
+    });
+}
@@ -0,0 +1,104 @@
+/**
+ * Tests for the formula modernizer's rewrites. The modernizer and the
+ * parser it uses are plain browser scripts, so they are loaded into a VM
+ * context instead of being required.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const modernizer = vm.createContext({});
+['../shared/range-utils.js', '../shared/formula-parser.js', 'formula-modernizer.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), modernizer);
+});
+const { modernizeFormula } = modernizer;
+
+/**
+ * Each case is [formula, rewritten formula] or [formula, null] when it
+ * has to be left alone
+ */
+function rewrites(name, cases) {
+    test(name, async (t) => {
+        for (const [formula, expected] of cases) {
+            await t.test(formula, () => {
+                const modern = modernizeFormula(formula);
+                assert.strictEqual(modern ? modern.formula : null, expected);
+            });
+        }
+    });
+}
+
+rewrites('VLOOKUP and HLOOKUP', [
+    ['=VLOOKUP(5,A2:C9,3,FALSE)', '=XLOOKUP(5,A2:A9,C2:C9)'],
+    ['=VLOOKUP("x",$A$2:$C$9,2,0)', '=XLOOKUP("x",$A$2:$A$9,$B$2:$B$9)'],
+    ['=HLOOKUP(5,A1:F3,2,FALSE)', '=XLOOKUP(5,A1:F1,A2:F2)'],
+    ['=VLOOKUP(5,Data!A:C,2,FALSE)', '=XLOOKUP(5,Data!A:A,Data!B:B)'],
+    // Exact VLOOKUP treats * ? ~ in text as wildcards, XLOOKUP only with match_mode 2
+    ['=VLOOKUP("a*",A2:C9,2,FALSE)', '=XLOOKUP("a*",A2:A9,B2:B9,,2)'],
+    ['=VLOOKUP(E1,A2:C9,2,FALSE)', '=XLOOKUP(E1,A2:A9,B2:B9,,2)'],
+    // Approximate lookups keep their binary search
+    ['=VLOOKUP(E1,A2:C9,2,TRUE)', '=XLOOKUP(E1,A2:A9,B2:B9,,-1,2)'],
+    ['=VLOOKUP(E1,A2:C9,2)', '=XLOOKUP(E1,A2:A9,B2:B9,,-1,2)'],
+    ['=VLOOKUP(E1,A2:C9,4,FALSE)', null],
+    ['=VLOOKUP(E1,A2:C9,F1,FALSE)', null],
+    ['=VLOOKUP(E1,A2:C9,2,F1)', null]
+]);
+
+rewrites('INDEX/MATCH', [
+    ['=INDEX(C2:C9,MATCH(5,A2:A9,0))', '=XLOOKUP(5,A2:A9,C2:C9)'],
+    ['=INDEX(C2:C9,MATCH(E1,A2:A9,0))', '=XLOOKUP(E1,A2:A9,C2:C9,,2)'],
+    ['=INDEX(A2:C9,MATCH(5,A2:A9,0),3)', '=XLOOKUP(5,A2:A9,C2:C9)'],
+    ['=INDEX(C2:C9,MATCH(E1,A2:A9))', '=XLOOKUP(E1,A2:A9,C2:C9,,-1,2)'],
+    ['=INDEX(C2:C9,MATCH(E1,A2:A9,1))', '=XLOOKUP(E1,A2:A9,C2:C9,,-1,2)'],
+    ['=INDEX(C2:C9,MATCH(E1,A2:A9,-1))', '=XLOOKUP(E1,A2:A9,C2:C9,,1,-2)'],
+    ['=INDEX(A2:C9,MATCH(5,A2:A9,0))', null],
+    ['=INDEX(C2:C9,MATCH(E1,A2:A9,2))', null]
+]);
+
+rewrites('error wrappers', [
+    ['=IF(ISERROR(A1/B1),0,A1/B1)', '=IFERROR(A1/B1,0)'],
+    ['=IF(ISNA(MATCH(1,A:A,0)),"",MATCH(1,A:A,0))', '=IFNA(MATCH(1,A:A,0),"")'],
+    ['=IF(ISERROR(A1/B1),0,A1/C1)', null],
+    // if_not_found does not catch a #N/A lookup value or a #N/A in the returned cell
+    ['=IFNA(XLOOKUP(E1,A:A,B:B),0)', null]
+]);
+
+rewrites('nested IF', [
+    ['=IF(A1>90,"A",IF(A1>80,"B","C"))', '=IFS(A1>90,"A",A1>80,"B",TRUE,"C")'],
+    ['=IF(A1>90,"A",IF(A1>80,"B"))', '=IFS(A1>90,"A",A1>80,"B",TRUE,FALSE)'],
+    ['=IF(A1=1,"a",IF(A1=2,"b",IF(A1=3,"c","d")))', '=SWITCH(A1,1,"a",2,"b",3,"c","d")'],
+    ['=IF(A1>90,"A","B")', null]
+]);
+
+rewrites('SUMPRODUCT conditionals', [
+    ['=SUMPRODUCT((A1:A10="x")*B1:B10)', '=SUMIFS(B1:B10,A1:A10,"x")'],
+    ['=SUMPRODUCT((A1:A10="x")*(B1:B10>5)*C1:C10)', '=SUMIFS(C1:C10,A1:A10,"x",B1:B10,">5")'],
+    ['=SUMPRODUCT(--(A1:A10>=5))', '=COUNTIFS(A1:A10,">=5")'],
+    ['=SUMPRODUCT((5<A1:A10)*B1:B10)', '=SUMIFS(B1:B10,A1:A10,">5")'],
+    ['=SUMPRODUCT((A1:A10<>"")*1)', '=COUNTIFS(A1:A10,"<>")'],
+    // A cell's text would be read as a pattern or a comparison by SUMIFS
+    ['=SUMPRODUCT((A1:A10=E1)*B1:B10)', '=SUM(FILTER(B1:B10,(A1:A10=E1),0))'],
+    ['=SUMPRODUCT((A1:A10=E1)*1)', null],
+    ['=SUMPRODUCT((A1:A10="a*")*B1:B10)', '=SUM(FILTER(B1:B10,(A1:A10="a*"),0))'],
+    ['=SUMPRODUCT((A1:A10=">5")*B1:B10)', '=SUM(FILTER(B1:B10,(A1:A10=">5"),0))'],
+    // FILTER needs values the same size as the condition
+    ['=SUMPRODUCT((A1:A10=E1)*2)', null],
+    ['=SUMPRODUCT((A1:A10="x")*2)', null],
+    ['=SUMPRODUCT(A1:A10,B1:B10)', null]
+]);
+
+test('applied rules are reported once each', () => {
+    const modern = modernizeFormula('=VLOOKUP(1,A1:B9,2,FALSE)+VLOOKUP(2,A1:B9,2,FALSE)');
+    assert.strictEqual(modern.formula, '=XLOOKUP(1,A1:A9,B1:B9)+XLOOKUP(2,A1:A9,B1:B9)');
+    assert.deepStrictEqual([...modern.rules], ['VLOOKUP → XLOOKUP']);
+});
+
+test('formulas without legacy patterns or that do not parse are left alone', () => {
+    assert.strictEqual(modernizeFormula('=SUM(A1:A10)'), null);
+    assert.strictEqual(modernizeFormula('=XLOOKUP(1,A:A,B:B)'), null);
+    assert.strictEqual(modernizeFormula('=SUM(('), null);
+});
@@ -0,0 +1,208 @@
+/**
+ * LyncFormula Intent Classifier
+ * Decides which service endpoint a request belongs to. The service's
+ * /classify_intent is asked first; a local weighted-phrase model answers
+ * when the service is unavailable. Low-confidence results are confirmed
+ * with the user through a "did you mean" chooser.
+ */
+
+const INTENT_CONFIDENCE_THRESHOLD = 0.5;
+const INTENT_SERVICE_TIMEOUT = 4000;
+
+const INTENTS = {
+    audit: { label: 'Audit', endpoint: '/audit_formulas' },
+    explain: { label: 'Explain', endpoint: '/explain_sheet' },
+    fix: { label: 'Fix', endpoint: '/apply_fixes' },
+    consolidate: { label: 'Consolidate', endpoint: '/consolidate_files' },
+    modernize: { label: 'Modernize', endpoint: '/modernize' },
+    profile: { label: 'Performance', endpoint: '/profile_performance' },
+    author: { label: 'Write Formula', endpoint: '/generate_formula' },
+    question: { label: 'Ask', endpoint: '/natural_language' },
+    edit: { label: 'Edit', endpoint: '/natural_language' }
+};
+
+// Intents offered when the classifier is unsure
+const CHOOSER_INTENTS = ['audit', 'explain', 'fix', 'consolidate', 'modernize', 'profile', 'author', 'question'];
+
+// [pattern, weight] features per intent; a match in the first words counts extra
+const INTENT_FEATURES = {
+    audit: [
+        [/\baudit\w*/, 3], [/\bcheck\w*/, 2], [/\b(validate|verify|review)\b/, 2],
+        [/\berrors?\b/, 2], [/\b(issues?|problems?|mistakes?)\b/, 1.5],
+        [/\b(broken|wrong|incorrect|inconsistent)\b/, 1.5], [/\banaly[sz]e\b/, 1.5], [/\bfind\b/, 1]
+    ],
+    explain: [
+        [/\bexplain\w*/, 3], [/\bdescribe\b/, 2], [/\bwhat (does|do|is) (this|that|the)\b/, 2],
+        [/\bhow does\b/, 2], [/\bmean(s|ing)?\b/, 1.5], [/\bunderstand\b/, 1.5],
+        [/\bwalk me through\b/, 2], [/\bplain english\b/, 2]
+    ],
+    fix: [
+        [/\bfix\w*/, 3], [/\brepair\w*/, 3], [/\bcorrect (the|this|these|my|all)\b/, 2],
+        [/\bresolve\b/, 2], [/\bclean up\b/, 1.5], [/\bhow (to|do i|can i|should i) (fix|repair|correct)\b/, 2]
+    ],
+    consolidate: [
+        [/\bconsolidat\w*/, 3], [/\bmerge\w*/, 3], [/\bcombine\w*/, 3],
+        [/\bappend\b/, 1.5], [/\bjoin\b/, 1.5], [/\b(files|workbooks)\b/, 1]
+    ],
+    modernize: [
+        [/\bmoderni[sz]\w*/, 3], [/\bxlookup\b/, 3], [/\bconvert\b/, 2], [/\b(legacy|outdated)\b/, 2],
+        [/\b(ifs|switch|sumifs)\b/, 2], [/\bupgrade\b/, 1.5]
+    ],
+    profile: [
+        [/\bperformance\b/, 3], [/\bslow\w*/, 3], [/\b(profile|profiler|profiling)\b/, 3],
+        [/\brecalc\w*/, 2], [/\b(speed up|faster|lag\w*)\b/, 2], [/\b(expensive|heavy|bottlenecks?)\b/, 1.5]
+    ],
+    author: [
+        [/\b(write|create|build|make|generate|give me|need)\b.{0,12}\bformula\b/, 4], [/\bformula (that|to|for|which)\b/, 2],
+        [/^(sum|average|count|total|max|min|lookup)\b/, 1.5], [/\b(sum|average|count|total) of\b/, 1.5],
+        [/\b(in|into) (this|the selected) cell\b/, 1.5]
+    ],
+    question: [
+        [/^(why|what|how|which|who|when|where|is|are|can|should|does)\b/, 1],
+        [/\?$/, 1], [/\b(that|this|those|the) (one|issue|cell|result)s?\b/, 1.5]
+    ],
+    edit: [
+        [/\b(add|insert|create|delete|remove|sort|filter|format|rename|calculate)\b/, 2],
+        [/\b(column|row|table|chart|total)s?\b/, 0.5]
+    ]
+};
+
+/**
+ * Classify a request, asking the service first when it is connected.
+ * Returns { intent, endpoint, confidence, source, alternatives }.
+ */
+async function classifyIntent(query, signal) {
+    const local = classifyIntentLocally(query);
+    
+    if (connectionStatus !== 'connected') {
+        return local;
+    }
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), INTENT_SERVICE_TIMEOUT);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', forwardAbort);
+    
+    try {
+        const response = await postToService('/classify_intent', {
+            query: query,
+            has_files: selectedFiles.length > 0,
+            intents: Object.keys(INTENTS)
+        }, { signal: controller.signal });
+        
+        if (!response || !INTENTS[response.intent]) {
+            return local;
+        }
+        
+        return {
+            intent: response.intent,
+            endpoint: resolveIntentEndpoint(response.intent),
+            confidence: typeof response.confidence === 'number' ? response.confidence : local.confidence,
+            source: 'service',
+            alternatives: response.alternatives || local.alternatives
+        };
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        console.warn('Intent service unavailable, using local classifier:', error);
+        return local;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', forwardAbort);
+    }
+}
+
+/**
+ * Score every intent against the request's phrases. Confidence is the
+ * margin over the best intent that routes to a different endpoint.
+ */
+function classifyIntentLocally(query) {
+    const text = query.toLowerCase().trim();
+    const opening = text.split(/\s+/).slice(0, 3).join(' ');
+    
+    const scores = Object.keys(INTENT_FEATURES).map(intent => {
+        const score = INTENT_FEATURES[intent].reduce((total, [pattern, weight]) => {
+            if (!pattern.test(text)) return total;
+            return total + (pattern.test(opening) ? weight * 1.5 : weight);
+        }, 0);
+        return { intent, score };
+    }).sort((a, b) => b.score - a.score);
+    
+    const top = scores[0];
+    if (top.score === 0) {
+        // Free-form requests go to the general natural language endpoint
+        return {
+            intent: 'question',
+            endpoint: resolveIntentEndpoint('question'),
+            confidence: 0.6,
+            source: 'local',
+            alternatives: []
+        };
+    }
+    
+    const rival = scores.find(item => INTENTS[item.intent].endpoint !== INTENTS[top.intent].endpoint);
+    const margin = (top.score - (rival ? rival.score : 0)) / top.score;
+    const strength = Math.min(1, top.score / 3);
+    
+    return {
+        intent: top.intent,
+        endpoint: resolveIntentEndpoint(top.intent),
+        confidence: Math.round(margin * strength * 100) / 100,
+        source: 'local',
+        alternatives: scores.filter(item => item.score > 0 && item !== top).map(item => item.intent)
+    };
+}
+
+/**
+ * Audits of selected files go to the deeper smart analysis endpoint
+ */
+function resolveIntentEndpoint(intent) {
+    if (intent === 'audit' && selectedFiles.length > 0) {
+        return '/smart_analysis';
+    }
+    return INTENTS[intent].endpoint;
+}
+
+/**
+ * Ask the user which intent they meant. Resolves with a classification,
+ * or null when the chooser is dismissed or the operation is cancelled.
+ */
+function chooseIntent(classification, signal) {
+    const chooser = document.getElementById('intent-chooser');
+    const options = document.getElementById('intent-options');
+    
+    // Most likely intents first
+    const ranked = [classification.intent, ...(classification.alternatives || [])];
+    const ordered = [...CHOOSER_INTENTS].sort((a, b) => {
+        const rankA = ranked.indexOf(a) === -1 ? ranked.length : ranked.indexOf(a);
+        const rankB = ranked.indexOf(b) === -1 ? ranked.length : ranked.indexOf(b);
+        return rankA - rankB;
+    });
+    
+    return new Promise(resolve => {
+        const finish = (intent) => {
+            chooser.style.display = 'none';
+            options.innerHTML = '';
+            if (signal) signal.removeEventListener('abort', dismiss);
+            resolve(intent ? {
+                intent: intent,
+                endpoint: resolveIntentEndpoint(intent),
+                confidence: 1,
+                source: 'user',
+                alternatives: []
+            } : null);
+        };
+        const dismiss = () => finish(null);
+        
+        options.innerHTML = '';
+        ordered.forEach(intent => {
+            const button = document.createElement('button');
+            button.className = `ms-Button ms-Button--small ${intent === classification.intent ? 'ms-Button--primary' : 'ms-Button--default'}`;
+            button.textContent = INTENTS[intent].label;
+            button.addEventListener('click', () => finish(intent));
+            options.appendChild(button);
+        });
+        
+        if (signal) signal.addEventListener('abort', dismiss);
+        chooser.style.display = 'block';
+    });
+}
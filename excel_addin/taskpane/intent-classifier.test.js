@@ -0,0 +1,135 @@
+/**
+ * Tests for the intent classifier: the local phrase model, the routing of
+ * intents to endpoints and the fallback from the service. The classifier is
+ * a plain browser script, so it is loaded into a VM context with the task
+ * pane globals it reads.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadClassifier(globals = {}) {
+    const context = vm.createContext({
+        console: { warn() {} },
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        selectedFiles: [],
+        connectionStatus: 'disconnected',
+        ...globals
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, 'intent-classifier.js'), 'utf8'), context);
+    // Top-level constants are not properties of the context
+    context.INTENT_CONFIDENCE_THRESHOLD = vm.runInContext('INTENT_CONFIDENCE_THRESHOLD', context);
+    return context;
+}
+
+test('clear requests are routed with confidence', async (t) => {
+    const { classifyIntentLocally, INTENT_CONFIDENCE_THRESHOLD } = loadClassifier();
+    const cases = [
+        ['Audit the sheet', 'audit', '/audit_formulas'],
+        ['check the file totals', 'audit', '/audit_formulas'],
+        ['Explain this formula', 'explain', '/explain_sheet'],
+        ['fix the #REF! errors', 'fix', '/apply_fixes'],
+        ['merge these files', 'consolidate', '/consolidate_files'],
+        ['Convert my VLOOKUP formulas to XLOOKUP', 'modernize', '/modernize'],
+        ['why is the workbook slow to recalculate', 'profile', '/profile_performance'],
+        ['write a formula that sums column B', 'author', '/generate_formula'],
+        ['sort the table by date', 'edit', '/natural_language']
+    ];
+    
+    for (const [query, intent, endpoint] of cases) {
+        await t.test(query, () => {
+            const result = classifyIntentLocally(query);
+            assert.strictEqual(result.intent, intent);
+            assert.strictEqual(result.endpoint, endpoint);
+            assert.strictEqual(result.source, 'local');
+            assert.ok(result.confidence >= INTENT_CONFIDENCE_THRESHOLD, `confidence ${result.confidence}`);
+        });
+    }
+});
+
+test('requests that mix intents are left to the chooser', () => {
+    const { classifyIntentLocally, INTENT_CONFIDENCE_THRESHOLD } = loadClassifier();
+    const result = classifyIntentLocally('describe how to fix');
+    
+    assert.strictEqual(result.intent, 'fix');
+    assert.ok(result.confidence < INTENT_CONFIDENCE_THRESHOLD, `confidence ${result.confidence}`);
+    assert.ok(result.alternatives.includes('explain'));
+});
+
+test('requests without known phrases go to the natural language endpoint', () => {
+    const { classifyIntentLocally } = loadClassifier();
+    const result = classifyIntentLocally('hello there');
+    
+    assert.strictEqual(result.intent, 'question');
+    assert.strictEqual(result.endpoint, '/natural_language');
+    assert.strictEqual(result.alternatives.length, 0);
+});
+
+test('audits of selected files use smart analysis', () => {
+    const { classifyIntentLocally } = loadClassifier({ selectedFiles: [{ name: 'Q1.xlsx' }] });
+    assert.strictEqual(classifyIntentLocally('audit these').endpoint, '/smart_analysis');
+});
+
+test('the service classification is used when connected', async () => {
+    let request = null;
+    const { classifyIntent } = loadClassifier({
+        connectionStatus: 'connected',
+        postToService: async (endpoint, body) => {
+            request = { endpoint, body };
+            return { intent: 'explain', confidence: 0.9, alternatives: ['question'] };
+        }
+    });
+    
+    const result = await classifyIntent('what happens in column C');
+    assert.strictEqual(request.endpoint, '/classify_intent');
+    assert.strictEqual(request.body.query, 'what happens in column C');
+    assert.strictEqual(result.intent, 'explain');
+    assert.strictEqual(result.endpoint, '/explain_sheet');
+    assert.strictEqual(result.confidence, 0.9);
+    assert.strictEqual(result.source, 'service');
+});
+
+test('the local model answers when the service fails or answers with an unknown intent', async (t) => {
+    const responses = [
+        ['an error', async () => { throw new Error('unreachable'); }],
+        ['an unknown intent', async () => ({ intent: 'dance', confidence: 1 })],
+        ['an empty response', async () => null]
+    ];
+    
+    for (const [name, respond] of responses) {
+        await t.test(name, async () => {
+            const { classifyIntent } = loadClassifier({ connectionStatus: 'connected', postToService: respond });
+            const result = await classifyIntent('merge these files');
+            assert.strictEqual(result.intent, 'consolidate');
+            assert.strictEqual(result.source, 'local');
+        });
+    }
+});
+
+test('the service is not asked while disconnected', async () => {
+    const { classifyIntent } = loadClassifier({
+        postToService: async () => assert.fail('the service was called')
+    });
+    assert.strictEqual((await classifyIntent('audit the sheet')).source, 'local');
+});
+
+test('cancelling the operation cancels classification', async () => {
+    const controller = new AbortController();
+    const { classifyIntent } = loadClassifier({
+        connectionStatus: 'connected',
+        postToService: async () => {
+            controller.abort();
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            throw error;
+        }
+    });
+    
+    await assert.rejects(classifyIntent('audit the sheet', controller.signal), { name: 'AbortError' });
+});
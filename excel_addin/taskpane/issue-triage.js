@@ -0,0 +1,243 @@
+/**
+ * LyncFormula Issue Triage
+ * Dismiss, accept-risk and snooze decisions for audit findings. Decisions are
+ * stored in the workbook's document settings, so everyone who opens the file
+ * sees them, keyed on the cell, a hash of its formula and the finding.
+ * Editing the formula changes the hash, which re-opens the finding.
+ */
+
+const TRIAGE_SETTING = 'lyncformula-triage';
+const SNOOZE_OPTIONS = [
+    { days: 1, label: '1 day' },
+    { days: 7, label: '1 week' },
+    { days: 30, label: '30 days' }
+];
+const TRIAGE_LABELS = {
+    dismissed: 'Dismissed',
+    'accepted-risk': 'Risk accepted',
+    snoozed: 'Snoozed'
+};
+
+/**
+ * Mark each finding of a result with its triage decision (item.triage, null
+ * when open) and what it is keyed on (item.triage_target). Decisions for
+ * formulas that have since changed, and expired snoozes, are removed.
+ * Returns the number of suppressed findings.
+ */
+async function applyTriage(result) {
+    const sheet = result.worksheet || await getActiveSheetName();
+    const targets = collectTriageTargets(result, sheet);
+    if (targets.length === 0) return 0;
+    
+    // Findings from the service do not always carry the formula they are about
+    const missing = [...new Set(targets.filter(target => !target.formula).map(target => target.address))]
+        .filter(isSingleCellAddress);
+    if (missing.length > 0) {
+        try {
+            const current = await loadCellFormulas(missing);
+            targets.forEach(target => {
+                target.formula = target.formula || current[target.address] || '';
+            });
+        } catch (error) {
+            console.warn('Could not read formulas for triage:', error);
+        }
+    }
+    
+    const records = { ...getDocumentSetting(TRIAGE_SETTING, {}) };
+    const now = Date.now();
+    let removed = 0;
+    
+    Object.keys(records).forEach(key => {
+        if (records[key].status === 'snoozed' && Date.parse(records[key].until) <= now) {
+            delete records[key];
+            removed++;
+        }
+    });
+    
+    targets.forEach(target => {
+        const hash = hashText(target.formula || '');
+        const key = `${target.address}|${hash}|${target.finding}`;
+        target.item.triage_target = { key, address: target.address, hash, finding: target.finding, title: target.title };
+        target.item.triage = records[key] || null;
+        
+        // A decision about an earlier version of this formula no longer applies
+        Object.keys(records).forEach(existing => {
+            const record = records[existing];
+            if (record.address === target.address && record.finding === target.finding && record.hash !== hash) {
+                delete records[existing];
+                removed++;
+            }
+        });
+    });
+    
+    if (removed > 0) {
+        console.log(`🔓 Re-opened ${removed} finding${removed === 1 ? '' : 's'} whose formula changed or snooze ran out`);
+        await setDocumentSetting(TRIAGE_SETTING, records);
+    }
+    
+    return targets.filter(target => target.item.triage).length;
+}
+
+/**
+ * Audit issues and smart analysis errors, with sheet-qualified addresses
+ */
+function collectTriageTargets(result, sheet) {
+    const qualify = address => address.includes('!') ? address : `${quoteSheetName(sheet)}!${address}`;
+    const targets = [];
+    
+    (result.issues || []).forEach(issue => {
+        if (!issue.cell_address) return;
+        targets.push({
+            item: issue,
+            address: qualify(issue.cell_address),
+            formula: issue.formula || '',
+            finding: issue.rule || issue.title,
+            title: issue.title
+        });
+    });
+    
+    (result.analysis_results || []).forEach(analysis => {
+        if (!analysis.has_errors || !analysis.address) return;
+        targets.push({
+            item: analysis,
+            address: qualify(analysis.address),
+            formula: analysis.original_formula || '',
+            finding: 'analysis',
+            title: analysis.error_details || 'Formula error'
+        });
+    });
+    
+    return targets;
+}
+
+/**
+ * Store a decision for a finding marked by applyTriage
+ */
+async function triageFinding(item, status, options = {}) {
+    const reviewer = requireReviewer();
+    if (!reviewer) return false;
+    
+    const target = item.triage_target;
+    const record = {
+        address: target.address,
+        hash: target.hash,
+        finding: target.finding,
+        title: target.title,
+        status: status,
+        reason: options.reason || '',
+        until: status === 'snoozed' ? new Date(Date.now() + options.days * 24 * 60 * 60 * 1000).toISOString() : null,
+        by: reviewer,
+        at: new Date().toISOString()
+    };
+    
+    await setDocumentSetting(TRIAGE_SETTING, { ...getDocumentSetting(TRIAGE_SETTING, {}), [target.key]: record });
+    item.triage = record;
+    return true;
+}
+
+async function reopenFinding(item) {
+    const records = { ...getDocumentSetting(TRIAGE_SETTING, {}) };
+    delete records[item.triage_target.key];
+    await setDocumentSetting(TRIAGE_SETTING, records);
+    item.triage = null;
+}
+
+function describeTriage(record) {
+    let text = `${TRIAGE_LABELS[record.status]} by ${record.by}`;
+    if (record.status === 'snoozed') {
+        text += ` until ${new Date(record.until).toLocaleDateString()}`;
+    }
+    return record.reason ? `${text}: ${record.reason}` : text;
+}
+
+/**
+ * Dismiss / Accept Risk / Snooze buttons for an open finding, or its
+ * decision and a Reopen button. onChange runs after a decision is saved;
+ * problems are shown under the buttons, so the issue list stays as it is.
+ */
+function createTriageControls(item, onChange) {
+    const element = document.createElement('div');
+    element.className = 'issue-triage';
+    if (!item.triage_target) return element;
+    
+    const showTriageError = (message) => {
+        const error = element.querySelector('.triage-error');
+        error.textContent = message;
+        error.style.display = message ? '' : 'none';
+    };
+    const save = async (action) => {
+        showTriageError('');
+        try {
+            if (await action()) onChange();
+        } catch (error) {
+            console.error('Saving triage failed:', error);
+            showTriageError(`Could not save the decision: ${error.message}`);
+        }
+    };
+    
+    if (item.triage) {
+        element.innerHTML = html`
+            <span class="triage-status">${describeTriage(item.triage)}</span>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-triage-reopen">
+                <span class="ms-Button-label">Reopen</span>
+            </button>
+            <p class="field-error triage-error" style="display: none;"></p>
+        `;
+        element.querySelector('.btn-triage-reopen').addEventListener('click', () => save(async () => {
+            await reopenFinding(item);
+            return true;
+        }));
+        return element;
+    }
+    
+    element.innerHTML = html`
+        <div class="triage-actions">
+            <button class="ms-Button ms-Button--default ms-Button--small btn-triage-dismiss">
+                <span class="ms-Button-label">Dismiss</span>
+            </button>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-triage-form" data-status="accepted-risk">
+                <span class="ms-Button-label">Accept Risk</span>
+            </button>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-triage-form" data-status="snoozed">
+                <span class="ms-Button-label">Snooze</span>
+            </button>
+        </div>
+        <div class="triage-form" style="display: none;">
+            <input type="text" class="ms-TextField-field triage-reason" placeholder="Reason" />
+            <select class="ms-Dropdown-select triage-days">
+                ${SNOOZE_OPTIONS.map(option => html`<option value="${option.days}">${option.label}</option>`)}
+            </select>
+            <button class="ms-Button ms-Button--primary ms-Button--small btn-triage-save">
+                <span class="ms-Button-label">Save</span>
+            </button>
+        </div>
+        <p class="field-error triage-error" style="display: none;"></p>
+    `;
+    
+    const form = element.querySelector('.triage-form');
+    const reason = element.querySelector('.triage-reason');
+    const days = element.querySelector('.triage-days');
+    
+    element.querySelector('.btn-triage-dismiss').addEventListener('click', () => save(() => triageFinding(item, 'dismissed')));
+    element.querySelectorAll('.btn-triage-form').forEach(button => {
+        button.addEventListener('click', () => {
+            form.dataset.status = button.dataset.status;
+            form.style.display = 'flex';
+            days.style.display = button.dataset.status === 'snoozed' ? '' : 'none';
+            reason.placeholder = button.dataset.status === 'snoozed' ? 'Reason (optional)' : 'Why is this risk acceptable?';
+            showTriageError('');
+            reason.focus();
+        });
+    });
+    element.querySelector('.btn-triage-save').addEventListener('click', () => {
+        const status = form.dataset.status;
+        if (status === 'accepted-risk' && !reason.value.trim()) {
+            showTriageError('Give a reason for accepting the risk');
+            reason.focus();
+            return;
+        }
+        save(() => triageFinding(item, status, { reason: reason.value.trim(), days: Number(days.value) }));
+    });
+    
+    return element;
+}
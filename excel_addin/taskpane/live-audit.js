@@ -0,0 +1,403 @@
+/**
+ * LyncFormula Live Audit
+ * Optional mode that watches the workbook for edits and re-audits only the
+ * edited cells and the formulas that depend on them. Findings are cached by a
+ * hash of the formula, so unchanged formulas are never analysed twice, and
+ * the issue counts are shown in a badge next to the connection status.
+ */
+
+const LIVE_AUDIT_DEBOUNCE = 1000;
+// Edited cells plus dependents re-audited per burst of edits
+const MAX_LIVE_AUDIT_CELLS = 500;
+// Distinct uncached formulas sent to the service per burst; the rest get
+// the built-in rules now and the service on a later pass
+const MAX_LIVE_SERVICE_FORMULAS = 50;
+const MAX_LIVE_AUDIT_CACHE = 5000;
+// Edits that move cells around; the dependency graph has to be rebuilt
+const STRUCTURAL_CHANGES = ['RowInserted', 'RowDeleted', 'ColumnInserted', 'ColumnDeleted', 'CellInserted', 'CellDeleted'];
+
+let liveAudit = {
+    subscription: null,
+    pending: [],
+    running: false,
+    rerun: false,
+    findings: new Map(),
+    cache: new Map()
+};
+
+let scheduleLiveAudit = null;
+
+function setupLiveAudit() {
+    scheduleLiveAudit = debounce(() => runLiveAudit(), LIVE_AUDIT_DEBOUNCE);
+    
+    document.getElementById('live-audit-toggle').addEventListener('change', (event) => {
+        saveServiceSettings({ liveAudit: event.target.checked });
+        setLiveAudit(event.target.checked);
+    });
+    document.getElementById('live-audit-badge').addEventListener('click', showLiveAuditResults);
+}
+
+/**
+ * Start or stop watching the workbook
+ */
+async function setLiveAudit(enabled) {
+    document.getElementById('live-audit-toggle').checked = enabled;
+    
+    try {
+        if (enabled && !liveAudit.subscription) {
+            await startLiveAudit();
+        } else if (!enabled && liveAudit.subscription) {
+            await stopLiveAudit();
+        }
+    } catch (error) {
+        console.error('Live audit could not be changed:', error);
+        showError(`Live audit could not be ${enabled ? 'started' : 'stopped'}: ${error.message}`);
+        document.getElementById('live-audit-toggle').checked = !!liveAudit.subscription;
+    }
+    updateLiveAuditBadge();
+}
+
+/**
+ * Subscribe to edits on every worksheet and audit the active sheet once
+ * as the starting point
+ */
+async function startLiveAudit() {
+    liveAudit.subscription = await Excel.run(async (context) => {
+        const subscription = context.workbook.worksheets.onChanged.add(handleWorksheetChanged);
+        await context.sync();
+        return subscription;
+    });
+    console.log('👁️ Live audit started');
+    
+    liveAudit.running = true;
+    updateLiveAuditBadge();
+    try {
+        dependencyGraph = await buildDependencyGraph();
+        const sheet = await getActiveSheetName();
+        const cells = [];
+        dependencyGraph.cells.forEach(cell => {
+            if (cell.sheet === sheet) cells.push(cell);
+        });
+        await auditLiveCells(cells);
+    } finally {
+        finishLiveAuditPass();
+    }
+}
+
+async function stopLiveAudit() {
+    const subscription = liveAudit.subscription;
+    liveAudit.subscription = null;
+    liveAudit.pending = [];
+    liveAudit.findings.clear();
+    
+    await Excel.run(subscription.context, async (context) => {
+        subscription.remove();
+        await context.sync();
+    });
+    console.log('👁️ Live audit stopped');
+}
+
+/**
+ * Queue the edited range; bursts of edits are audited together
+ */
+async function handleWorksheetChanged(event) {
+    liveAudit.pending.push({
+        worksheetId: event.worksheetId,
+        address: event.address,
+        changeType: event.changeType
+    });
+    scheduleLiveAudit();
+}
+
+/**
+ * Audit the queued edits and their dependents. Edits that arrive while a
+ * pass is running are picked up by another pass when it finishes.
+ */
+async function runLiveAudit() {
+    if (!liveAudit.subscription || liveAudit.pending.length === 0) return;
+    if (liveAudit.running) {
+        liveAudit.rerun = true;
+        return;
+    }
+    
+    const changes = liveAudit.pending.splice(0);
+    liveAudit.running = true;
+    updateLiveAuditBadge();
+    
+    try {
+        if (!dependencyGraph || changes.some(change => STRUCTURAL_CHANGES.includes(change.changeType))) {
+            // Cells have moved, so findings by address no longer line up
+            dependencyGraph = await buildDependencyGraph();
+            const sheets = new Set(await readChangedSheets(changes));
+            const cells = [];
+            liveAudit.findings.forEach((issues, address) => {
+                if (sheets.has(splitSheetAddress(address).sheet)) liveAudit.findings.delete(address);
+            });
+            dependencyGraph.cells.forEach(cell => {
+                if (sheets.has(cell.sheet)) cells.push(cell);
+            });
+            await auditLiveCells(cells);
+            return;
+        }
+        
+        const edits = await readChangedRanges(changes);
+        edits.forEach(edit => {
+            // Forget what the range held, then add the formulas it holds now
+            dependencyGraph.cells.forEach(cell => {
+                if (rangeContains(edit.ref, cell.sheet, cell.row, cell.col)) {
+                    setGraphCell(dependencyGraph, cell.sheet, cell.row, cell.col, null);
+                }
+            });
+            liveAudit.findings.forEach((issues, address) => {
+                const ref = parseRangeAddress(address);
+                if (ref && rangesIntersect(ref, edit.ref)) liveAudit.findings.delete(address);
+            });
+            edit.cells.forEach(cell => setGraphCell(dependencyGraph, edit.ref.sheet, cell.row, cell.col, cell.formula));
+        });
+        
+        const formulas = [];
+        dependencyGraph.cells.forEach(cell => {
+            if (formulas.length < MAX_LIVE_AUDIT_CELLS && edits.some(edit => rangeContains(edit.ref, cell.sheet, cell.row, cell.col))) {
+                formulas.push(cell);
+            }
+        });
+        const dependents = collectDependentCells(
+            dependencyGraph,
+            edits.map(edit => edit.ref),
+            MAX_LIVE_AUDIT_CELLS - formulas.length
+        );
+        
+        await auditLiveCells([...formulas, ...dependents]);
+    } catch (error) {
+        console.error('Live audit failed:', error);
+    } finally {
+        finishLiveAuditPass();
+    }
+}
+
+function finishLiveAuditPass() {
+    liveAudit.running = false;
+    updateLiveAuditBadge();
+    
+    if (liveAudit.rerun) {
+        liveAudit.rerun = false;
+        runLiveAudit();
+    }
+}
+
+async function readChangedSheets(changes) {
+    return Excel.run(async (context) => {
+        const worksheets = changes.map(change => {
+            const worksheet = context.workbook.worksheets.getItemOrNullObject(change.worksheetId);
+            worksheet.load('name');
+            return worksheet;
+        });
+        await context.sync();
+        return worksheets.filter(worksheet => !worksheet.isNullObject).map(worksheet => worksheet.name);
+    });
+}
+
+/**
+ * Each edited range with the formulas now in it. Only the part inside the
+ * used range is read, so clearing whole columns stays cheap.
+ */
+async function readChangedRanges(changes) {
+    return Excel.run(async (context) => {
+        // Scratch sheets used to evaluate formulas are gone by the time their edits arrive
+        const worksheets = changes.map(change => {
+            const worksheet = context.workbook.worksheets.getItemOrNullObject(change.worksheetId);
+            worksheet.load('name');
+            return { worksheet, address: change.address };
+        });
+        await context.sync();
+        
+        const ranges = worksheets.filter(({ worksheet }) => !worksheet.isNullObject).map(({ worksheet, address }) => {
+            const range = worksheet.getRange(address)
+                .getIntersectionOrNullObject(worksheet.getUsedRange());
+            range.load('formulas, rowIndex, columnIndex');
+            return { worksheet, range, address };
+        });
+        await context.sync();
+        
+        return ranges.map(({ worksheet, range, address }) => {
+            const cells = [];
+            if (!range.isNullObject) {
+                range.formulas.forEach((rowFormulas, row) => {
+                    rowFormulas.forEach((formula, col) => {
+                        cells.push({ row: range.rowIndex + row, col: range.columnIndex + col, formula: formula });
+                    });
+                });
+            }
+            return { ref: parseRangeAddress(address, worksheet.name), cells };
+        });
+    });
+}
+
+/**
+ * Audit formula cells of the graph, reusing cached findings for formulas
+ * that were analysed before
+ */
+async function auditLiveCells(cells) {
+    if (cells.length === 0) return;
+    
+    const values = await readLiveCellValues(cells);
+    const useService = connectionStatus === 'connected';
+    const misses = new Map();
+    
+    cells.forEach(cell => {
+        const address = getCellKey(cell.sheet, cell.row, cell.col);
+        const value = values[address];
+        // The cell's error state is part of the key: a formula that starts
+        // returning #DIV/0! needs looking at again
+        const key = `${hashText(cell.formula)}|${typeof value === 'string' && FORMULA_ERRORS.includes(value) ? value : ''}`;
+        const cached = liveAudit.cache.get(key);
+        
+        if (cached && (cached.service || !useService)) {
+            liveAudit.findings.set(address, cached.issues.map(issue => ({ ...issue, cell_address: address })));
+        } else {
+            if (!misses.has(key)) misses.set(key, []);
+            misses.get(key).push({ ...cell, address, value });
+        }
+    });
+    
+    if (misses.size === 0) return;
+    
+    const keys = [...misses.keys()];
+    const serviceKeys = useService ? keys.slice(0, MAX_LIVE_SERVICE_FORMULAS) : [];
+    const serviceIssues = await analyseWithService(serviceKeys.map(key => misses.get(key)[0]));
+    
+    keys.forEach(key => {
+        const sample = misses.get(key)[0];
+        const local = auditFormulaCells([{ ...sample, ast: tryParseFormula(sample.formula) }]);
+        const service = serviceIssues ? serviceIssues[sample.address] : undefined;
+        const issues = [...local, ...(service || [])];
+        
+        cacheLiveFindings(key, { issues, service: service !== undefined });
+        misses.get(key).forEach(cell => {
+            liveAudit.findings.set(cell.address, issues.map(issue => ({ ...issue, cell_address: cell.address })));
+        });
+    });
+}
+
+function cacheLiveFindings(key, entry) {
+    liveAudit.cache.delete(key);
+    liveAudit.cache.set(key, entry);
+    if (liveAudit.cache.size > MAX_LIVE_AUDIT_CACHE) {
+        liveAudit.cache.delete(liveAudit.cache.keys().next().value);
+    }
+}
+
+/**
+ * Current values of the cells, read as one block per sheet
+ */
+async function readLiveCellValues(cells) {
+    const bySheet = {};
+    cells.forEach(cell => {
+        const bounds = bySheet[cell.sheet] = bySheet[cell.sheet] ||
+            { sheet: cell.sheet, startRow: cell.row, endRow: cell.row, startCol: cell.col, endCol: cell.col };
+        bounds.startRow = Math.min(bounds.startRow, cell.row);
+        bounds.endRow = Math.max(bounds.endRow, cell.row);
+        bounds.startCol = Math.min(bounds.startCol, cell.col);
+        bounds.endCol = Math.max(bounds.endCol, cell.col);
+    });
+    
+    return Excel.run(async (context) => {
+        const blocks = Object.values(bySheet).map(bounds => {
+            const range = getRangeForAddress(context, formatRangeAddress(bounds));
+            range.load('values');
+            return { bounds, range };
+        });
+        await context.sync();
+        
+        const values = {};
+        blocks.forEach(({ bounds, range }) => {
+            range.values.forEach((rowValues, row) => {
+                rowValues.forEach((value, col) => {
+                    values[getCellKey(bounds.sheet, bounds.startRow + row, bounds.startCol + col)] = value;
+                });
+            });
+        });
+        return values;
+    });
+}
+
+/**
+ * Send formulas to /smart_analysis, one request per sheet. Returns issues by
+ * address (an empty list for formulas the service found nothing wrong with),
+ * or null when the service could not be used.
+ */
+async function analyseWithService(cells) {
+    if (cells.length === 0) return null;
+    
+    const bySheet = {};
+    cells.forEach(cell => {
+        (bySheet[cell.sheet] = bySheet[cell.sheet] || {})[cellAddress(cell.row, cell.col)] = cell.formula;
+    });
+    
+    const issues = {};
+    try {
+        for (const [sheet, formulas] of Object.entries(bySheet)) {
+            const result = await postToService('/smart_analysis', {
+                worksheet: sheet,
+                formulas: formulas,
+                context: { worksheetName: sheet, formulas: formulas, formulaCount: Object.keys(formulas).length }
+            });
+            
+            Object.keys(formulas).forEach(local => {
+                issues[`${quoteSheetName(sheet)}!${local}`] = [];
+            });
+            (result.analysis_results || []).filter(analysis => analysis.has_errors).forEach(analysis => {
+                const address = `${quoteSheetName(sheet)}!${splitSheetAddress(analysis.address).local}`;
+                (issues[address] = issues[address] || []).push({
+                    rule: 'analysis',
+                    severity: analysis.severity || 'medium',
+                    title: analysis.error_details || 'Formula error',
+                    description: analysis.explanation || '',
+                    formula: analysis.original_formula || formulas[splitSheetAddress(analysis.address).local],
+                    suggested_fix: analysis.improved_formula || (analysis.suggestions || [])[0] || ''
+                });
+            });
+        }
+        return issues;
+    } catch (error) {
+        console.warn('Live audit is using built-in rules only:', error);
+        return null;
+    }
+}
+
+/**
+ * Every current finding, shaped like an audit result
+ */
+function getLiveAuditResult() {
+    const issues = [].concat(...liveAudit.findings.values());
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+    
+    return {
+        success: true,
+        live: true,
+        issues: issues,
+        audit_summary: summarizeIssues(issues)
+    };
+}
+
+function showLiveAuditResults() {
+    showResults(getLiveAuditResult(), 'Live audit');
+}
+
+function updateLiveAuditBadge() {
+    const badge = document.getElementById('live-audit-badge');
+    if (!liveAudit.subscription) {
+        badge.style.display = 'none';
+        return;
+    }
+    
+    const summary = getLiveAuditResult().audit_summary;
+    const total = summary.total_issues;
+    const breakdown = summary.severity_breakdown;
+    
+    badge.style.display = '';
+    badge.className = `live-audit-badge ${breakdown.high > 0 ? 'high' : breakdown.medium > 0 ? 'medium' : total > 0 ? 'low' : 'clean'}`;
+    badge.textContent = liveAudit.running ? 'Checking...' : `${total} issue${total === 1 ? '' : 's'}`;
+    badge.title = `${breakdown.high} high, ${breakdown.medium} medium, ${breakdown.low} low - click to show`;
+}
@@ -0,0 +1,393 @@
+/**
+ * LyncFormula Local Audit Engine
+ * Built-in rule set that audits the active sheet inside the add-in when the
+ * Python service is unreachable. Returns the same issues / audit_summary
+ * shape as the /audit_formulas endpoint.
+ */
+
+const VOLATILE_FUNCTIONS = {
+    OFFSET: 'medium',
+    INDIRECT: 'medium',
+    NOW: 'low',
+    TODAY: 'low',
+    RAND: 'low',
+    RANDBETWEEN: 'low',
+    RANDARRAY: 'low',
+    CELL: 'low',
+    INFO: 'low'
+};
+
+// Literals that are rarely "magic numbers" when they appear in arithmetic
+const TRIVIAL_CONSTANTS = [0, 1, -1, 2, 100];
+
+const ARITHMETIC_OPERATORS = ['+', '-', '*', '/', '^'];
+
+/**
+ * Read the active sheet and run every local rule over it
+ */
+async function runLocalAudit() {
+    const sheetData = await Excel.run(async (context) => {
+        const worksheet = context.workbook.worksheets.getActiveWorksheet();
+        worksheet.load('name');
+        
+        const usedRange = worksheet.getUsedRangeOrNullObject();
+        usedRange.load('formulas, formulasR1C1, values, rowIndex, columnIndex');
+        
+        await context.sync();
+        
+        if (usedRange.isNullObject) {
+            return { sheet: worksheet.name, rowIndex: 0, columnIndex: 0, formulas: [], formulasR1C1: [], values: [] };
+        }
+        
+        return {
+            sheet: worksheet.name,
+            rowIndex: usedRange.rowIndex,
+            columnIndex: usedRange.columnIndex,
+            formulas: usedRange.formulas,
+            formulasR1C1: usedRange.formulasR1C1,
+            values: usedRange.values
+        };
+    });
+    
+    return auditSheetData(sheetData);
+}
+
+/**
+ * Apply the local rules to a used-range snapshot
+ */
+function auditSheetData(sheetData) {
+    const cells = [];
+    
+    sheetData.formulas.forEach((rowFormulas, row) => {
+        rowFormulas.forEach((formula, col) => {
+            if (!formula || !formula.toString().startsWith('=')) return;
+            
+            cells.push({
+                row: row,
+                col: col,
+                address: cellAddress(sheetData.rowIndex + row, sheetData.columnIndex + col),
+                formula: formula.toString(),
+                formulaR1C1: sheetData.formulasR1C1[row][col].toString(),
+                value: sheetData.values[row][col],
+                ast: tryParseFormula(formula.toString())
+            });
+        });
+    });
+    
+    const issues = [
+        ...checkErrorResults(cells),
+        ...checkInconsistentFormulas(cells, sheetData),
+        ...checkVolatileFunctions(cells),
+        ...checkWholeColumnReferences(cells),
+        ...checkHardcodedConstants(cells),
+        ...checkEmptyReferences(cells, sheetData)
+    ];
+    
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+    
+    return {
+        success: true,
+        offline: true,
+        worksheet: sheetData.sheet,
+        issues: issues,
+        audit_summary: {
+            total_formulas: cells.length,
+            total_issues: issues.length,
+            severity_breakdown: {
+                high: issues.filter(issue => issue.severity === 'high').length,
+                medium: issues.filter(issue => issue.severity === 'medium').length,
+                low: issues.filter(issue => issue.severity === 'low').length
+            }
+        }
+    };
+}
+
+/**
+ * The rules that look at nothing but the cell itself, for auditing a few
+ * edited cells without reading the rest of the sheet
+ */
+function auditFormulaCells(cells) {
+    return [
+        ...checkErrorResults(cells),
+        ...checkVolatileFunctions(cells),
+        ...checkWholeColumnReferences(cells),
+        ...checkHardcodedConstants(cells)
+    ];
+}
+
+function createIssue(cell, rule, severity, title, description, suggestedFix) {
+    return {
+        rule: rule,
+        severity: severity,
+        title: title,
+        description: description,
+        cell_address: cell.address,
+        formula: cell.formula,
+        suggested_fix: suggestedFix
+    };
+}
+
+/**
+ * Formulas that currently evaluate to an Excel error
+ */
+function checkErrorResults(cells) {
+    const advice = {
+        '#REF!': ['Broken reference', 'The formula refers to a cell or range that was deleted.', 'Re-point the reference to the intended cell or restore the deleted range'],
+        '#DIV/0!': ['Division by zero', 'A divisor in this formula is zero or empty.', 'Guard the divisor, e.g. =IF(divisor=0, 0, value/divisor)'],
+        '#NAME?': ['Unknown name', 'The formula uses a function or name Excel does not recognise.', 'Check the spelling of function and range names'],
+        '#VALUE!': ['Wrong value type', 'An argument has the wrong type, often text where a number is expected.', 'Check the referenced cells contain numbers'],
+        '#N/A': ['Value not available', 'A lookup did not find a match.', 'Check the lookup value exists or handle the missing case explicitly'],
+        '#NUM!': ['Invalid number', 'A calculation produced a number Excel cannot represent.', 'Check the inputs are within the valid range']
+    };
+    
+    return cells
+        .filter(cell => typeof cell.value === 'string' && FORMULA_ERRORS.includes(cell.value))
+        .map(cell => {
+            const [title, description, fix] = advice[cell.value] ||
+                ['Formula error', `The formula evaluates to ${cell.value}.`, 'Review the formula inputs'];
+            return createIssue(cell, 'error-result', 'high', `${title} (${cell.value})`, description, fix);
+        });
+}
+
+/**
+ * Formulas that differ from the pattern shared by their neighbours in a column or row.
+ * Comparing R1C1 text makes copied formulas identical.
+ */
+function checkInconsistentFormulas(cells, sheetData) {
+    const issues = [];
+    const flagged = new Set();
+    
+    const checkGroup = (group, direction) => {
+        if (group.length < 3) return;
+        
+        const counts = {};
+        group.forEach(cell => {
+            counts[cell.formulaR1C1] = (counts[cell.formulaR1C1] || 0) + 1;
+        });
+        
+        const [majority, majorityCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        if (majorityCount < 2 || majorityCount === group.length || majorityCount <= group.length / 2) return;
+        
+        group.filter(cell => cell.formulaR1C1 !== majority && !flagged.has(cell.address)).forEach(cell => {
+            flagged.add(cell.address);
+            const expected = convertR1C1ToA1(majority, sheetData.rowIndex + cell.row, sheetData.columnIndex + cell.col);
+            issues.push(createIssue(
+                cell,
+                'inconsistent-formula',
+                'medium',
+                `Inconsistent formula in ${direction}`,
+                `${majorityCount} of ${group.length} neighbouring formulas in this ${direction} follow a different pattern.`,
+                expected || 'Make the formula consistent with its neighbours'
+            ));
+        });
+    };
+    
+    // Contiguous runs of formula cells in each column, then each row
+    const byColumn = {};
+    const byRow = {};
+    cells.forEach(cell => {
+        (byColumn[cell.col] = byColumn[cell.col] || []).push(cell);
+        (byRow[cell.row] = byRow[cell.row] || []).push(cell);
+    });
+    
+    const splitRuns = (list, key) => {
+        const runs = [];
+        list.sort((a, b) => a[key] - b[key]).forEach(cell => {
+            const run = runs[runs.length - 1];
+            if (run && cell[key] === run[run.length - 1][key] + 1) {
+                run.push(cell);
+            } else {
+                runs.push([cell]);
+            }
+        });
+        return runs;
+    };
+    
+    Object.values(byColumn).forEach(list => splitRuns(list, 'row').forEach(run => checkGroup(run, 'column')));
+    Object.values(byRow).forEach(list => splitRuns(list, 'col').forEach(run => checkGroup(run, 'row')));
+    
+    return issues;
+}
+
+/**
+ * Volatile functions recalculate on every change to the workbook
+ */
+function checkVolatileFunctions(cells) {
+    const issues = [];
+    
+    cells.filter(cell => cell.ast).forEach(cell => {
+        const volatile = collectFormulaFunctions(cell.ast).filter(name => VOLATILE_FUNCTIONS[name]);
+        if (volatile.length === 0) return;
+        
+        const severity = volatile.some(name => VOLATILE_FUNCTIONS[name] === 'medium') ? 'medium' : 'low';
+        const fix = volatile.includes('OFFSET') ? 'Replace OFFSET with INDEX, e.g. A1:INDEX(A:A, n)' :
+            volatile.includes('INDIRECT') ? 'Replace INDIRECT with direct references, INDEX or CHOOSE' :
+            'Keep volatile functions in a single input cell and reference it';
+        
+        issues.push(createIssue(
+            cell,
+            'volatile-function',
+            severity,
+            `Volatile function: ${volatile.join(', ')}`,
+            'Volatile functions recalculate whenever anything in the workbook changes, which slows large models.',
+            fix
+        ));
+    });
+    
+    return issues;
+}
+
+/**
+ * References to entire columns or rows
+ */
+function checkWholeColumnReferences(cells) {
+    const issues = [];
+    
+    cells.filter(cell => cell.ast).forEach(cell => {
+        const whole = collectFormulaReferences(cell.ast)
+            .filter(node => node.type === 'Reference' && (node.kind === 'column' || node.kind === 'row'));
+        if (whole.length === 0) return;
+        
+        issues.push(createIssue(
+            cell,
+            'whole-column-reference',
+            'low',
+            'Whole-column or whole-row reference',
+            `References such as ${whole.map(node => node.text).join(', ')} cover over a million cells.`,
+            'Limit the reference to the data, e.g. A2:A1000, or use a table column'
+        ));
+    });
+    
+    return issues;
+}
+
+/**
+ * Numeric literals used directly in arithmetic or comparisons
+ */
+function checkHardcodedConstants(cells) {
+    const issues = [];
+    
+    cells.filter(cell => cell.ast).forEach(cell => {
+        const constants = [];
+        walkFormulaAst(cell.ast, (node, parent) => {
+            if (node.type !== 'Number' || !parent) return;
+            
+            const inArithmetic = parent.type === 'Binary' &&
+                (ARITHMETIC_OPERATORS.includes(parent.operator) || BINARY_PRECEDENCE[parent.operator] === 1);
+            if (inArithmetic && !TRIVIAL_CONSTANTS.includes(node.value)) {
+                constants.push(node.value);
+            }
+        });
+        
+        // A formula that is only arithmetic on literals is really an input
+        const hasReference = collectFormulaReferences(cell.ast).length > 0;
+        if (constants.length === 0 || !hasReference) return;
+        
+        issues.push(createIssue(
+            cell,
+            'hardcoded-constant',
+            'low',
+            'Hard-coded constant in formula',
+            `The value${constants.length > 1 ? 's' : ''} ${constants.join(', ')} ${constants.length > 1 ? 'are' : 'is'} embedded in the formula and easy to miss when assumptions change.`,
+            'Move the constant to a labelled input cell and reference it'
+        ));
+    });
+    
+    return issues;
+}
+
+/**
+ * Single-cell references on the same sheet that point at empty cells
+ */
+function checkEmptyReferences(cells, sheetData) {
+    const issues = [];
+    
+    const isEmpty = (row, col) => {
+        const r = row - sheetData.rowIndex;
+        const c = col - sheetData.columnIndex;
+        if (r < 0 || c < 0 || r >= sheetData.formulas.length || c >= sheetData.formulas[r].length) {
+            return true;
+        }
+        return sheetData.formulas[r][c] === '' || sheetData.formulas[r][c] === null;
+    };
+    
+    cells.filter(cell => cell.ast).forEach(cell => {
+        const empty = collectFormulaReferences(cell.ast)
+            .filter(node => node.type === 'Reference' && node.kind === 'cell' && !node.workbook &&
+                (!node.sheet || node.sheet === sheetData.sheet))
+            .filter(node => {
+                const ref = parseRangeAddress(node.address, sheetData.sheet);
+                return ref && isEmpty(ref.startRow, ref.startCol);
+            });
+        if (empty.length === 0) return;
+        
+        issues.push(createIssue(
+            cell,
+            'empty-reference',
+            'medium',
+            'Reference to empty cell',
+            `${empty.map(node => node.text).join(', ')} ${empty.length > 1 ? 'are' : 'is'} empty, so the formula treats ${empty.length > 1 ? 'them' : 'it'} as zero.`,
+            'Check the reference points at the intended input'
+        ));
+    });
+    
+    return issues;
+}
+
+/**
+ * Convert an R1C1 formula to A1 notation as seen from a zero-based cell position
+ */
+function convertR1C1ToA1(formulaR1C1, row, col) {
+    let tokens;
+    try {
+        tokens = tokenizeFormula(formulaR1C1, { referenceStyle: 'R1C1' });
+    } catch (error) {
+        return null;
+    }
+    
+    const resolvePart = (part, base) => {
+        if (part === undefined || part === '') return { index: base, absolute: false };
+        if (part.startsWith('[')) return { index: base + parseInt(part.slice(1, -1), 10), absolute: false };
+        return { index: parseInt(part, 10) - 1, absolute: true };
+    };
+    
+    const convertAddress = (address) => {
+        const ends = address.toUpperCase().split(':').map(end => {
+            const match = end.match(/^(?:R(\[-?\d+\]|\d+)?)?(?:C(\[-?\d+\]|\d+)?)?$/);
+            return {
+                hasRow: end.includes('R'),
+                hasCol: end.includes('C'),
+                row: resolvePart(match[1], row),
+                col: resolvePart(match[2], col)
+            };
+        });
+        
+        const formatEnd = (end) => {
+            const colText = (end.col.absolute ? '$' : '') + columnIndexToLetter(end.col.index);
+            const rowText = (end.row.absolute ? '$' : '') + (end.row.index + 1);
+            if (!end.hasCol) return rowText;
+            if (!end.hasRow) return colText;
+            return colText + rowText;
+        };
+        
+        const first = formatEnd(ends[0]);
+        // Whole rows and columns need both ends in A1 notation
+        if (ends.length === 1 && (!ends[0].hasRow || !ends[0].hasCol)) {
+            return `${first}:${first}`;
+        }
+        return ends.length > 1 ? `${first}:${formatEnd(ends[1])}` : first;
+    };
+    
+    let result = '=';
+    tokens.forEach(token => {
+        if (token.type === 'reference' && token.kind === 'r1c1') {
+            const prefix = token.value.substring(0, token.value.length - token.address.length - (token.spill ? 1 : 0));
+            result += prefix + convertAddress(token.address) + (token.spill ? '#' : '');
+        } else {
+            result += token.value;
+        }
+    });
+    
+    return result;
+}
@@ -0,0 +1,185 @@
+/**
+ * Tests for the local audit rules that run when the service is unreachable.
+ * The audit engine and the parser it uses are plain browser scripts, so they
+ * are loaded into a VM context instead of being required.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const audit = vm.createContext({});
+['../shared/range-utils.js', '../shared/formula-parser.js', 'local-audit.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), audit);
+});
+const { auditSheetData, auditFormulaCells, convertR1C1ToA1, tryParseFormula } = audit;
+
+/**
+ * A cell as auditFormulaCells receives it
+ */
+function formulaCell(formula, value = 0) {
+    return { row: 0, col: 0, address: 'A1', formula: formula, formulaR1C1: formula, value: value, ast: tryParseFormula(formula) };
+}
+
+// Arrays made inside the context are not deepStrictEqual to ones made here
+function rulesFor(formula, value) {
+    return Array.from(auditFormulaCells([formulaCell(formula, value)]), issue => issue.rule);
+}
+
+test('formulas that evaluate to an error are high severity', () => {
+    const [issue] = auditFormulaCells([formulaCell('=A2/B2', '#DIV/0!')]);
+    assert.strictEqual(issue.rule, 'error-result');
+    assert.strictEqual(issue.severity, 'high');
+    assert.strictEqual(issue.title, 'Division by zero (#DIV/0!)');
+    assert.strictEqual(issue.cell_address, 'A1');
+    assert.strictEqual(issue.formula, '=A2/B2');
+    
+    assert.strictEqual(auditFormulaCells([formulaCell('=A2#', '#SPILL!')])[0].title, 'Formula error (#SPILL!)');
+    // Text that only looks like an error is not one
+    assert.deepStrictEqual(rulesFor('="#N/A text"', '#N/A text'), []);
+});
+
+test('volatile functions are flagged with a replacement', async (t) => {
+    const cases = [
+        ['=SUM(OFFSET(A1,0,0,5,1))', 'medium', 'Replace OFFSET with INDEX, e.g. A1:INDEX(A:A, n)'],
+        ['=INDIRECT("B"&C1)', 'medium', 'Replace INDIRECT with direct references, INDEX or CHOOSE'],
+        ['=TODAY()-B1', 'low', 'Keep volatile functions in a single input cell and reference it']
+    ];
+    
+    for (const [formula, severity, fix] of cases) {
+        await t.test(formula, () => {
+            const issue = auditFormulaCells([formulaCell(formula)]).find(item => item.rule === 'volatile-function');
+            assert.strictEqual(issue.severity, severity);
+            assert.strictEqual(issue.suggested_fix, fix);
+        });
+    }
+});
+
+test('whole-column and whole-row references are flagged', () => {
+    const [issue] = auditFormulaCells([formulaCell('=SUM(A:A)+SUM(2:2)')]);
+    assert.strictEqual(issue.rule, 'whole-column-reference');
+    assert.match(issue.description, /A:A, 2:2/);
+    
+    assert.deepStrictEqual(rulesFor('=SUM(A1:A10)'), []);
+});
+
+test('constants in arithmetic and comparisons are flagged when the formula has references', async (t) => {
+    const cases = [
+        ['=A1*1.2', ['hardcoded-constant']],
+        ['=IF(B1>500,"High","Low")', ['hardcoded-constant']],
+        ['=A1*100', []],
+        ['=A1-1', []],
+        // A formula of literals only is an input, not a model
+        ['=12*3.5', []],
+        // Function arguments are not arithmetic
+        ['=ROUND(A1,3)', []]
+    ];
+    
+    for (const [formula, rules] of cases) {
+        await t.test(formula, () => assert.deepStrictEqual(rulesFor(formula), rules));
+    }
+    
+    assert.match(auditFormulaCells([formulaCell('=A1*1.2+B1*0.8')])[0].description, /^The values 1.2, 0.8 are embedded/);
+});
+
+test('formulas that break the pattern of their neighbours are flagged', () => {
+    // B1:B4 add the cells either side, except B3 which looks one row up
+    const result = auditSheetData({
+        sheet: 'Sheet1',
+        rowIndex: 0,
+        columnIndex: 0,
+        formulas: [
+            [1, '=A1+C1', 1],
+            [2, '=A2+C2', 2],
+            [3, '=A3+C2', 3],
+            [4, '=A4+C4', 4]
+        ],
+        formulasR1C1: [
+            [1, '=RC[-1]+RC[1]', 1],
+            [2, '=RC[-1]+RC[1]', 2],
+            [3, '=RC[-1]+R[-1]C[1]', 3],
+            [4, '=RC[-1]+RC[1]', 4]
+        ],
+        values: [[1, 2, 1], [2, 4, 2], [3, 5, 3], [4, 8, 4]]
+    });
+    
+    assert.strictEqual(result.issues.length, 1);
+    const [issue] = result.issues;
+    assert.strictEqual(issue.rule, 'inconsistent-formula');
+    assert.strictEqual(issue.cell_address, 'B3');
+    assert.strictEqual(issue.title, 'Inconsistent formula in column');
+    assert.strictEqual(issue.suggested_fix, '=A3+C3');
+});
+
+test('runs without a clear majority are not flagged', () => {
+    const result = auditSheetData({
+        sheet: 'Sheet1',
+        rowIndex: 0,
+        columnIndex: 0,
+        formulas: [[1, '=A1*3'], [2, '=A2+A1'], [3, '=A3*3'], [4, '=A4+A3']],
+        formulasR1C1: [[1, '=RC[-1]*3'], [2, '=RC[-1]+R[-1]C[-1]'], [3, '=RC[-1]*3'], [4, '=RC[-1]+R[-1]C[-1]']],
+        values: [[1, 3], [2, 3], [3, 9], [4, 7]]
+    });
+    
+    assert.ok(!result.issues.some(issue => issue.rule === 'inconsistent-formula'));
+});
+
+test('references to empty cells on the same sheet are flagged', () => {
+    // The used range starts at B2, so A1 lies outside it
+    const result = auditSheetData({
+        sheet: 'Inputs',
+        rowIndex: 1,
+        columnIndex: 1,
+        formulas: [[10, '', '=B2+C2+A1+Other!C2+Inputs!B2']],
+        formulasR1C1: [[10, '', '=RC[-2]+RC[-1]+R[-1]C[-3]+Other!RC[-1]+Inputs!RC[-2]']],
+        values: [[10, '', 10]]
+    });
+    
+    const [issue] = result.issues;
+    assert.strictEqual(issue.rule, 'empty-reference');
+    assert.strictEqual(issue.cell_address, 'D2');
+    assert.strictEqual(issue.description, 'C2, A1 are empty, so the formula treats them as zero.');
+});
+
+test('the summary counts formulas and issues by severity, most severe first', () => {
+    const result = auditSheetData({
+        sheet: 'Sheet1',
+        rowIndex: 0,
+        columnIndex: 0,
+        formulas: [[5, '=NOW()', '=A1/0', 'text', '=A1*1.5']],
+        formulasR1C1: [[5, '=NOW()', '=RC[-2]/0', 'text', '=RC[-4]*1.5']],
+        values: [[5, 45000, '#DIV/0!', 'text', 7.5]]
+    });
+    
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.offline, true);
+    assert.strictEqual(result.worksheet, 'Sheet1');
+    assert.deepStrictEqual(Array.from(result.issues, issue => issue.severity), ['high', 'low', 'low']);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(result.audit_summary)), {
+        total_formulas: 3,
+        total_issues: 3,
+        severity_breakdown: { high: 1, medium: 0, low: 2 }
+    });
+});
+
+test('an empty sheet has nothing to report', () => {
+    const result = auditSheetData({ sheet: 'Sheet1', rowIndex: 0, columnIndex: 0, formulas: [], formulasR1C1: [], values: [] });
+    assert.strictEqual(result.issues.length, 0);
+    assert.strictEqual(result.audit_summary.total_formulas, 0);
+});
+
+test('R1C1 formulas are converted back to A1 for the suggested fix', async (t) => {
+    const cases = [
+        ['=SUM(R1C1:R[2]C)', 4, 1, '=SUM($A$1:B7)'],
+        ['=SUM(C[-1])', 0, 1, '=SUM(A:A)'],
+        ['=R2*2', 0, 0, '=$2:$2*2'],
+        ['=Data!RC[1]+R[-1]C', 3, 2, '=Data!D4+C3']
+    ];
+    
+    for (const [formula, row, col, expected] of cases) {
+        await t.test(formula, () => assert.strictEqual(convertR1C1ToA1(formula, row, col), expected));
+    }
+});
@@ -0,0 +1,380 @@
+/**
+ * LyncFormula Operation History
+ * Operations are stored in the workbook's document settings, so each workbook
+ * keeps its own history. Entries remember the sheet, selection and files a
+ * request ran with, so they can be re-run as they were, and keep their result
+ * so it can be viewed again without calling the service.
+ */
+
+const HISTORY_SETTING = 'lyncformula-history';
+const MAX_HISTORY_ENTRIES = 100;
+// Document settings are saved inside the workbook; old results are trimmed
+// to their summary, then old revert snapshots dropped, to keep the history
+// well below the settings size limit
+const MAX_HISTORY_BYTES = 256 * 1024;
+const HISTORY_DATE_FILTERS = [
+    { value: '', label: 'Any time' },
+    { value: '1', label: 'Today' },
+    { value: '7', label: 'Last 7 days' },
+    { value: '30', label: 'Last 30 days' }
+];
+
+let operationHistory = [];
+let historyFilter = { text: '', type: '', days: '' };
+
+/**
+ * Wire up the history list, its search box and filters
+ */
+function setupHistory() {
+    const typeFilter = document.getElementById('history-type-filter');
+    typeFilter.innerHTML = html`
+        <option value="">All types</option>
+        ${Object.keys(INTENTS).map(key => html`<option value="${key}">${INTENTS[key].label}</option>`)}
+    `;
+    document.getElementById('history-date-filter').innerHTML = html`
+        ${HISTORY_DATE_FILTERS.map(option => html`<option value="${option.value}">${option.label}</option>`)}
+    `;
+    
+    document.getElementById('history-search').addEventListener('input', (event) => {
+        historyFilter.text = event.target.value.trim().toLowerCase();
+        updateHistoryDisplay();
+    });
+    typeFilter.addEventListener('change', (event) => {
+        historyFilter.type = event.target.value;
+        updateHistoryDisplay();
+    });
+    document.getElementById('history-date-filter').addEventListener('change', (event) => {
+        historyFilter.days = event.target.value;
+        updateHistoryDisplay();
+    });
+    
+    document.getElementById('btn-clear-history').addEventListener('click', clearHistory);
+    document.getElementById('history-content').addEventListener('click', handleHistoryClick);
+}
+
+function addToHistory(query, result, extras = {}) {
+    const historyItem = {
+        id: generateId('op'),
+        query: query,
+        result: result,
+        timestamp: new Date().toISOString(),
+        ...extras
+    };
+    
+    operationHistory.unshift(historyItem);
+    operationHistory = operationHistory.slice(0, MAX_HISTORY_ENTRIES);
+    
+    updateHistoryDisplay();
+    saveHistory();
+}
+
+/**
+ * The active sheet and selection, recorded with a request so a re-run
+ * starts from the same place
+ */
+async function captureHistoryContext() {
+    try {
+        return await Excel.run(async (context) => {
+            const worksheet = context.workbook.worksheets.getActiveWorksheet();
+            const selection = context.workbook.getSelectedRange();
+            worksheet.load('name');
+            selection.load('address');
+            await context.sync();
+            return { worksheet: worksheet.name, selection: selection.address };
+        });
+    } catch (error) {
+        console.warn('Could not record the request context:', error);
+        return null;
+    }
+}
+
+/**
+ * Selected files as recorded in history. Uploaded bytes are not kept in the
+ * workbook, only enough to recognise the file when it is selected again.
+ */
+function describeHistoryFiles() {
+    return selectedFiles.map(file => ({
+        name: file.name,
+        source: file.source,
+        size: file.size || null,
+        sheets: file.sheets.map(sheet => sheet.name)
+    }));
+}
+
+function isSameHistoryFile(file, recorded) {
+    return file.source === recorded.source && file.name === recorded.name &&
+        (recorded.source === 'workbook' || file.size === recorded.size);
+}
+
+/**
+ * Entries matching the search box and the type and date filters
+ */
+function filterHistory() {
+    const since = historyFilter.days ?
+        new Date().setHours(0, 0, 0, 0) - (Number(historyFilter.days) - 1) * 24 * 60 * 60 * 1000 :
+        null;
+    
+    return operationHistory.filter(item => {
+        if (historyFilter.type && item.intent !== historyFilter.type) return false;
+        if (since !== null && Date.parse(item.timestamp) < since) return false;
+        if (!historyFilter.text) return true;
+        
+        const haystack = [
+            item.query,
+            item.intent && INTENTS[item.intent] ? INTENTS[item.intent].label : '',
+            item.context ? item.context.selection : '',
+            ...(item.files || []).map(file => file.name)
+        ].join(' ').toLowerCase();
+        return haystack.includes(historyFilter.text);
+    });
+}
+
+function updateHistoryDisplay() {
+    const historyContent = document.getElementById('history-content');
+    
+    if (operationHistory.length === 0) {
+        historyContent.innerHTML = '<p class="ms-fontColor-neutralSecondary">No operations yet</p>';
+        return;
+    }
+    
+    const items = filterHistory();
+    if (items.length === 0) {
+        historyContent.innerHTML = '<p class="ms-fontColor-neutralSecondary">No operations match the filters</p>';
+        return;
+    }
+    
+    historyContent.innerHTML = html`${items.map(item => html`
+        <div class="history-item" data-history-id="${item.id}">
+            <div class="history-query">${item.query}</div>
+            ${item.context || (item.files && item.files.length > 0) ? html`
+                <div class="history-context">
+                    ${item.context ? html`<span>${item.context.selection}</span>` : ''}
+                    ${item.files && item.files.length > 0 ?
+                        html`<span>${item.files.length} file${item.files.length === 1 ? '' : 's'}: ${item.files.map(file => file.name).join(', ')}</span>` : ''}
+                </div>
+            ` : ''}
+            <div class="history-footer">
+                <div class="history-timestamp">${new Date(item.timestamp).toLocaleString()}</div>
+                ${item.intent && INTENTS[item.intent] ?
+                    html`<span class="history-intent" title="${item.endpoint || ''}">${INTENTS[item.intent].label}</span>` : ''}
+                ${item.source === 'ribbon' ? html`<span class="history-intent">Ribbon</span>` : ''}
+            </div>
+            <div class="history-actions">
+                ${item.result ? html`<button class="ms-Button ms-Button--default ms-Button--small history-view">
+                    <span class="ms-Button-label">View</span>
+                </button>` : ''}
+                ${item.endpoint ? html`<button class="ms-Button ms-Button--default ms-Button--small history-rerun">
+                    <span class="ms-Button-label">Re-run</span>
+                </button>` : ''}
+                ${item.snapshotDropped ? html`<span class="history-reverted">Too old to revert</span>` : ''}
+                ${item.snapshot ? (item.revertedAt ?
+                    html`<span class="history-reverted">Reverted ${new Date(item.revertedAt).toLocaleString()}</span>` :
+                    html`<button class="ms-Button ms-Button--default ms-Button--small ${item.revertConflicts ? 'history-revert-force' : 'history-revert'}">
+                        <span class="ms-Button-label">${item.revertConflicts ? 'Revert anyway' : 'Revert'}</span>
+                    </button>`) : ''}
+            </div>
+            ${item.revertConflicts && !item.revertedAt ? html`
+                <div class="history-conflict">Edited since this operation: ${item.revertConflicts.join(', ')}</div>
+            ` : ''}
+        </div>
+    `)}`;
+}
+
+/**
+ * Clicking an entry refills the input; its buttons show the stored result,
+ * re-run it where it ran or roll it back. A revert that would overwrite later
+ * edits stops and asks again with "Revert anyway".
+ */
+function handleHistoryClick(event) {
+    const element = event.target.closest('.history-item');
+    if (!element) return;
+    
+    const item = operationHistory.find(entry => entry.id === element.dataset.historyId);
+    if (!item) return;
+    
+    if (event.target.closest('.history-revert')) {
+        revertOperation(item.id);
+    } else if (event.target.closest('.history-revert-force')) {
+        revertOperation(item.id, true);
+    } else if (event.target.closest('.history-view')) {
+        viewHistoryResult(item);
+    } else if (event.target.closest('.history-rerun')) {
+        rerunOperation(item);
+    } else {
+        repeatOperation(item.query);
+    }
+}
+
+function repeatOperation(query) {
+    document.getElementById('natural-language-input').value = query;
+    validateInput();
+}
+
+/**
+ * Show a stored result again, without calling the service
+ */
+function viewHistoryResult(item) {
+    if (item.result.truncated) {
+        showNotification('Only the summary of this older result was kept');
+    }
+    showResults(item.result, item.query);
+}
+
+/**
+ * Run an entry again with the intent, sheet, selection and files it ran with
+ */
+async function rerunOperation(item) {
+    if (currentOperation) return;
+    
+    try {
+        if (item.context) {
+            await Excel.run(async (context) => {
+                const worksheet = context.workbook.worksheets.getItemOrNullObject(item.context.worksheet);
+                await context.sync();
+                if (worksheet.isNullObject) {
+                    throw new Error(`the worksheet ${item.context.worksheet} no longer exists`);
+                }
+                worksheet.activate();
+                getRangeForAddress(context, item.context.selection).select();
+                await context.sync();
+            });
+        }
+        
+        if (!await restoreHistoryFiles(item.files || [])) return;
+    } catch (error) {
+        console.error('Could not restore the operation context:', error);
+        showError(`Could not re-run this operation: ${error.message}`);
+        return;
+    }
+    
+    document.getElementById('natural-language-input').value = item.query;
+    await runQuery(item.query, {
+        intent: item.intent,
+        endpoint: item.endpoint,
+        confidence: 1,
+        source: 'history'
+    });
+}
+
+/**
+ * Make the file selection match the recorded one. Workbook sheets are added
+ * back; uploads have to be picked again. Returns false when any are missing.
+ */
+async function restoreHistoryFiles(files) {
+    selectedFiles = selectedFiles.filter(file => files.some(recorded => isSameHistoryFile(file, recorded)));
+    
+    for (const recorded of files) {
+        if (recorded.source === 'workbook' && !selectedFiles.some(file => isSameHistoryFile(file, recorded))) {
+            await addWorkbookSheet(recorded.name);
+        }
+    }
+    updateSelectedFilesList();
+    
+    const missing = files.filter(recorded => !selectedFiles.some(file => isSameHistoryFile(file, recorded)));
+    if (missing.length > 0) {
+        showFileSelection();
+        showError(`Select ${missing.map(file => file.name).join(', ')} again, then re-run. Uploaded files are not stored in the workbook.`);
+        return false;
+    }
+    return true;
+}
+
+function clearHistory() {
+    operationHistory = [];
+    updateHistoryDisplay();
+    saveHistory();
+}
+
+function loadHistory() {
+    const stored = getDocumentSetting(HISTORY_SETTING, null);
+    operationHistory = Array.isArray(stored) ? stored : [];
+    updateHistoryDisplay();
+    
+    if (stored === null) {
+        importBrowserHistory();
+    }
+}
+
+/**
+ * History used to be one list for every workbook in browser storage. It is
+ * moved into the first workbook opened without a history of its own, and
+ * only removed from browser storage once the workbook has it.
+ */
+async function importBrowserHistory() {
+    let entries;
+    try {
+        entries = JSON.parse(localStorage.getItem(HISTORY_SETTING) || 'null');
+    } catch (error) {
+        console.warn('Could not read the browser history:', error);
+        return;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) return;
+    
+    // Old entries were keyed by Date.now() and stamped with a local date string
+    operationHistory = entries.map(item => ({
+        ...item,
+        id: generateId('op'),
+        timestamp: typeof item.id === 'number' ? new Date(item.id).toISOString() : item.timestamp
+    })).slice(0, MAX_HISTORY_ENTRIES);
+    updateHistoryDisplay();
+    
+    try {
+        fitHistoryToBudget();
+        await setDocumentSetting(HISTORY_SETTING, operationHistory);
+        localStorage.removeItem(HISTORY_SETTING);
+        console.log(`📥 Moved ${operationHistory.length} history entries into this workbook`);
+    } catch (error) {
+        console.error('Could not move the browser history into the workbook:', error);
+    }
+}
+
+async function saveHistory() {
+    try {
+        fitHistoryToBudget();
+        await setDocumentSetting(HISTORY_SETTING, operationHistory);
+    } catch (error) {
+        console.error('Error saving history:', error);
+    }
+}
+
+/**
+ * Trim the oldest results to their summary and sign-off, then drop the
+ * oldest revert snapshots, then the oldest entries, until the history fits
+ * in MAX_HISTORY_BYTES
+ */
+function fitHistoryToBudget() {
+    const sizes = operationHistory.map(item => JSON.stringify(item).length);
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    
+    const shrink = (trim) => {
+        for (let i = operationHistory.length - 1; i >= 0 && total > MAX_HISTORY_BYTES; i--) {
+            if (!trim(operationHistory[i])) continue;
+            
+            const size = JSON.stringify(operationHistory[i]).length;
+            total -= sizes[i] - size;
+            sizes[i] = size;
+        }
+    };
+    
+    shrink(item => {
+        if (!item.result || item.result.truncated) return false;
+        // The result on screen keeps its full data, but shares its review
+        // with the trimmed copy, so a later sign-off is still saved here
+        const { success, summary } = item.result;
+        const review = item.result.review = item.result.review || { decisions: {}, signOff: null };
+        item.result = { success, summary, review, truncated: true };
+        return true;
+    });
+    
+    shrink(item => {
+        if (!item.snapshot) return false;
+        delete item.snapshot;
+        item.snapshotDropped = true;
+        return true;
+    });
+    
+    while (operationHistory.length > 1 && total > MAX_HISTORY_BYTES) {
+        operationHistory.pop();
+        total -= sizes.pop();
+    }
+}
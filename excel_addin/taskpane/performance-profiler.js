@@ -0,0 +1,417 @@
+/**
+ * LyncFormula Performance Profiler
+ * Ranks the workbook's formulas by an estimated recalculation cost built from
+ * volatility, the number of cells they read, repeated lookups over the same
+ * range, dependency fan-out and spill size. Recalculation of chosen sheets
+ * can also be timed through the Excel calculation API.
+ */
+
+const MAX_PROFILE_RESULTS = 50;
+const MAX_SPILL_CHECKS = 200;
+const VOLATILE_COST_FACTOR = 10;
+const ARRAY_COST_FACTOR = 2;
+const REPEATED_LOOKUP_MIN = 10;
+const FANOUT_THRESHOLD = 50;
+const LARGE_REFERENCE_CELLS = 100000;
+
+// Functions that evaluate every cell of their arguments, without trimming whole columns to the used range
+const ARRAY_EVALUATING_FUNCTIONS = ['SUMPRODUCT', 'MMULT', 'FREQUENCY', 'FILTER', 'SORT', 'SORTBY', 'UNIQUE'];
+
+const DYNAMIC_ARRAY_FUNCTIONS = [
+    'FILTER', 'SORT', 'SORTBY', 'UNIQUE', 'SEQUENCE', 'RANDARRAY', 'XLOOKUP', 'TRANSPOSE', 'MMULT',
+    'FREQUENCY', 'TEXTSPLIT', 'VSTACK', 'HSTACK', 'TOCOL', 'TOROW', 'CHOOSECOLS', 'CHOOSEROWS',
+    'TAKE', 'DROP', 'EXPAND', 'WRAPROWS', 'WRAPCOLS'
+];
+
+// Lookup functions and the argument holding the range they search
+const LOOKUP_RANGE_ARGUMENT = { VLOOKUP: 1, HLOOKUP: 1, MATCH: 1, XLOOKUP: 1, XMATCH: 1, LOOKUP: 1 };
+
+/**
+ * Build the dependency graph, score every formula and return a ranked report
+ */
+async function runPerformanceProfile() {
+    dependencyGraph = await buildDependencyGraph();
+    const graph = dependencyGraph;
+    
+    const cells = [];
+    graph.cells.forEach((cell, key) => {
+        cells.push({ ...cell, key, ast: tryParseFormula(cell.formula) });
+    });
+    
+    const dependents = indexDependents(graph, cells);
+    const lookups = groupRepeatedLookups(cells);
+    const spills = await loadSpillSizes(cells);
+    
+    const repeatedByCell = new Map();
+    lookups.forEach(group => {
+        if (group.cells.length < REPEATED_LOOKUP_MIN) return;
+        group.cells.forEach(key => {
+            if (!repeatedByCell.has(key)) repeatedByCell.set(key, []);
+            repeatedByCell.get(key).push(group);
+        });
+    });
+    
+    const profiled = cells.map(cell => profileFormula(cell, graph, dependents, repeatedByCell, spills));
+    const totalCost = profiled.reduce((total, item) => total + item.cost, 0);
+    profiled.sort((a, b) => b.cost - a.cost);
+    profiled.forEach(item => {
+        item.share = totalCost > 0 ? item.cost / totalCost : 0;
+    });
+    
+    return {
+        success: true,
+        performance: {
+            scanned: cells.length,
+            sheets: graph.sheetOrder,
+            totalCost: totalCost,
+            formulas: profiled.slice(0, MAX_PROFILE_RESULTS),
+            repeatedLookups: [...lookups.values()]
+                .filter(group => group.cells.length >= REPEATED_LOOKUP_MIN)
+                .sort((a, b) => b.cells.length * b.size - a.cells.length * a.size)
+                .map(({ cells, ...group }) => ({ ...group, count: cells.length, examples: cells.slice(0, 3) }))
+        }
+    };
+}
+
+/**
+ * Map each formula cell key to the formula cells that read it directly.
+ * Formula cells are indexed by sheet and column so range references only
+ * scan the columns they cover.
+ */
+function indexDependents(graph, cells) {
+    const columns = {};
+    cells.forEach(cell => {
+        const sheet = columns[cell.sheet] = columns[cell.sheet] || new Map();
+        if (!sheet.has(cell.col)) sheet.set(cell.col, []);
+        sheet.get(cell.col).push(cell);
+    });
+    
+    const dependents = new Map();
+    cells.forEach(reader => {
+        reader.refs.forEach(ref => {
+            const sheet = columns[ref.sheet];
+            if (!sheet) return;
+            
+            sheet.forEach((columnCells, col) => {
+                if (col < ref.startCol || col > ref.endCol) return;
+                columnCells.forEach(cell => {
+                    if (cell.row < ref.startRow || cell.row > ref.endRow || cell.key === reader.key) return;
+                    if (!dependents.has(cell.key)) dependents.set(cell.key, new Set());
+                    dependents.get(cell.key).add(reader.key);
+                });
+            });
+        });
+    });
+    
+    return dependents;
+}
+
+/**
+ * Every formula downstream of a cell, following dependents transitively
+ */
+function countDownstream(key, dependents) {
+    const seen = new Set();
+    const queue = [key];
+    while (queue.length > 0) {
+        (dependents.get(queue.pop()) || []).forEach(next => {
+            if (!seen.has(next) && next !== key) {
+                seen.add(next);
+                queue.push(next);
+            }
+        });
+    }
+    return seen.size;
+}
+
+/**
+ * Group exact-match lookups by the range they search
+ */
+function groupRepeatedLookups(cells) {
+    const groups = new Map();
+    
+    cells.filter(cell => cell.ast).forEach(cell => {
+        walkFormulaAst(cell.ast, node => {
+            if (node.type !== 'Function' || LOOKUP_RANGE_ARGUMENT[node.canonicalName] === undefined) return;
+            
+            const target = node.args[LOOKUP_RANGE_ARGUMENT[node.canonicalName]];
+            if (!target || target.type !== 'Reference' || target.style !== 'A1' || target.sheetEnd || target.workbook) return;
+            if (!isExactLookup(node)) return;
+            
+            const ref = parseRangeAddress(target.address, target.sheet || cell.sheet);
+            if (!ref) return;
+            
+            const key = `${node.canonicalName}|${ref.address}`;
+            if (!groups.has(key)) {
+                groups.set(key, { function: node.canonicalName, range: ref.address, size: rangeArea(ref), cells: [] });
+            }
+            const group = groups.get(key);
+            if (!group.cells.includes(cell.key)) group.cells.push(cell.key);
+        });
+    });
+    
+    return groups;
+}
+
+/**
+ * Exact-match lookups scan their range linearly on every recalculation
+ */
+function isExactLookup(node) {
+    const flag = (index) => node.args[index];
+    const isZero = (arg) => arg && ((arg.type === 'Number' && arg.value === 0) || (arg.type === 'Boolean' && !arg.value));
+    const isDefaultOrZero = (arg) => !arg || arg.type === 'Empty' || isZero(arg);
+    const isBinarySearch = (arg) => arg && arg.type === 'Number' && Math.abs(arg.value) === 2;
+    
+    switch (node.canonicalName) {
+        case 'VLOOKUP':
+        case 'HLOOKUP':
+            return isZero(flag(3)) || (flag(3) && flag(3).type === 'Empty');
+        case 'MATCH':
+            return isZero(flag(2));
+        case 'XLOOKUP':
+            return isDefaultOrZero(flag(4)) && !isBinarySearch(flag(5));
+        case 'XMATCH':
+            return isDefaultOrZero(flag(2)) && !isBinarySearch(flag(3));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Cells currently spilled by formulas that can return arrays
+ */
+async function loadSpillSizes(cells) {
+    const candidates = cells
+        .filter(cell => cell.ast && collectFormulaFunctions(cell.ast).some(name => DYNAMIC_ARRAY_FUNCTIONS.includes(name)))
+        .slice(0, MAX_SPILL_CHECKS);
+    const spills = new Map();
+    if (candidates.length === 0) return spills;
+    
+    try {
+        await Excel.run(async (context) => {
+            const ranges = candidates.map(cell => {
+                const spill = getRangeForAddress(context, cell.key).getSpillingToRangeOrNullObject();
+                spill.load('cellCount');
+                return spill;
+            });
+            await context.sync();
+            
+            ranges.forEach((spill, i) => {
+                if (!spill.isNullObject) spills.set(candidates[i].key, spill.cellCount);
+            });
+        });
+    } catch (error) {
+        // Spill ranges need ExcelApi 1.12; without them the spill factor is skipped
+        console.warn('Could not read spill ranges:', error);
+    }
+    
+    return spills;
+}
+
+function rangeArea(ref) {
+    return (ref.endRow - ref.startRow + 1) * (ref.endCol - ref.startCol + 1);
+}
+
+/**
+ * Estimated cost of one formula in relative units (roughly cells evaluated
+ * per recalculation), with the factors that contribute to it
+ */
+function profileFormula(cell, graph, dependents, repeatedByCell, spills) {
+    const functions = cell.ast ? collectFormulaFunctions(cell.ast) : [];
+    const volatile = functions.filter(name => VOLATILE_FUNCTIONS[name]);
+    const arrayEvaluating = functions.filter(name => ARRAY_EVALUATING_FUNCTIONS.includes(name));
+    const factors = [];
+    const suggestions = [];
+    
+    // Whole columns are trimmed to the used range except by array-evaluating functions
+    let cellsRead = 0;
+    const wholeColumns = [];
+    cell.refs.forEach(ref => {
+        const wholeColumn = ref.startRow === 0 && ref.endRow === MAX_EXCEL_ROWS - 1;
+        if (wholeColumn) wholeColumns.push(ref.address);
+        
+        const extent = graph.sheetExtents[ref.sheet];
+        const endRow = wholeColumn && arrayEvaluating.length === 0 && extent ? Math.min(ref.endRow, extent.endRow) : ref.endRow;
+        cellsRead += (endRow - ref.startRow + 1) * (ref.endCol - ref.startCol + 1);
+    });
+    
+    let cost = 1 + cellsRead;
+    if (cellsRead >= LARGE_REFERENCE_CELLS) {
+        factors.push({ factor: 'reference-size', label: 'Large references', detail: `Reads ${cellsRead.toLocaleString()} cells` });
+    }
+    
+    if (arrayEvaluating.length > 0) {
+        cost *= ARRAY_COST_FACTOR;
+        if (wholeColumns.length > 0) {
+            factors.push({
+                factor: 'array-whole-column',
+                label: `${arrayEvaluating.join(', ')} over whole columns`,
+                detail: `${wholeColumns.join(', ')} are evaluated in full, over a million rows each`
+            });
+            suggestions.push('Limit the ranges to the data, e.g. A2:A5000, or use table columns');
+        } else if (cellsRead >= LARGE_REFERENCE_CELLS) {
+            suggestions.push('Conditional sums over large arrays are faster as SUMIFS/COUNTIFS');
+        }
+    }
+    
+    (repeatedByCell.get(cell.key) || []).forEach(group => {
+        factors.push({
+            factor: 'repeated-lookup',
+            label: 'Repeated lookup',
+            detail: `One of ${group.cells.length} exact-match ${group.function} lookups scanning ${group.range}`
+        });
+        suggestions.push('Compute the MATCH once in a helper column and reuse it with INDEX, or sort the range and use a binary search');
+    });
+    
+    const directDependents = dependents.has(cell.key) ? dependents.get(cell.key).size : 0;
+    if (directDependents >= FANOUT_THRESHOLD) {
+        factors.push({ factor: 'fan-out', label: 'High fan-out', detail: `${directDependents} formulas read this cell directly` });
+    }
+    cost += directDependents;
+    
+    let downstream = 0;
+    if (volatile.length > 0) {
+        downstream = countDownstream(cell.key, dependents);
+        cost = cost * VOLATILE_COST_FACTOR + downstream;
+        factors.push({
+            factor: 'volatile',
+            label: `Volatile: ${volatile.join(', ')}`,
+            detail: `Recalculates on every change${downstream > 0 ? `, along with ${downstream} dependent formulas` : ''}`
+        });
+        suggestions.push(volatile.includes('OFFSET') ? 'Replace OFFSET with INDEX, e.g. A1:INDEX(A:A, n)' :
+            volatile.includes('INDIRECT') ? 'Replace INDIRECT with direct references, INDEX or CHOOSE' :
+            'Keep volatile functions in a single input cell and reference it');
+    }
+    
+    const spill = spills.get(cell.key) || 0;
+    if (spill > 1) {
+        cost += spill;
+        factors.push({ factor: 'spill', label: 'Spill', detail: `Spills into ${spill.toLocaleString()} cells` });
+    }
+    
+    // A verified-equivalent rewrite is not guaranteed here, so it is only offered
+    const modern = modernizeFormula(cell.formula);
+    
+    return {
+        address: cell.key,
+        formula: cell.formula,
+        cost: Math.round(cost),
+        volatile: volatile.length > 0,
+        dependents: directDependents,
+        downstream: downstream,
+        spill: spill,
+        factors: factors,
+        suggestions: [...new Set(suggestions)],
+        suggested_formula: modern && modern.formula !== cell.formula ? modern.formula : null,
+        suggested_rules: modern ? modern.rules : []
+    };
+}
+
+/**
+ * Force a full recalculation of each sheet and time it
+ */
+async function timeRecalculation(sheetNames) {
+    return Excel.run(async (context) => {
+        const timings = [];
+        for (const name of sheetNames) {
+            const worksheet = context.workbook.worksheets.getItem(name);
+            const started = performance.now();
+            worksheet.calculate(true);
+            await context.sync();
+            timings.push({ sheet: name, milliseconds: Math.round(performance.now() - started) });
+        }
+        return timings;
+    });
+}
+
+/**
+ * Ranked report with cost bars, contributing factors and cheaper rewrites
+ */
+function showPerformanceResults(result, container) {
+    const { scanned, sheets, formulas, repeatedLookups } = result.performance;
+    const top = formulas.length > 0 ? formulas[0].cost : 1;
+    
+    const summary = document.createElement('div');
+    summary.className = 'result-item';
+    summary.innerHTML = html`
+        <div class="result-header">
+            <strong>Performance Profile</strong>
+        </div>
+        <div class="result-content">
+            <p>${scanned} formulas across ${sheets.length} sheets. Costs are estimates of the cells evaluated per recalculation.</p>
+            ${repeatedLookups.length > 0 ? html`
+                <h4>Repeated lookups</h4>
+                <ul>
+                    ${repeatedLookups.map(group => html`
+                        <li>${group.count} exact-match ${group.function} lookups scan ${group.range} (${group.size.toLocaleString()} cells)</li>
+                    `)}
+                </ul>
+            ` : ''}
+            <div class="recalc-timing">
+                <h4>Time recalculation</h4>
+                <div class="recalc-sheets">
+                    ${sheets.map(sheet => html`
+                        <label><input type="checkbox" class="recalc-sheet" value="${sheet}" /> ${sheet}</label>
+                    `)}
+                </div>
+                <button class="ms-Button ms-Button--default ms-Button--small btn-time-recalc">
+                    <span class="ms-Button-label">Time Selected Sheets</span>
+                </button>
+                <div class="recalc-results"></div>
+            </div>
+        </div>
+    `;
+    container.appendChild(summary);
+    
+    summary.querySelector('.btn-time-recalc').addEventListener('click', async (e) => {
+        const chosen = Array.from(summary.querySelectorAll('.recalc-sheet:checked')).map(box => box.value);
+        const output = summary.querySelector('.recalc-results');
+        // currentTarget is cleared once the handler yields at the first await
+        const button = e.currentTarget;
+        if (chosen.length === 0) {
+            showNotification('Choose at least one sheet to time');
+            return;
+        }
+        
+        button.disabled = true;
+        output.textContent = 'Recalculating...';
+        try {
+            const timings = await timeRecalculation(chosen);
+            output.innerHTML = html`
+                <ul>${timings.map(timing => html`<li>${timing.sheet}: ${timing.milliseconds} ms</li>`)}</ul>
+            `;
+        } catch (error) {
+            console.error('Recalculation timing failed:', error);
+            output.textContent = `Could not time recalculation: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    });
+    
+    formulas.forEach((item, index) => {
+        const element = document.createElement('div');
+        element.className = `result-item ${item.share >= 0.1 ? 'result-error' : item.share >= 0.02 ? 'result-warning' : 'result-success'}`;
+        element.innerHTML = html`
+            <div class="result-header">
+                <span>#${index + 1}</span>
+                <a href="#" class="cell-link">${item.address}</a>
+                <span class="severity-badge">${(item.share * 100).toFixed(1)}%</span>
+            </div>
+            <div class="cost-bar"><div class="cost-bar-fill" style="width: ${Math.max(1, Math.round(item.cost / top * 100))}%"></div></div>
+            <div class="result-content">
+                <div class="result-formula"><code>${item.formula}</code></div>
+                ${item.factors.length > 0 ? html`
+                    <ul>${item.factors.map(factor => html`<li><strong>${factor.label}:</strong> ${factor.detail}</li>`)}</ul>
+                ` : ''}
+                ${item.suggestions.map(suggestion => html`<p><strong>Suggestion:</strong> ${suggestion}</p>`)}
+                ${item.suggested_formula ? html`
+                    <p><strong>Rewrite (${item.suggested_rules.join(', ')}):</strong> <code>${item.suggested_formula}</code></p>
+                ` : ''}
+            </div>
+        `;
+        element.querySelector('.cell-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            selectRangeInExcel(item.address);
+        });
+        container.appendChild(element);
+    });
+}
@@ -0,0 +1,489 @@
+/**
+ * LyncFormula Audit Reports
+ * Turns any result into a report - summary, severity breakdown, issue table
+ * and reviewer sign-off - and exports it as an "Audit Report" worksheet, an
+ * HTML document or a CSV file. Each issue carries its triage decision (see
+ * issue-triage.js) with who made it and why; the sign-off is kept on the
+ * result, so it is saved with its history entry.
+ */
+
+const REPORT_SHEET_NAME = 'Audit Report';
+const REVIEWER_KEY = 'lyncformula-reviewer';
+const REPORT_SEVERITIES = ['high', 'medium', 'low', 'info'];
+const REPORT_COLUMNS = ['#', 'Cell', 'Severity', 'Issue', 'Details', 'Formula', 'Suggested fix', 'Decision', 'Reason', 'Reviewed by', 'Reviewed at'];
+const REPORT_SEVERITY_FILLS = { high: '#FDE7E9', medium: '#FFF4CE', low: '#DFF6DD', info: '#F3F2F1' };
+const REPORT_COLUMN_WIDTHS = [90, 140, 70, 200, 240, 240, 240, 100, 200, 120, 130];
+const MAX_REPORT_CELL_TEXT = 32767;
+
+/**
+ * Reviewer name, export buttons and sign-off for a result
+ */
+function createReportToolbar(result, query) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'report-toolbar';
+    toolbar.innerHTML = html`
+        <div class="report-reviewer-row">
+            <input type="text" class="ms-TextField-field report-reviewer" placeholder="Reviewer name" value="${getReviewer()}" />
+            <button class="ms-Button ms-Button--default ms-Button--small btn-report-signoff">
+                <span class="ms-Button-label">Sign Off</span>
+            </button>
+        </div>
+        <p class="field-error report-reviewer-error" style="display: none;">Enter your name as reviewer first</p>
+        <div class="report-export-row">
+            <span class="report-export-label">Export report:</span>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-report-sheet">
+                <span class="ms-Button-label">Worksheet</span>
+            </button>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-report-html">
+                <span class="ms-Button-label">HTML</span>
+            </button>
+            <button class="ms-Button ms-Button--default ms-Button--small btn-report-csv">
+                <span class="ms-Button-label">CSV</span>
+            </button>
+        </div>
+        <p class="report-signoff-status">${describeSignOff(result)}</p>
+    `;
+    
+    toolbar.querySelector('.report-reviewer').addEventListener('change', event => {
+        setReviewer(event.target.value);
+    });
+    toolbar.querySelector('.report-reviewer').addEventListener('input', () => {
+        toolbar.querySelector('.report-reviewer-error').style.display = 'none';
+    });
+    toolbar.querySelector('.btn-report-signoff').addEventListener('click', () => {
+        if (signOffReport(result)) {
+            toolbar.querySelector('.report-signoff-status').textContent = describeSignOff(result);
+            showNotification(`Signed off by ${result.review.signOff.by}`);
+        }
+    });
+    toolbar.querySelector('.btn-report-sheet').addEventListener('click', () => exportReport(result, query, 'sheet'));
+    toolbar.querySelector('.btn-report-html').addEventListener('click', () => exportReport(result, query, 'html'));
+    toolbar.querySelector('.btn-report-csv').addEventListener('click', () => exportReport(result, query, 'csv'));
+    
+    return toolbar;
+}
+
+function getReviewer() {
+    return localStorage.getItem(REVIEWER_KEY) || '';
+}
+
+function setReviewer(name) {
+    localStorage.setItem(REVIEWER_KEY, name.trim());
+}
+
+/**
+ * The reviewer's name, or null after asking for it next to the reviewer
+ * field, leaving the results as they are
+ */
+function requireReviewer() {
+    const reviewer = getReviewer();
+    if (reviewer) return reviewer;
+    
+    const input = document.querySelector('.report-reviewer');
+    if (input) {
+        document.querySelector('.report-reviewer-error').style.display = '';
+        input.focus();
+    } else {
+        showNotification('Enter your name as reviewer once the results have finished');
+    }
+    return null;
+}
+
+function signOffReport(result) {
+    const reviewer = requireReviewer();
+    if (!reviewer) return false;
+    
+    result.review = result.review || { decisions: {}, signOff: null };
+    result.review.signOff = { by: reviewer, at: new Date().toISOString() };
+    saveHistory();
+    return true;
+}
+
+function describeSignOff(result) {
+    const signOff = result.review && result.review.signOff;
+    return signOff ? `Signed off by ${signOff.by} on ${new Date(signOff.at).toLocaleString()}` : 'Not signed off';
+}
+
+/**
+ * Build the report and export it in the chosen format
+ */
+async function exportReport(result, query, format) {
+    showLoading(true);
+    
+    try {
+        const report = await buildReport(result, query);
+        
+        if (format === 'sheet') {
+            const sheetName = await writeReportWorksheet(report);
+            showNotification(`Report written to the "${sheetName}" sheet`);
+        } else if (format === 'html') {
+            downloadFile(`${reportFileName(report)}.html`, renderReportHtml(report), 'text/html');
+        } else {
+            // The byte order mark makes Excel read the file as UTF-8
+            downloadFile(`${reportFileName(report)}.csv`, '\uFEFF' + renderReportCsv(report), 'text/csv');
+        }
+    } catch (error) {
+        console.error('Report export failed:', error);
+        showError(`Could not export report: ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Everything the exports need, with addresses qualified by the audited sheet
+ */
+async function buildReport(result, query) {
+    const sheet = result.worksheet || await getActiveSheetName();
+    await applyTriage(result);
+    
+    const breakdown = {};
+    REPORT_SEVERITIES.forEach(severity => {
+        breakdown[severity] = 0;
+    });
+    
+    const items = collectReportItems(result).map((item, index) => {
+        breakdown[item.severity] = (breakdown[item.severity] || 0) + 1;
+        return {
+            ...item,
+            number: index + 1,
+            address: item.address && !item.address.includes('!') ? `${quoteSheetName(sheet)}!${item.address}` : item.address
+        };
+    });
+    
+    const decided = status => items.filter(item => item.decision && item.decision.status === status).length;
+    
+    return {
+        title: `LyncFormula ${reportTitle(result)}`,
+        query: query,
+        generatedAt: new Date(),
+        sheet: sheet,
+        summary: result.summary && typeof result.summary === 'string' ? result.summary : '',
+        offline: !!result.offline,
+        items: items,
+        breakdown: breakdown,
+        review: {
+            riskAccepted: decided('accepted-risk'),
+            dismissed: decided('dismissed'),
+            snoozed: decided('snoozed'),
+            open: items.filter(item => !item.decision).length,
+            signOff: (result.review && result.review.signOff) || null
+        }
+    };
+}
+
+function reportTitle(result) {
+    if (result.issues) return 'Audit Report';
+    if (result.analysis_results) return 'Formula Analysis Report';
+    if (result.explanations) return 'Formula Explanation Report';
+    if (result.modernization) return 'Modernization Report';
+    if (result.performance) return 'Performance Report';
+    return 'Report';
+}
+
+/**
+ * One row per issue or reviewed formula, whatever kind of result it came from
+ */
+function collectReportItems(result) {
+    const item = (address, severity, title, details, formula, fix, decision = null) => ({
+        address: address || '',
+        severity: REPORT_SEVERITIES.includes(severity) ? severity : 'info',
+        title: title || '',
+        details: details || '',
+        formula: formula || '',
+        fix: fix || '',
+        decision: decision
+    });
+    
+    const items = [];
+    
+    (result.issues || []).forEach(issue => {
+        items.push(item(issue.cell_address, issue.severity, issue.title, issue.description, issue.formula,
+            issue.suggested_fix, issue.triage));
+    });
+    
+    (result.analysis_results || []).forEach(analysis => {
+        const details = [analysis.explanation, ...(analysis.suggestions || [])].filter(Boolean).join('\n');
+        items.push(item(analysis.address, analysis.has_errors ? 'high' : 'info',
+            analysis.has_errors ? analysis.error_details || 'Formula error' : 'No errors found',
+            details, analysis.original_formula, analysis.improved_formula, analysis.triage));
+    });
+    
+    (result.explanations || []).forEach(explanation => {
+        items.push(item(explanation.address, 'info', `Explanation${explanation.complexity ? ` (${explanation.complexity})` : ''}`,
+            explanation.explanation, explanation.formula, ''));
+    });
+    
+    ((result.modernization && result.modernization.candidates) || []).forEach(candidate => {
+        items.push(item(candidate.address, candidate.verified === 'different' ? 'medium' : 'low',
+            `Modernize: ${candidate.rules.join(', ')}`, `Result check: ${candidate.verified || 'not run'}`,
+            candidate.before, candidate.after));
+    });
+    
+    ((result.performance && result.performance.formulas) || []).forEach(formula => {
+        const details = [...formula.factors.map(factor => `${factor.label}: ${factor.detail}`), ...formula.suggestions].join('\n');
+        items.push(item(formula.address, 'info', `Recalculation cost ${formula.cost}`, details,
+            formula.formula, formula.suggested_formula));
+    });
+    
+    return items;
+}
+
+/**
+ * Add a formatted report sheet: header, summary, severity breakdown, issue
+ * table with links to the cells, and the sign-off. Returns the sheet's name.
+ */
+async function writeReportWorksheet(report) {
+    return Excel.run(async (context) => {
+        const worksheets = context.workbook.worksheets;
+        worksheets.load('items/name');
+        await context.sync();
+        
+        const existing = new Set(worksheets.items.map(sheet => sheet.name.toLowerCase()));
+        let name = REPORT_SHEET_NAME;
+        for (let n = 2; existing.has(name.toLowerCase()); n++) {
+            name = `${REPORT_SHEET_NAME} ${n}`;
+        }
+        
+        const sheet = worksheets.add(name);
+        let row = 0;
+        
+        const write = (rows, format) => {
+            const width = Math.max(...rows.map(values => values.length));
+            const range = sheet.getRangeByIndexes(row, 0, rows.length, width);
+            range.formulas = rows.map(values => {
+                const padded = values.map(toReportCell);
+                while (padded.length < width) padded.push('');
+                return padded;
+            });
+            if (format) format(range);
+            row += rows.length;
+            return range;
+        };
+        const heading = (text) => {
+            write([[text]], range => {
+                range.format.font.bold = true;
+                range.format.font.size = 13;
+            });
+        };
+        
+        write([[report.title]], range => {
+            range.format.font.bold = true;
+            range.format.font.size = 16;
+        });
+        write([
+            ['Request', report.query],
+            ['Generated', report.generatedAt.toLocaleString()],
+            ['Worksheet', report.sheet],
+            ...(report.summary ? [['Summary', report.summary]] : []),
+            ...(report.offline ? [['Note', 'Offline audit using the built-in rules']] : [])
+        ], range => {
+            range.getColumn(0).format.font.bold = true;
+        });
+        row++;
+        
+        heading('Severity breakdown');
+        write([['Severity', 'Count']], range => {
+            range.format.font.bold = true;
+        });
+        REPORT_SEVERITIES.forEach(severity => {
+            write([[severity, report.breakdown[severity] || 0]], range => {
+                range.getCell(0, 0).format.fill.color = REPORT_SEVERITY_FILLS[severity];
+            });
+        });
+        write([['Total', report.items.length]], range => {
+            range.format.font.bold = true;
+        });
+        row++;
+        
+        heading('Issues');
+        if (report.items.length === 0) {
+            write([['Nothing to report']]);
+        } else {
+            const tableRow = row;
+            write([REPORT_COLUMNS, ...report.items.map(item => {
+                const values = reportItemRow(item);
+                values[1] = reportCellLink(item.address);
+                return values;
+            })]);
+            
+            const table = sheet.tables.add(
+                sheet.getRangeByIndexes(tableRow, 0, report.items.length + 1, REPORT_COLUMNS.length), true
+            );
+            table.style = 'TableStyleLight9';
+            report.items.forEach((item, index) => {
+                sheet.getRangeByIndexes(tableRow + 1 + index, 2, 1, 1).format.fill.color = REPORT_SEVERITY_FILLS[item.severity];
+            });
+        }
+        row++;
+        
+        heading('Reviewer sign-off');
+        write([
+            ['Risk accepted', report.review.riskAccepted],
+            ['Dismissed', report.review.dismissed],
+            ['Snoozed', report.review.snoozed],
+            ['Open', report.review.open],
+            ['Signed off by', report.review.signOff ? report.review.signOff.by : ''],
+            ['Signed off at', report.review.signOff ? new Date(report.review.signOff.at).toLocaleString() : '']
+        ], range => {
+            range.getColumn(0).format.font.bold = true;
+        });
+        
+        REPORT_COLUMN_WIDTHS.forEach((width, column) => {
+            sheet.getRangeByIndexes(0, column, 1, 1).getEntireColumn().format.columnWidth = width;
+        });
+        sheet.getRangeByIndexes(0, 4, row, 3).format.wrapText = true;
+        sheet.getRangeByIndexes(0, 8, row, 1).format.wrapText = true;
+        sheet.activate();
+        
+        await context.sync();
+        return name;
+    });
+}
+
+/**
+ * An item's values in REPORT_COLUMNS order
+ */
+function reportItemRow(item) {
+    const decision = item.decision;
+    return [
+        item.number,
+        item.address,
+        item.severity,
+        item.title,
+        item.details,
+        item.formula,
+        item.fix,
+        decision ? TRIAGE_LABELS[decision.status] +
+            (decision.status === 'snoozed' ? ` until ${new Date(decision.until).toLocaleDateString()}` : '') : 'Open',
+        decision ? decision.reason : '',
+        decision ? decision.by : '',
+        decision ? new Date(decision.at).toLocaleString() : ''
+    ];
+}
+
+/**
+ * Cell links are written as HYPERLINK formulas; any other text that Excel
+ * would read as a formula is written as text
+ */
+function toReportCell(value) {
+    if (typeof value === 'number') return value;
+    if (value && typeof value === 'object') return value.link;
+    const text = String(value === null || value === undefined ? '' : value).slice(0, MAX_REPORT_CELL_TEXT - 1);
+    return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+function reportCellLink(address) {
+    if (!address) return '';
+    const quoted = address.replace(/"/g, '""');
+    return { link: `=HYPERLINK("#${quoted}","${quoted}")` };
+}
+
+/**
+ * Standalone HTML document of the report
+ */
+function renderReportHtml(report) {
+    const signOff = report.review.signOff;
+    const page = html`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<title>${report.title}</title>
+<style>
+    body { font-family: 'Segoe UI', sans-serif; color: #323130; margin: 32px; }
+    h1 { font-size: 22px; }
+    h2 { font-size: 16px; margin-top: 28px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #edebe9; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f3f2f1; }
+    code { font-family: Consolas, monospace; white-space: pre-wrap; }
+    .meta td:first-child, .signoff td:first-child { font-weight: 600; width: 160px; }
+    .severity-high { background: ${REPORT_SEVERITY_FILLS.high}; }
+    .severity-medium { background: ${REPORT_SEVERITY_FILLS.medium}; }
+    .severity-low { background: ${REPORT_SEVERITY_FILLS.low}; }
+    .severity-info { background: ${REPORT_SEVERITY_FILLS.info}; }
+    .details { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${report.title}</h1>
+<table class="meta">
+    <tr><td>Request</td><td>${report.query}</td></tr>
+    <tr><td>Generated</td><td>${report.generatedAt.toLocaleString()}</td></tr>
+    <tr><td>Worksheet</td><td>${report.sheet}</td></tr>
+    ${report.summary ? html`<tr><td>Summary</td><td>${report.summary}</td></tr>` : ''}
+    ${report.offline ? html`<tr><td>Note</td><td>Offline audit using the built-in rules</td></tr>` : ''}
+</table>
+
+<h2>Severity breakdown</h2>
+<table>
+    <tr><th>Severity</th><th>Count</th></tr>
+    ${REPORT_SEVERITIES.map(severity => html`
+    <tr><td class="severity-${severity}">${severity}</td><td>${report.breakdown[severity] || 0}</td></tr>`)}
+    <tr><th>Total</th><th>${report.items.length}</th></tr>
+</table>
+
+<h2>Issues</h2>
+${report.items.length === 0 ? html`<p>Nothing to report</p>` : html`
+<table>
+    <tr>${REPORT_COLUMNS.map(column => html`<th>${column}</th>`)}</tr>
+    ${report.items.map(item => html`
+    <tr>
+        <td>${item.number}</td>
+        <td>${item.address}</td>
+        <td class="severity-${item.severity}">${item.severity}</td>
+        <td>${item.title}</td>
+        <td class="details">${item.details}</td>
+        <td><code>${item.formula}</code></td>
+        <td><code>${item.fix}</code></td>
+        ${reportItemRow(item).slice(7).map(value => html`<td>${value}</td>`)}
+    </tr>`)}
+</table>`}
+
+<h2>Reviewer sign-off</h2>
+<table class="signoff">
+    <tr><td>Risk accepted</td><td>${report.review.riskAccepted}</td></tr>
+    <tr><td>Dismissed</td><td>${report.review.dismissed}</td></tr>
+    <tr><td>Snoozed</td><td>${report.review.snoozed}</td></tr>
+    <tr><td>Open</td><td>${report.review.open}</td></tr>
+    <tr><td>Signed off by</td><td>${signOff ? signOff.by : ''}</td></tr>
+    <tr><td>Signed off at</td><td>${signOff ? new Date(signOff.at).toLocaleString() : ''}</td></tr>
+</table>
+</body>
+</html>
+`;
+    return page.toString();
+}
+
+/**
+ * The issue table as CSV. Cells that spreadsheets would run as formulas are
+ * prefixed with an apostrophe.
+ */
+function renderReportCsv(report) {
+    const rows = [REPORT_COLUMNS, ...report.items.map(reportItemRow)];
+    
+    return rows.map(values => values.map(value => {
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+function reportFileName(report) {
+    const stamp = report.generatedAt.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    return `${report.title} ${report.sheet} ${stamp}`.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
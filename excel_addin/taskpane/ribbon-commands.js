@@ -0,0 +1,144 @@
+/**
+ * LyncFormula Ribbon Commands
+ * Quick Audit and Explain Formulas from the ribbon. The manifest's
+ * FunctionFile is the task pane page, so these run in the shared runtime:
+ * they can open the pane and hand it their result directly.
+ */
+
+Office.onReady(() => {
+    Office.actions.associate('quickAudit', quickAudit);
+    Office.actions.associate('explainFormulas', explainFormulas);
+});
+
+/**
+ * Quick Audit - Analyze all formulas in the current sheet
+ */
+function quickAudit(event) {
+    Excel.run(async (context) => {
+        try {
+            // Collect formulas and sheet context
+            const excelContext = await buildExcelContext(context);
+            const formulas = excelContext.formulas;
+            
+            if (Object.keys(formulas).length === 0) {
+                showRibbonDialog('No formulas found in the current sheet');
+                return;
+            }
+            
+            // Send to service for analysis
+            const requestData = {
+                worksheet: excelContext.worksheetName,
+                formulas: formulas,
+                context: excelContext
+            };
+            
+            console.log('🔍 Analyzing formulas...');
+            
+            const result = await postToService('/smart_analysis', requestData);
+            
+            if (result.success) {
+                const summary = result.summary || {};
+                const errorsFound = summary.errors_found || 0;
+                const total = summary.total_formulas || 0;
+                
+                // Show the full result in the task pane
+                result.worksheet = excelContext.worksheetName;
+                await openTaskPane();
+                receiveRibbonResult('quickAudit', `Quick audit of ${excelContext.worksheetName}`, result);
+                
+                if (errorsFound > 0) {
+                    showRibbonDialog(`Audit Complete: ${errorsFound} issues found in ${total} formulas. The details are in the LyncFormula pane.`, 'warning');
+                } else {
+                    showRibbonDialog(`Audit Complete: All ${total} formulas look good!`, 'success');
+                }
+            } else {
+                showRibbonDialog(`Audit failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Quick audit failed:', error);
+            showRibbonDialog(`Audit failed: ${error.message}`, 'error');
+        } finally {
+            // The dialog stays open on its own; the button is free once the pane has the result
+            event.completed();
+        }
+    });
+}
+
+/**
+ * Explain Formulas - Get explanations for all formulas in current sheet
+ */
+function explainFormulas(event) {
+    Excel.run(async (context) => {
+        try {
+            // Collect formulas and sheet context
+            const excelContext = await buildExcelContext(context);
+            const formulas = excelContext.formulas;
+            
+            if (Object.keys(formulas).length === 0) {
+                showRibbonDialog('No formulas found in the current sheet');
+                return;
+            }
+            
+            // Send to service for explanation
+            const requestData = {
+                worksheet: excelContext.worksheetName,
+                formulas: formulas,
+                context: excelContext
+            };
+            
+            console.log('💬 Generating explanations...');
+            
+            const result = await postToService('/explain_sheet', requestData);
+            
+            if (result.success) {
+                const total = result.summary?.total_formulas || 0;
+                
+                result.worksheet = excelContext.worksheetName;
+                await openTaskPane();
+                receiveRibbonResult('explainFormulas', `Explain formulas in ${excelContext.worksheetName}`, result);
+                
+                showRibbonDialog(`Generated explanations for ${total} formulas. They are in the LyncFormula pane.`, 'success');
+            } else {
+                showRibbonDialog(`Explanation failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Explain formulas failed:', error);
+            showRibbonDialog(`Explanation failed: ${error.message}`, 'error');
+        } finally {
+            event.completed();
+        }
+    });
+}
+
+/**
+ * Show the task pane, opening it if it is closed
+ */
+async function openTaskPane() {
+    try {
+        await Office.addin.showAsTaskpane();
+    } catch (error) {
+        console.warn('Could not open the task pane:', error);
+    }
+}
+
+/**
+ * Show a summary dialog. The shared runtime keeps it open after the
+ * command has completed; its OK button closes it.
+ */
+function showRibbonDialog(message, type = 'info') {
+    console.log(`${type.toUpperCase()}: ${message}`);
+    
+    const url = new URL('../ribbon-dialog.html', window.location.href);
+    url.searchParams.set('message', message);
+    url.searchParams.set('level', type);
+    
+    Office.context.ui.displayDialogAsync(url.toString(), { height: 25, width: 35, displayInIframe: true }, (asyncResult) => {
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error('Could not open dialog:', asyncResult.error);
+            return;
+        }
+        
+        const dialog = asyncResult.value;
+        dialog.addEventHandler(Office.EventType.DialogMessageReceived, () => dialog.close());
+    });
+}
@@ -0,0 +1,127 @@
+/**
+ * LyncFormula Safe Rendering
+ * Result markup is built with the `html` template tag, which escapes every
+ * interpolated value unless it is already SafeHtml. Service text that may
+ * carry formatting goes through renderMarkdown, which supports a small
+ * Markdown subset and never passes raw HTML through.
+ */
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+    
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Template tag: html`<p>${untrusted}</p>` escapes untrusted. Arrays are
+ * joined, and null, undefined and false render as nothing.
+ */
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += toSafeMarkup(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+function toSafeMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toSafeMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a Markdown subset: paragraphs, line breaks, headings, bullet and
+ * numbered lists, fenced code blocks, `code`, **bold** and *italic*.
+ */
+function renderMarkdown(text) {
+    const lines = String(text === null || text === undefined ? '' : text).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        const heading = line.match(/^\s*(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        
+        if (heading) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<h${heading[1].length + 3}>${renderInlineMarkdown(heading[2])}</h${heading[1].length + 3}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            list = list || { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+    
+    flushParagraph();
+    flushList();
+    
+    return new SafeHtml(blocks.join(''));
+}
+
+/**
+ * Inline formatting on already escaped text; code spans are left untouched
+ */
+function renderInlineMarkdown(text) {
+    const codeSpans = [];
+    const markup = escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => {
+            codeSpans.push(code);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        })
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\s](?:[^*]*[^*\s])?)\*(?![*\w])/g, '$1<em>$2</em>');
+    
+    return markup.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codeSpans[index]}</code>`);
+}
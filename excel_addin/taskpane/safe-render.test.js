@@ -0,0 +1,80 @@
+/**
+ * Tests for the safe rendering layer: the escaping html template tag and
+ * the Markdown subset. The renderer is a plain browser script, so it is
+ * loaded into a VM context instead of being required.
+ * Run with: node --test excel_addin/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const renderer = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'safe-render.js'), 'utf8'), renderer);
+const { html, renderMarkdown } = renderer;
+
+test('interpolated values are escaped', () => {
+    const query = `it's <img src=x onerror="alert(1)"> & more`;
+    assert.strictEqual(String(html`<div data-query="${query}">${query}</div>`),
+        '<div data-query="it&#39;s &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; more">' +
+        'it&#39;s &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; more</div>');
+});
+
+test('nested templates and arrays are kept as markup', () => {
+    const items = ['<a>', 'b'].map(item => html`<li>${item}</li>`);
+    assert.strictEqual(String(html`<ul>${items}</ul>`), '<ul><li>&lt;a&gt;</li><li>b</li></ul>');
+    assert.strictEqual(String(html`<p>${['<', html`<br>`]}</p>`), '<p>&lt;<br></p>');
+});
+
+test('null, undefined and false render as nothing, other values as text', () => {
+    assert.strictEqual(String(html`${null}${undefined}${false}|${0}|${true}|${'0'}`), '|0|true|0');
+});
+
+function markdown(name, cases) {
+    test(name, async (t) => {
+        for (const [text, expected] of cases) {
+            await t.test(JSON.stringify(text), () => {
+                assert.strictEqual(String(renderMarkdown(text)), expected);
+            });
+        }
+    });
+}
+
+markdown('Markdown blocks', [
+    ['line one\nline two\n\nnext', '<p>line one<br>line two</p><p>next</p>'],
+    ['line one\r\nline two', '<p>line one<br>line two</p>'],
+    ['# Title\n## Sub\n### Third', '<h4>Title</h4><h5>Sub</h5><h6>Third</h6>'],
+    ['- a\n* b\n+ c', '<ul><li>a</li><li>b</li><li>c</li></ul>'],
+    ['1. one\n2) two', '<ol><li>one</li><li>two</li></ol>'],
+    ['- a\n1. one', '<ul><li>a</li></ul><ol><li>one</li></ol>'],
+    ['Intro\n- a\nAfter', '<p>Intro</p><ul><li>a</li></ul><p>After</p>'],
+    ['```\n=SUM(A1:A3)\n  =A1*2\n```', '<pre><code>=SUM(A1:A3)\n  =A1*2</code></pre>'],
+    ['```excel\nunterminated', '<pre><code>unterminated</code></pre>'],
+    ['', ''],
+    [null, ''],
+    [undefined, '']
+]);
+
+markdown('inline Markdown', [
+    ['Use `=A1*2` here', '<p>Use <code>=A1*2</code> here</p>'],
+    ['**bold** and *italic*', '<p><strong>bold</strong> and <em>italic</em></p>'],
+    ['`**not bold**`', '<p><code>**not bold**</code></p>'],
+    ['a*b*c and 2 * 3 * 4', '<p>a*b*c and 2 * 3 * 4</p>'],
+    ['- **Fix:** use `IFERROR`', '<ul><li><strong>Fix:</strong> use <code>IFERROR</code></li></ul>']
+]);
+
+markdown('raw HTML and links are never passed through', [
+    ['Hello <img src=x onerror=alert(1)>', '<p>Hello &lt;img src=x onerror=alert(1)&gt;</p>'],
+    ['<script>alert(1)</script>', '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>'],
+    ['```\n</code><script>x</script>\n```', '<pre><code>&lt;/code&gt;&lt;script&gt;x&lt;/script&gt;</code></pre>'],
+    ['`<b>`', '<p><code>&lt;b&gt;</code></p>'],
+    ['**<i>x</i>**', '<p><strong>&lt;i&gt;x&lt;/i&gt;</strong></p>'],
+    ['# <svg onload=x>', '<h4>&lt;svg onload=x&gt;</h4>'],
+    ['[x](javascript:alert(1))', '<p>[x](javascript:alert(1))</p>']
+]);
+
+test('rendered Markdown is not escaped again inside a template', () => {
+    assert.strictEqual(String(html`<div>${renderMarkdown('*x* <y>')}</div>`), '<div><p><em>x</em> &lt;y&gt;</p></div>');
+});
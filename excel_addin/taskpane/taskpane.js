@@ -4,11 +4,17 @@
  */
 
 // Global variables
-let serviceUrl = 'http://127.0.0.1:8700';
+let autoBackup = true;
 let connectionStatus = 'connecting';
 let selectedFiles = [];
-let operationHistory = [];
 let currentOperation = null;
+let pendingFixes = [];
+let resultsRenderId = 0;
+let auditIssuesView = { issues: [], page: 0 };
+
+const AUDIT_PAGE_SIZE = 10;
+// Only these endpoints read the selected files; others are not sent them
+const FILE_ENDPOINTS = ['/consolidate_files'];
 
 // Initialize the task pane
 Office.onReady((info) => {
@@ -35,6 +41,12 @@ function initializeTaskPane() {
     // Load operation history
     loadHistory();
     
+    // Show whether audit annotations are still in the workbook
+    updateAnnotationsBar();
+    
+    // Restore this workbook's conversation thread
+    loadConversation();
+    
     // Enable input monitoring
     setupInputMonitoring();
     
@@ -47,6 +59,8 @@ function initializeTaskPane() {
 function setupEventListeners() {
     // Main action button
     document.getElementById('btn-submit').addEventListener('click', handleSubmitRequest);
+    document.getElementById('btn-cancel-operation').addEventListener('click', cancelOperation);
+    document.getElementById('btn-clear-conversation').addEventListener('click', clearConversation);
     
     // Quick action buttons
     document.getElementById('btn-audit-sheet').addEventListener('click', () => {
@@ -54,26 +68,61 @@ function setupEventListeners() {
         handleSubmitRequest();
     });
     
-    document.getElementById('btn-explain-formulas').addEventListener('click', () => {
-        document.getElementById('natural-language-input').value = 'Explain all formulas in the current sheet in plain English';
-        handleSubmitRequest();
-    });
+    document.getElementById('btn-explain-formulas').addEventListener('click', showExplainPanel);
     
     document.getElementById('btn-consolidate-files').addEventListener('click', () => {
         document.getElementById('natural-language-input').value = 'Consolidate multiple Excel files into a single summary report';
         showFileSelection();
     });
     
+    document.getElementById('btn-write-formula').addEventListener('click', () => {
+        const input = document.getElementById('natural-language-input');
+        input.value = 'Write a formula that ';
+        input.focus();
+        validateInput();
+    });
+    
+    document.getElementById('btn-trace-dependencies').addEventListener('click', showDependencyExplorer);
+    
+    document.getElementById('btn-modernize-formulas').addEventListener('click', () => {
+        document.getElementById('natural-language-input').value = 'Modernize legacy formulas in the current sheet';
+        handleSubmitRequest();
+    });
+    
+    document.getElementById('btn-profile-performance').addEventListener('click', () => {
+        document.getElementById('natural-language-input').value = 'Show me which formulas are causing performance issues';
+        handleSubmitRequest();
+    });
+    
+    // Formula breakdown
+    setupFormulaExplainer();
+    
+    // Dependency explorer
+    document.getElementById('btn-close-dependencies').addEventListener('click', hideDependencyExplorer);
+    document.getElementById('btn-dep-precedents').addEventListener('click', () => setDependencyDirection('precedents'));
+    document.getElementById('btn-dep-dependents').addEventListener('click', () => setDependencyDirection('dependents'));
+    document.getElementById('btn-trace-selection').addEventListener('click', () => traceSelectedCell());
+    document.getElementById('btn-rebuild-graph').addEventListener('click', () => traceSelectedCell(true));
+    
     // File selection
-    document.getElementById('btn-browse-files').addEventListener('click', browseFiles);
+    setupFileImport();
+    setupConsolidationWizard();
+    
+    // Annotations
+    document.getElementById('btn-clear-annotations').addEventListener('click', clearAnnotations);
     
     // History management
-    document.getElementById('btn-clear-history').addEventListener('click', clearHistory);
+    setupHistory();
+    
+    // Live audit
+    setupLiveAudit();
     
     // Settings
     document.getElementById('btn-settings').addEventListener('click', showSettings);
     document.getElementById('btn-close-settings').addEventListener('click', hideSettings);
     document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
+    document.getElementById('btn-pair').addEventListener('click', pairFromSettings);
+    document.getElementById('btn-forget-pairing').addEventListener('click', forgetPairing);
     
     // Help
     document.getElementById('btn-help').addEventListener('click', showHelp);
@@ -115,37 +164,40 @@ function setupInputMonitoring() {
 }
 
 /**
- * Check service connection status
+ * Check service connection status: the service must identify as LyncFormula,
+ * run a compatible version and accept this add-in's pairing token
  */
 async function checkServiceConnection() {
     const statusIndicator = document.getElementById('status-indicator');
     const statusText = document.getElementById('status-text');
     
     try {
-        const response = await fetch(`${serviceUrl}/health`, {
-            method: 'GET',
-            timeout: 5000
-        });
+        const { health: data, problem } = await verifyService();
+        updatePairingStatus();
         
-        if (response.ok) {
-            const data = await response.json();
-            connectionStatus = 'connected';
-            statusIndicator.className = 'status-indicator connected';
-            statusText.textContent = `Connected to ${data.service} v${data.version}`;
-            
-            // Enable submit button if there's input
+        if (problem) {
+            console.warn('Service check failed:', problem.reason);
+            connectionStatus = problem.reason === 'unpaired' || problem.reason === 'unauthorized' ? 'unpaired' : 'incompatible';
+            statusIndicator.className = 'status-indicator warning';
+            statusText.textContent = `${problem.message} Offline features still work.`;
             validateInput();
-        } else {
-            throw new Error(`Service returned ${response.status}`);
+            return;
         }
+        
+        connectionStatus = 'connected';
+        statusIndicator.className = 'status-indicator connected';
+        statusText.textContent = `Connected to ${data.service} v${data.version}`;
+        
+        // Enable submit button if there's input
+        validateInput();
     } catch (error) {
         console.error('Service connection failed:', error);
         connectionStatus = 'error';
         statusIndicator.className = 'status-indicator error';
-        statusText.textContent = 'Service unavailable - Check if Python service is running';
+        statusText.textContent = 'Service unavailable - Offline audit only. Check if Python service is running';
         
-        // Disable submit button
-        document.getElementById('btn-submit').disabled = true;
+        // Audits can still run locally; everything else needs the service
+        validateInput();
     }
 }
 
@@ -159,57 +211,134 @@ function validateInput() {
     const hasInput = input.value.trim().length > 0;
     const isConnected = connectionStatus === 'connected';
     
-    submitBtn.disabled = !hasInput || !isConnected;
+    submitBtn.disabled = !hasInput || currentOperation !== null ||
+        (!isConnected && !canRunOffline(determineEndpoint(input.value.trim())));
+}
+
+/**
+ * Whether a request can be answered inside the add-in without the service:
+ * audits by the built-in rules, formula modernization, performance
+ * profiling and consolidation of already selected files
+ */
+function canRunOffline(endpoint) {
+    return endpoint === '/audit_formulas' || endpoint === '/modernize' || endpoint === '/profile_performance' ||
+        (endpoint === '/consolidate_files' && selectedFiles.length > 0);
 }
 
 /**
  * Handle main submit request
  */
 async function handleSubmitRequest() {
-    const input = document.getElementById('natural-language-input');
-    const query = input.value.trim();
+    const query = document.getElementById('natural-language-input').value.trim();
     
     if (!query) {
         showError('Please enter a request');
         return;
     }
     
-    showLoading(true);
+    await runQuery(query);
+}
+
+/**
+ * Run a request. A known intent (e.g. from a history entry being re-run)
+ * skips classification.
+ */
+async function runQuery(query, knownIntent = null) {
+    if (currentOperation) {
+        return;
+    }
+    
+    const input = document.getElementById('natural-language-input');
+    const operation = startOperation(query);
     
     try {
-        // Prepare request data
-        const requestData = {
-            query: query,
-            files: selectedFiles,
-            context: await getCurrentExcelContext()
-        };
+        const origin = await captureHistoryContext();
         
-        // Determine the appropriate endpoint based on query
-        const endpoint = determineEndpoint(query);
-        
-        // Send request
-        const response = await fetch(`${serviceUrl}${endpoint}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestData)
-        });
+        // Work out what the user is asking for, confirming when unsure
+        let intent = knownIntent;
+        if (!intent) {
+            updateProgress(null, 'Understanding your request...');
+            intent = await classifyIntent(query, operation.controller.signal);
+            if (intent.confidence < INTENT_CONFIDENCE_THRESHOLD) {
+                updateProgress(null, 'Waiting for your choice...');
+                intent = await chooseIntent(intent, operation.controller.signal);
+                if (!intent) return;
+            }
+        }
+        const endpoint = intent.endpoint;
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Selected files are mapped and merged in the browser
+        if (endpoint === '/consolidate_files' && selectedFiles.length > 0) {
+            openConsolidationWizard();
+            return;
         }
         
-        const result = await response.json();
+        let result;
+        if (endpoint === '/modernize') {
+            // Rewrites are made and checked against the workbook itself
+            updateProgress(null, 'Checking modernized formulas...');
+            result = await runModernization();
+        } else if (endpoint === '/profile_performance') {
+            updateProgress(null, 'Profiling formulas across the workbook...');
+            result = await runPerformanceProfile();
+        } else if (connectionStatus !== 'connected') {
+            if (!canRunOffline(endpoint)) {
+                throw new Error('This request needs the LyncFormula service. Only formula audits and consolidation of selected files run offline.');
+            }
+            updateProgress(null, 'Running built-in audit rules...');
+            result = await runLocalAudit();
+        } else if (endpoint === '/generate_formula') {
+            updateProgress(null, 'Writing a formula for the selected cell...');
+            result = await generateFormula(query, operation.controller.signal);
+        } else {
+            // Prepare request data
+            updateProgress(null, 'Reading workbook...');
+            const requestData = {
+                query: query,
+                files: FILE_ENDPOINTS.includes(endpoint) ? getSelectedFilesPayload() : [],
+                context: await getCurrentExcelContext(),
+                stream: true,
+                ...getConversationPayload()
+            };
+            
+            // Partial results are rendered as the service streams them in
+            const partial = { success: true };
+            
+            try {
+                updateProgress(null, 'Waiting for the service...');
+                result = await postToService(endpoint, requestData, {
+                    signal: operation.controller.signal,
+                    onEvent: event => handleStreamEvent(event, partial, query)
+                });
+                result = result || partial;
+                // Reports qualify the result's cell addresses with this sheet
+                result.worksheet = result.worksheet || requestData.context.worksheetName;
+            } catch (error) {
+                if (!(error instanceof ServiceError && error.code === 'unreachable') || !canRunOffline(endpoint)) {
+                    throw error;
+                }
+                console.warn('Service unreachable, running local audit:', error);
+                checkServiceConnection();
+                updateProgress(null, 'Service unreachable - running built-in audit rules...');
+                result = await runLocalAudit();
+            }
+        }
         
         // Handle the response
         if (result.success) {
             showResults(result, query);
-            addToHistory(query, result);
+            addToHistory(query, result, {
+                intent: intent.intent,
+                endpoint: endpoint,
+                intentConfidence: intent.confidence,
+                intentSource: intent.source,
+                context: origin,
+                files: FILE_ENDPOINTS.includes(endpoint) ? describeHistoryFiles() : []
+            });
+            recordConversationTurn(query, result, endpoint);
             
             // Clear input on successful operation
             input.value = '';
-            validateInput();
             
             // Hide file selection if it was shown
             hideFileSelection();
@@ -218,86 +347,174 @@ async function handleSubmitRequest() {
         }
         
     } catch (error) {
-        console.error('Request failed:', error);
-        showError(`Request failed: ${error.message}`);
+        if (error.name === 'AbortError') {
+            console.log('⏹️ Request cancelled');
+            showNotification('Request cancelled - partial results are kept');
+        } else {
+            console.error('Request failed:', error);
+            showError(`Request failed: ${error.message}`);
+            if (error instanceof ServiceError && (error.code === 'unauthorized' || error.code === 'unproven')) {
+                checkServiceConnection();
+            }
+        }
     } finally {
-        showLoading(false);
+        finishOperation(operation);
     }
 }
 
 /**
- * Determine the appropriate endpoint based on the query
+ * Start tracking a running request and show its progress panel
  */
-function determineEndpoint(query) {
-    const lowerQuery = query.toLowerCase();
+function startOperation(query) {
+    currentOperation = {
+        query: query,
+        controller: new AbortController(),
+        startedAt: Date.now(),
+        message: 'Processing your request...',
+        renderTimer: null,
+        elapsedTimer: null
+    };
     
-    if (lowerQuery.includes('audit') || lowerQuery.includes('check') || lowerQuery.includes('analyze')) {
-        if (selectedFiles.length > 0 || lowerQuery.includes('file')) {
-            return '/smart_analysis';
-        }
-        return '/audit_formulas';
+    // Keep the elapsed time visible while the service has nothing to report
+    currentOperation.elapsedTimer = setInterval(() => renderProgressMessage(), 1000);
+    
+    document.getElementById('operation-progress').style.display = 'block';
+    updateProgress(null, currentOperation.message);
+    validateInput();
+    
+    return currentOperation;
+}
+
+/**
+ * Stop tracking a request and hide its progress panel
+ */
+function finishOperation(operation) {
+    clearInterval(operation.elapsedTimer);
+    clearTimeout(operation.renderTimer);
+    
+    if (currentOperation === operation) {
+        currentOperation = null;
     }
     
-    if (lowerQuery.includes('explain') || lowerQuery.includes('describe')) {
-        return '/explain_sheet';
+    document.getElementById('operation-progress').style.display = 'none';
+    validateInput();
+}
+
+/**
+ * Abort the running request
+ */
+function cancelOperation() {
+    if (currentOperation) {
+        updateProgress(null, 'Cancelling...');
+        currentOperation.controller.abort();
+    }
+}
+
+/**
+ * Update the progress bar; a null percentage shows an indeterminate bar
+ */
+function updateProgress(percent, message) {
+    if (!currentOperation) return;
+    
+    const bar = document.getElementById('progress-bar');
+    const determinate = typeof percent === 'number' && isFinite(percent);
+    
+    bar.classList.toggle('indeterminate', !determinate);
+    bar.style.width = determinate ? `${Math.max(0, Math.min(100, percent))}%` : '';
+    
+    if (message) {
+        currentOperation.message = message;
     }
+    renderProgressMessage();
+}
+
+function renderProgressMessage() {
+    if (!currentOperation) return;
+    
+    const seconds = Math.floor((Date.now() - currentOperation.startedAt) / 1000);
+    document.getElementById('progress-message').textContent =
+        seconds > 0 ? `${currentOperation.message} (${seconds}s)` : currentOperation.message;
+}
+
+// Streamed event types and the result collection each one appends to
+const STREAM_COLLECTIONS = {
+    explanation: 'explanations',
+    issue: 'issues',
+    analysis: 'analysis_results',
+    fix: 'fixes'
+};
+
+/**
+ * Fold one streamed event into the partial result and re-render it
+ */
+function handleStreamEvent(event, partial, query) {
+    const percent = typeof event.progress === 'number' ? event.progress : null;
     
-    if (lowerQuery.includes('consolidate') || lowerQuery.includes('merge') || lowerQuery.includes('combine')) {
-        return '/consolidate_files';
+    if (event.type === 'progress') {
+        updateProgress(percent, event.message);
+        return;
     }
     
-    if (lowerQuery.includes('fix') || lowerQuery.includes('repair')) {
-        return '/apply_fixes';
+    const key = STREAM_COLLECTIONS[event.type];
+    if (!key) {
+        if (event.type === 'summary') {
+            Object.assign(partial, event.data);
+            scheduleStreamRender(partial, query);
+        }
+        return;
     }
     
-    // Default to natural language processing
-    return '/natural_language';
+    partial[key] = partial[key] || [];
+    partial[key].push(event.data);
+    
+    const count = partial[key].length;
+    updateProgress(percent, event.message || `Received ${count} ${count === 1 ? event.type : key.replace('_', ' ')}...`);
+    scheduleStreamRender(partial, query);
+}
+
+/**
+ * Re-render partial results at most a few times per second
+ */
+function scheduleStreamRender(partial, query) {
+    if (!currentOperation || currentOperation.renderTimer) return;
+    
+    const operation = currentOperation;
+    operation.renderTimer = setTimeout(() => {
+        operation.renderTimer = null;
+        if (currentOperation === operation) {
+            showResults(partial, query, { partial: true });
+        }
+    }, 250);
+}
+
+/**
+ * Best local guess at the endpoint for a query, without asking the service
+ */
+function determineEndpoint(query) {
+    return classifyIntentLocally(query).endpoint;
 }
 
 /**
  * Get current Excel context for better AI understanding
  */
 async function getCurrentExcelContext() {
-    return new Promise((resolve) => {
-        Excel.run(async (context) => {
-            try {
-                const worksheet = context.workbook.worksheets.getActiveWorksheet();
-                worksheet.load('name');
-                
-                const usedRange = worksheet.getUsedRange();
-                usedRange.load('address, rowCount, columnCount');
-                
-                await context.sync();
-                
-                const contextInfo = {
-                    worksheetName: worksheet.name,
-                    usedRange: usedRange.address,
-                    rowCount: usedRange.rowCount,
-                    columnCount: usedRange.columnCount,
-                    hasSelection: false
-                };
-                
-                // Try to get selected range
-                try {
-                    const selectedRange = context.workbook.getSelectedRange();
-                    selectedRange.load('address');
-                    await context.sync();
-                    
-                    contextInfo.selectedRange = selectedRange.address;
-                    contextInfo.hasSelection = true;
-                } catch (e) {
-                    // No selection, which is fine
-                }
-                
-                resolve(contextInfo);
-            } catch (error) {
-                console.error('Error getting Excel context:', error);
-                resolve({
-                    worksheetName: 'Unknown',
-                    error: error.message
-                });
-            }
-        });
+    try {
+        return await Excel.run(context => buildExcelContext(context));
+    } catch (error) {
+        console.error('Error getting Excel context:', error);
+        return {
+            worksheetName: 'Unknown',
+            error: error.message
+        };
+    }
+}
+
+async function getActiveSheetName() {
+    return Excel.run(async (context) => {
+        const worksheet = context.workbook.worksheets.getActiveWorksheet();
+        worksheet.load('name');
+        await context.sync();
+        return worksheet.name;
     });
 }
 
@@ -310,30 +527,62 @@ function showLoading(show) {
 }
 
 /**
- * Display results in the results section
+ * Display results in the results section. Partial (streamed) results skip
+ * the fix preview and scrolling until the final result arrives.
  */
-function showResults(result, originalQuery) {
+function showResults(result, originalQuery, options = {}) {
     const resultsSection = document.getElementById('results-section');
     const resultsContent = document.getElementById('results-content');
     
     // Clear previous results
     resultsContent.innerHTML = '';
+    resultsRenderId++;
     
     // Create results display based on result type
     if (result.explanations) {
         showFormulaExplanations(result.explanations, resultsContent);
     } else if (result.issues) {
-        showAuditResults(result, resultsContent);
+        showAuditResults(result, resultsContent, options);
     } else if (result.analysis_results) {
-        showSmartAnalysis(result.analysis_results, resultsContent);
+        showSmartAnalysis(result.analysis_results, resultsContent, options.partial ? null : result);
     } else if (result.consolidated_file) {
         showConsolidationResults(result, resultsContent);
+    } else if (result.modernization) {
+        showModernizationResults(result, resultsContent);
+    } else if (result.performance) {
+        showPerformanceResults(result, resultsContent);
+    } else if (result.authoring) {
+        showAuthoringResults(result, resultsContent);
     } else if (result.operation_type) {
         showNaturalLanguageResults(result, resultsContent);
+    } else if (result.answer) {
+        showConversationAnswer(result, resultsContent);
+    } else if (result.fixes) {
+        const title = document.createElement('h4');
+        title.textContent = 'Proposed Fixes';
+        resultsContent.appendChild(title);
     } else {
         showGenericResults(result, resultsContent);
     }
     
+    if (options.partial) {
+        return;
+    }
+    
+    // Any finished result can be signed off and exported, except a formula still being written
+    if (!result.authoring) {
+        resultsContent.prepend(createReportToolbar(result, originalQuery));
+    }
+    
+    // Offer any formula changes for review before they touch the workbook
+    const fixes = collectProposedFixes(result);
+    if (fixes.length > 0) {
+        showFixPreview(fixes, resultsContent).catch(error => {
+            console.error('Fix preview failed:', error);
+            showError(`Could not prepare fix preview: ${error.message}`);
+        });
+    }
+    
     // Show the results section
     resultsSection.scrollIntoView({ behavior: 'smooth' });
 }
@@ -351,15 +600,15 @@ function showFormulaExplanations(explanations, container) {
         const item = document.createElement('div');
         item.className = 'result-item result-success';
         
-        item.innerHTML = `
+        item.innerHTML = html`
             <div class="result-header">
                 <strong>${explanation.address}:</strong>
                 <span class="result-complexity">${explanation.complexity}</span>
             </div>
             <div class="result-formula"><code>${explanation.formula}</code></div>
-            <div class="result-content">${explanation.explanation}</div>
+            <div class="result-content">${renderMarkdown(explanation.explanation)}</div>
             ${explanation.functions && explanation.functions.length > 0 ? 
-                `<div class="result-functions"><small>Functions: ${explanation.functions.join(', ')}</small></div>` : 
+                html`<div class="result-functions"><small>Functions: ${explanation.functions.join(', ')}</small></div>` : 
                 ''}
         `;
         
@@ -368,10 +617,11 @@ function showFormulaExplanations(explanations, container) {
 }
 
 /**
- * Show audit results
+ * Show audit results. Dismissed, risk-accepted and snoozed issues are
+ * hidden unless the user asks to see them.
  */
-function showAuditResults(result, container) {
-    const summary = result.audit_summary || {};
+function showAuditResults(result, container, options = {}) {
+    const summary = result.audit_summary || summarizeIssues(result.issues || []);
     
     const title = document.createElement('h4');
     title.textContent = 'Formula Audit Results';
@@ -380,7 +630,7 @@ function showAuditResults(result, container) {
     // Summary
     const summaryDiv = document.createElement('div');
     summaryDiv.className = 'result-item';
-    summaryDiv.innerHTML = `
+    summaryDiv.innerHTML = html`
         <div class="result-header">
             <strong>Audit Summary</strong>
         </div>
@@ -389,64 +639,201 @@ function showAuditResults(result, container) {
             <p>High Priority: ${summary.severity_breakdown?.high || 0}</p>
             <p>Medium Priority: ${summary.severity_breakdown?.medium || 0}</p>
             <p>Low Priority: ${summary.severity_breakdown?.low || 0}</p>
+            <p class="audit-suppressed" style="display: none;"></p>
+            ${result.offline ? html`<p><em>Offline audit using built-in rules - connect the service for AI analysis</em></p>` : ''}
         </div>
     `;
     container.appendChild(summaryDiv);
     
     // Issues
     if (result.issues && result.issues.length > 0) {
-        result.issues.slice(0, 5).forEach(issue => {
-            const item = document.createElement('div');
-            item.className = `result-item ${issue.severity === 'high' ? 'result-error' : 
-                                            issue.severity === 'medium' ? 'result-warning' : 
-                                            'result-success'}`;
-            
-            item.innerHTML = `
-                <div class="result-header">
-                    <strong>${issue.title}</strong>
-                    <span class="severity-badge">${issue.severity}</span>
-                </div>
-                <div class="result-content">
-                    <p>${issue.description}</p>
-                    <p><strong>Cell:</strong> ${issue.cell_address}</p>
-                    <p><strong>Suggested Fix:</strong> ${issue.suggested_fix}</p>
-                </div>
-            `;
-            
-            container.appendChild(item);
+        const toolbar = document.createElement('div');
+        toolbar.className = 'audit-toolbar';
+        toolbar.innerHTML = html`
+            <button class="ms-Button ms-Button--default ms-Button--small btn-annotate">
+                <span class="ms-Button-label">Highlight in Sheet</span>
+            </button>
+            <label class="audit-notes-option">
+                <input type="checkbox" class="annotate-notes" /> Add notes
+            </label>
+            <label class="audit-notes-option">
+                <input type="checkbox" class="show-suppressed" /> Show suppressed
+            </label>
+        `;
+        toolbar.querySelector('.show-suppressed').addEventListener('change', event => {
+            auditIssuesView.showSuppressed = event.target.checked;
+            auditIssuesView.page = 0;
+            renderAuditIssuePage();
         });
+        toolbar.querySelector('.btn-annotate').addEventListener('click', async () => {
+            showLoading(true);
+            try {
+                const count = await annotateIssues(result.issues, toolbar.querySelector('.annotate-notes').checked, result.worksheet);
+                showNotification(`Highlighted ${count} cell${count === 1 ? '' : 's'}`);
+            } catch (error) {
+                console.error('Annotating issues failed:', error);
+                showError(`Could not highlight issues: ${error.message}`);
+            } finally {
+                showLoading(false);
+            }
+        });
+        container.appendChild(toolbar);
+        
+        const list = document.createElement('div');
+        list.id = 'audit-issue-list';
+        container.appendChild(list);
+        
+        auditIssuesView = { issues: result.issues, sheet: result.worksheet, page: 0, showSuppressed: false };
+        renderAuditIssuePage();
+        
+        if (!options.partial) {
+            applyTriage(result).then(suppressed => {
+                if (auditIssuesView.issues !== result.issues) return;
+                const note = summaryDiv.querySelector('.audit-suppressed');
+                note.textContent = `Suppressed: ${suppressed} (dismissed, risk accepted or snoozed)`;
+                note.style.display = suppressed > 0 ? '' : 'none';
+                renderAuditIssuePage();
+            }).catch(error => {
+                console.error('Applying triage failed:', error);
+            });
+        }
     }
 }
 
 /**
- * Show smart analysis results
+ * Build an audit summary from the issues themselves, e.g. while they stream in
+ */
+function summarizeIssues(issues) {
+    const breakdown = { high: 0, medium: 0, low: 0 };
+    issues.forEach(issue => {
+        breakdown[issue.severity] = (breakdown[issue.severity] || 0) + 1;
+    });
+    
+    return { total_issues: issues.length, severity_breakdown: breakdown };
+}
+
+/**
+ * Render the current page of audit issues with a pager
  */
-function showSmartAnalysis(analysisResults, container) {
+function renderAuditIssuePage() {
+    const list = document.getElementById('audit-issue-list');
+    if (!list) return;
+    
+    const issues = auditIssuesView.showSuppressed ? auditIssuesView.issues :
+        auditIssuesView.issues.filter(issue => !issue.triage);
+    const pageCount = Math.ceil(issues.length / AUDIT_PAGE_SIZE);
+    // Suppressing the last issue on a page moves back a page
+    const page = auditIssuesView.page = Math.min(auditIssuesView.page, Math.max(0, pageCount - 1));
+    const first = page * AUDIT_PAGE_SIZE;
+    
+    list.innerHTML = '';
+    
+    if (issues.length === 0) {
+        list.innerHTML = html`<p><em>Every issue is dismissed, risk-accepted or snoozed.</em></p>`;
+        return;
+    }
+    
+    issues.slice(first, first + AUDIT_PAGE_SIZE).forEach(issue => {
+        const item = document.createElement('div');
+        item.className = `result-item ${issue.triage ? 'result-suppressed ' : ''}${issue.severity === 'high' ? 'result-error' : 
+                                        issue.severity === 'medium' ? 'result-warning' : 
+                                        'result-success'}`;
+        
+        item.innerHTML = html`
+            <div class="result-header">
+                <strong>${issue.title}</strong>
+                <span class="severity-badge">${issue.severity}</span>
+            </div>
+            <div class="result-content">
+                ${renderMarkdown(issue.description)}
+                <p><strong>Cell:</strong> <a href="#" class="cell-link">${issue.cell_address}</a></p>
+                ${issue.suggested_fix ? html`<p><strong>Suggested Fix:</strong> <code>${issue.suggested_fix}</code></p>` : ''}
+            </div>
+        `;
+        
+        item.querySelector('.cell-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            selectRangeInExcel(qualifyAddress(issue.cell_address, auditIssuesView.sheet));
+        });
+        item.appendChild(createTriageControls(issue, renderAuditIssuePage));
+        
+        list.appendChild(item);
+    });
+    
+    if (pageCount > 1) {
+        const pager = document.createElement('div');
+        pager.className = 'pager';
+        pager.innerHTML = html`
+            <button class="ms-Button ms-Button--default ms-Button--small pager-prev" ${page === 0 ? 'disabled' : ''}>
+                <span class="ms-Button-label">Previous</span>
+            </button>
+            <span class="pager-status">${first + 1}-${Math.min(first + AUDIT_PAGE_SIZE, issues.length)} of ${issues.length}</span>
+            <button class="ms-Button ms-Button--default ms-Button--small pager-next" ${page >= pageCount - 1 ? 'disabled' : ''}>
+                <span class="ms-Button-label">Next</span>
+            </button>
+        `;
+        pager.querySelector('.pager-prev').addEventListener('click', () => {
+            auditIssuesView.page--;
+            renderAuditIssuePage();
+        });
+        pager.querySelector('.pager-next').addEventListener('click', () => {
+            auditIssuesView.page++;
+            renderAuditIssuePage();
+        });
+        list.appendChild(pager);
+    }
+}
+
+/**
+ * Show smart analysis results. Once the full result is in, formulas with
+ * errors get triage controls and suppressed ones are marked.
+ */
+function showSmartAnalysis(analysisResults, container, result = null) {
     const title = document.createElement('h4');
     title.textContent = 'Smart Formula Analysis';
     container.appendChild(title);
     
+    const errorItems = [];
+    
     analysisResults.forEach(analysis => {
         const item = document.createElement('div');
         item.className = `result-item ${analysis.has_errors ? 'result-error' : 'result-success'}`;
         
-        item.innerHTML = `
+        item.innerHTML = html`
             <div class="result-header">
                 <strong>${analysis.address}</strong>
                 <span class="confidence-badge">${analysis.confidence}% confidence</span>
             </div>
             <div class="result-content">
                 <p><strong>Formula:</strong> <code>${analysis.original_formula}</code></p>
-                <p><strong>Analysis:</strong> ${analysis.explanation}</p>
-                ${analysis.has_errors ? `<p><strong>Issues:</strong> ${analysis.error_details}</p>` : ''}
+                <p><strong>Analysis:</strong></p>
+                ${renderMarkdown(analysis.explanation)}
+                ${analysis.has_errors ? html`<p><strong>Issues:</strong> ${analysis.error_details}</p>` : ''}
                 ${analysis.suggestions && analysis.suggestions.length > 0 ? 
-                    `<p><strong>Suggestions:</strong> ${analysis.suggestions.join(', ')}</p>` : ''}
+                    html`<p><strong>Suggestions:</strong> ${analysis.suggestions.join(', ')}</p>` : ''}
                 ${analysis.improved_formula ? 
-                    `<p><strong>Improved Formula:</strong> <code>${analysis.improved_formula}</code></p>` : ''}
+                    html`<p><strong>Improved Formula:</strong> <code>${analysis.improved_formula}</code></p>` : ''}
             </div>
         `;
         
         container.appendChild(item);
+        if (analysis.has_errors) {
+            errorItems.push({ analysis, item });
+        }
+    });
+    
+    if (!result || errorItems.length === 0) return;
+    
+    const renderTriage = ({ analysis, item }) => {
+        const existing = item.querySelector('.issue-triage');
+        if (existing) existing.remove();
+        item.classList.toggle('result-suppressed', !!analysis.triage);
+        item.appendChild(createTriageControls(analysis, () => renderTriage({ analysis, item })));
+    };
+    applyTriage(result).then(() => {
+        errorItems.forEach(renderTriage);
+    }).catch(error => {
+        console.error('Applying triage failed:', error);
     });
 }
 
@@ -457,7 +844,7 @@ function showConsolidationResults(result, container) {
     const item = document.createElement('div');
     item.className = 'result-item result-success';
     
-    item.innerHTML = `
+    item.innerHTML = html`
         <div class="result-header">
             <strong>File Consolidation Complete</strong>
         </div>
@@ -478,20 +865,37 @@ function showNaturalLanguageResults(result, container) {
     const item = document.createElement('div');
     item.className = 'result-item result-success';
     
-    item.innerHTML = `
+    item.innerHTML = html`
         <div class="result-header">
             <strong>${result.operation_type} Operation Complete</strong>
         </div>
         <div class="result-content">
-            <p>${result.summary}</p>
+            ${renderMarkdown(result.summary)}
             ${result.results && result.results.length > 0 ? 
-                `<ul>${result.results.map(r => `<li>${r.result || r.action}</li>`).join('')}</ul>` : ''}
+                html`<ul>${result.results.map(r => html`<li>${r.result || r.action}</li>`)}</ul>` : ''}
         </div>
     `;
     
     container.appendChild(item);
 }
 
+/**
+ * Show the answer to a conversational follow-up
+ */
+function showConversationAnswer(result, container) {
+    const item = document.createElement('div');
+    item.className = 'result-item result-success';
+    
+    item.innerHTML = html`
+        <div class="result-header">
+            <strong>Answer</strong>
+        </div>
+        <div class="result-content">${renderMarkdown(result.answer)}</div>
+    `;
+    
+    container.appendChild(item);
+}
+
 /**
  * Show generic results
  */
@@ -499,7 +903,7 @@ function showGenericResults(result, container) {
     const item = document.createElement('div');
     item.className = 'result-item';
     
-    item.innerHTML = `
+    item.innerHTML = html`
         <div class="result-header">
             <strong>Operation Result</strong>
         </div>
@@ -512,144 +916,508 @@ function showGenericResults(result, container) {
 }
 
 /**
- * Show error message
+ * Collect cell changes proposed by the service into a uniform list.
+ * Sources: audit issues with a formula-shaped suggested_fix, smart analysis
+ * improved_formula values, explicit /apply_fixes results, the cell
+ * edits returned by natural language operations, modernized formulas and
+ * the cheaper rewrites suggested by the performance profiler.
  */
-function showError(message) {
-    const resultsContent = document.getElementById('results-content');
+function collectProposedFixes(result) {
+    const fixes = [];
+    const seen = new Set();
     
-    resultsContent.innerHTML = `
-        <div class="result-item result-error">
-            <div class="result-header">
-                <strong>Error</strong>
-            </div>
-            <div class="result-content">
-                ${message}
-            </div>
+    // Result addresses are relative to the sheet the request ran on, which
+    // need not be the active sheet by the time the fixes are applied
+    const addFix = (address, before, after, reason, allowValues = false, extras = {}) => {
+        if (!address || after === undefined || after === null || !isSingleCellAddress(address)) {
+            return;
+        }
+        address = qualifyAddress(address, result.worksheet);
+        if (seen.has(address)) {
+            return;
+        }
+        if (!allowValues && !after.toString().startsWith('=')) {
+            return;
+        }
+        seen.add(address);
+        fixes.push({
+            address: address,
+            expectedBefore: before || null,
+            after: after.toString(),
+            reason: reason || '',
+            ...extras
+        });
+    };
+    
+    (result.issues || []).forEach(issue => {
+        addFix(issue.cell_address, issue.formula, issue.suggested_fix, issue.title);
+    });
+    
+    (result.analysis_results || []).forEach(analysis => {
+        addFix(analysis.address, analysis.original_formula, analysis.improved_formula, analysis.error_details || analysis.explanation);
+    });
+    
+    (result.fixes || []).forEach(fix => {
+        addFix(fix.cell_address || fix.address, fix.original_formula, fix.fixed_formula || fix.suggested_fix, fix.description);
+    });
+    
+    (result.changes || []).forEach(change => {
+        const after = change.formula !== undefined ? change.formula : change.value;
+        addFix(change.cell_address || change.address, change.original_formula, after, change.description, true);
+    });
+    
+    // Only rewrites that gave the same result are preselected
+    ((result.modernization && result.modernization.candidates) || []).forEach(candidate => {
+        addFix(candidate.address, candidate.before, candidate.after, candidate.rules.join(', '), false, {
+            recommended: candidate.verified === 'equivalent'
+        });
+    });
+    
+    ((result.performance && result.performance.formulas) || []).forEach(item => {
+        if (item.suggested_formula) {
+            addFix(item.address, item.formula, item.suggested_formula, item.suggested_rules.join(', '), false, {
+                recommended: false
+            });
+        }
+    });
+    
+    return fixes;
+}
+
+/**
+ * Show a review pane with a before/after diff for each proposed fix
+ */
+async function showFixPreview(fixes, container) {
+    const renderId = resultsRenderId;
+    const currentFormulas = await loadCellFormulas(fixes.map(fix => fix.address));
+    
+    // A newer result may have replaced the one these fixes belong to
+    if (renderId !== resultsRenderId) {
+        return;
+    }
+    
+    pendingFixes = fixes.map((fix, index) => {
+        const before = currentFormulas[fix.address];
+        const stale = fix.expectedBefore !== null && before !== undefined && before !== fix.expectedBefore;
+        return {
+            ...fix,
+            id: index,
+            before: before !== undefined ? before : (fix.expectedBefore || ''),
+            stale: stale,
+            selected: !stale && before !== fix.after && fix.recommended !== false,
+            applied: false
+        };
+    });
+    
+    const panel = document.createElement('div');
+    panel.id = 'fix-preview';
+    panel.className = 'result-item fix-preview';
+    
+    panel.innerHTML = html`
+        <div class="result-header fix-preview-header">
+            <strong>Review Fixes (${pendingFixes.length})</strong>
+            <label class="fix-select-all">
+                <input type="checkbox" id="fix-select-all" /> Select all
+            </label>
         </div>
+        <div class="fix-list">
+            ${pendingFixes.map(fix => html`
+                <div class="fix-item${fix.stale ? ' fix-stale' : ''}" data-fix-id="${fix.id}">
+                    <label class="fix-item-header">
+                        <input type="checkbox" class="fix-checkbox" data-fix-id="${fix.id}" ${fix.selected ? 'checked' : ''} />
+                        <strong>${fix.address}</strong>
+                        ${fix.stale ? html`<span class="severity-badge">changed since analysis</span>` : ''}
+                    </label>
+                    ${fix.reason ? html`<div class="fix-reason">${fix.reason}</div>` : ''}
+                    ${renderFormulaDiff(fix.before, fix.after)}
+                </div>
+            `)}
+        </div>
+        <button id="btn-apply-fixes" class="ms-Button ms-Button--primary">
+            <span class="ms-Button-label">Apply Selected Fixes</span>
+        </button>
     `;
     
-    document.getElementById('results-section').scrollIntoView({ behavior: 'smooth' });
+    container.appendChild(panel);
+    
+    panel.querySelectorAll('.fix-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            pendingFixes[Number(checkbox.dataset.fixId)].selected = checkbox.checked;
+            updateFixPreviewControls();
+        });
+    });
+    
+    document.getElementById('fix-select-all').addEventListener('change', (e) => {
+        pendingFixes.forEach(fix => {
+            if (!fix.applied) {
+                fix.selected = e.target.checked;
+            }
+        });
+        panel.querySelectorAll('.fix-checkbox:not(:disabled)').forEach(checkbox => {
+            checkbox.checked = e.target.checked;
+        });
+        updateFixPreviewControls();
+    });
+    
+    document.getElementById('btn-apply-fixes').addEventListener('click', applySelectedFixes);
+    
+    updateFixPreviewControls();
 }
 
 /**
- * File selection functionality
+ * Keep the select-all box and apply button in sync with the checked fixes
  */
-function showFileSelection() {
-    document.getElementById('file-selection-section').style.display = 'block';
+function updateFixPreviewControls() {
+    const open = pendingFixes.filter(fix => !fix.applied);
+    const selectedCount = open.filter(fix => fix.selected).length;
+    
+    const selectAll = document.getElementById('fix-select-all');
+    const applyBtn = document.getElementById('btn-apply-fixes');
+    if (!selectAll || !applyBtn) return;
+    
+    selectAll.checked = open.length > 0 && selectedCount === open.length;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < open.length;
+    
+    applyBtn.disabled = selectedCount === 0;
+    applyBtn.querySelector('.ms-Button-label').textContent = selectedCount > 0 ?
+        `Apply ${selectedCount} Selected Fix${selectedCount === 1 ? '' : 'es'}` :
+        'Apply Selected Fixes';
 }
 
-function hideFileSelection() {
-    document.getElementById('file-selection-section').style.display = 'none';
+/**
+ * Write the accepted fixes back into the workbook
+ */
+async function applySelectedFixes() {
+    const toApply = pendingFixes.filter(fix => fix.selected && !fix.applied);
+    if (toApply.length === 0) {
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const snapshot = await writeCellChanges(toApply.map(fix => ({
+            address: fix.address,
+            formula: fix.after
+        })));
+        
+        toApply.forEach(fix => {
+            fix.applied = true;
+            fix.selected = false;
+            
+            const item = document.querySelector(`.fix-item[data-fix-id="${fix.id}"]`);
+            if (item) {
+                item.classList.add('fix-applied');
+                item.querySelector('.fix-checkbox').disabled = true;
+                item.querySelector('.fix-checkbox').checked = false;
+            }
+        });
+        updateFixPreviewControls();
+        
+        addToHistory(`Applied ${toApply.length} formula fix${toApply.length === 1 ? '' : 'es'}`, {
+            success: true,
+            applied_fixes: toApply.map(fix => ({
+                cell_address: fix.address,
+                original_formula: fix.before,
+                fixed_formula: fix.after
+            }))
+        }, { intent: 'fix', snapshot: snapshot });
+        
+        showNotification(`Applied ${toApply.length} fix${toApply.length === 1 ? '' : 'es'} to the workbook`);
+    } catch (error) {
+        console.error('Applying fixes failed:', error);
+        showError(`Could not apply fixes: ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
 }
 
-async function browseFiles() {
-    // In a real implementation, this would use the Office File Picker API
-    // For now, we'll simulate file selection
-    
-    const mockFiles = [
-        { name: 'Q1_Sales.xlsx', path: 'C:\\Reports\\Q1_Sales.xlsx' },
-        { name: 'Q2_Sales.xlsx', path: 'C:\\Reports\\Q2_Sales.xlsx' },
-        { name: 'Budget_2024.xlsx', path: 'C:\\Finance\\Budget_2024.xlsx' }
-    ];
+/**
+ * Write formulas into single cells, capturing a snapshot first when auto-backup
+ * is on. Returns the snapshot (or null) so the caller can attach it to history.
+ */
+async function writeCellChanges(changes) {
+    changes.forEach(change => assertSingleCell(change.address));
     
-    // Add mock files to selection
-    mockFiles.forEach(file => {
-        if (!selectedFiles.find(f => f.path === file.path)) {
-            selectedFiles.push(file);
+    return Excel.run(async (context) => {
+        const snapshot = autoBackup ?
+            await captureSnapshot(context, changes.map(change => change.address)) :
+            null;
+        
+        changes.forEach(change => {
+            const range = getRangeForAddress(context, change.address);
+            range.formulas = [[change.formula]];
+        });
+        await context.sync();
+        
+        if (snapshot) {
+            await recordWrittenFormulas(context, snapshot);
         }
+        return snapshot;
     });
-    
-    updateSelectedFilesList();
 }
 
-function updateSelectedFilesList() {
-    const filesList = document.getElementById('selected-files');
+/**
+ * Capture formulas, values and number formats of the given ranges.
+ * Addresses are stored sheet-qualified so a revert does not depend on
+ * which worksheet is active at the time.
+ */
+async function captureSnapshot(context, addresses) {
+    const ranges = addresses.map(address => {
+        const range = getRangeForAddress(context, address);
+        range.load('address, formulas, values, numberFormat');
+        return range;
+    });
     
-    filesList.innerHTML = selectedFiles.map((file, index) => `
-        <div class="file-item">
-            <div class="file-info">
-                <div class="file-name">${file.name}</div>
-                <div class="file-path">${file.path}</div>
-            </div>
-            <div class="file-remove" onclick="removeFile(${index})">
-                <i class="ms-Icon ms-Icon--Cancel"></i>
-            </div>
-        </div>
-    `).join('');
+    await context.sync();
+    
+    return {
+        takenAt: new Date().toISOString(),
+        ranges: ranges.map(range => ({
+            address: range.address,
+            formulas: range.formulas,
+            values: range.values,
+            numberFormat: range.numberFormat
+        }))
+    };
 }
 
-function removeFile(index) {
-    selectedFiles.splice(index, 1);
-    updateSelectedFilesList();
+/**
+ * Store what an operation left in its snapshot ranges, so a revert can tell
+ * whether the cells were edited again afterwards
+ */
+async function recordWrittenFormulas(context, snapshot) {
+    const ranges = snapshot.ranges.map(saved => {
+        const range = getRangeForAddress(context, saved.address);
+        range.load('formulas');
+        return range;
+    });
+    
+    await context.sync();
+    
+    ranges.forEach((range, index) => {
+        snapshot.ranges[index].written = range.formulas;
+    });
 }
 
 /**
- * History management
+ * Addresses of snapshot ranges whose formulas no longer match what the
+ * operation wrote. Snapshots taken before this was recorded have nothing
+ * to compare against.
  */
-function addToHistory(query, result) {
-    const historyItem = {
-        id: Date.now(),
-        query: query,
-        result: result,
-        timestamp: new Date().toLocaleString()
-    };
+async function findRevertConflicts(context, snapshot) {
+    const ranges = snapshot.ranges.filter(saved => saved.written).map(saved => {
+        const range = getRangeForAddress(context, saved.address);
+        range.load('formulas');
+        return { saved, range };
+    });
     
-    operationHistory.unshift(historyItem);
+    await context.sync();
     
-    // Keep only last 20 operations
-    if (operationHistory.length > 20) {
-        operationHistory = operationHistory.slice(0, 20);
-    }
-    
-    updateHistoryDisplay();
-    saveHistory();
+    return ranges.filter(({ saved, range }) =>
+        range.formulas.some((row, r) => row.some((formula, c) => formula !== saved.written[r][c]))
+    ).map(({ saved }) => saved.address);
 }
 
-function updateHistoryDisplay() {
-    const historyContent = document.getElementById('history-content');
-    
-    if (operationHistory.length === 0) {
-        historyContent.innerHTML = '<p class="ms-fontColor-neutralSecondary">No operations yet</p>';
+/**
+ * Restore the snapshot stored on a history entry. Cells edited since the
+ * operation are not overwritten unless the revert is forced.
+ */
+async function revertOperation(historyId, force = false) {
+    const item = operationHistory.find(entry => entry.id === historyId);
+    if (!item || !item.snapshot || item.revertedAt) {
         return;
     }
     
-    historyContent.innerHTML = operationHistory.map(item => `
-        <div class="history-item" onclick="repeatOperation('${item.query}')">
-            <div class="history-query">${item.query}</div>
-            <div class="history-timestamp">${item.timestamp}</div>
-        </div>
-    `).join('');
+    showLoading(true);
+    
+    try {
+        const conflicts = await Excel.run(async (context) => {
+            if (!force) {
+                const changed = await findRevertConflicts(context, item.snapshot);
+                if (changed.length > 0) {
+                    return changed;
+                }
+            }
+            
+            item.snapshot.ranges.forEach(saved => {
+                const range = getRangeForAddress(context, saved.address);
+                range.numberFormat = saved.numberFormat;
+                range.formulas = saved.formulas;
+            });
+            await context.sync();
+            return [];
+        });
+        
+        if (conflicts.length > 0) {
+            item.revertConflicts = conflicts;
+            updateHistoryDisplay();
+            showError(`${conflicts.join(', ')} changed after this operation. Use "Revert anyway" to overwrite those edits.`);
+            return;
+        }
+        
+        delete item.revertConflicts;
+        item.revertedAt = new Date().toISOString();
+        updateHistoryDisplay();
+        saveHistory();
+        
+        showNotification(`Reverted ${item.snapshot.ranges.length} cell${item.snapshot.ranges.length === 1 ? '' : 's'}`);
+    } catch (error) {
+        console.error('Revert failed:', error);
+        showError(`Could not revert operation: ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
 }
 
-function repeatOperation(query) {
-    document.getElementById('natural-language-input').value = query;
-    validateInput();
+/**
+ * Read the current formula of each cell address from the workbook
+ */
+async function loadCellFormulas(addresses) {
+    addresses.forEach(assertSingleCell);
+    const formulas = {};
+    
+    await Excel.run(async (context) => {
+        const ranges = addresses.map(address => {
+            const range = getRangeForAddress(context, address);
+            range.load('formulas');
+            return { address, range };
+        });
+        
+        await context.sync();
+        
+        ranges.forEach(({ address, range }) => {
+            formulas[address] = range.formulas[0][0].toString();
+        });
+    });
+    
+    return formulas;
 }
 
-function clearHistory() {
-    operationHistory = [];
-    updateHistoryDisplay();
-    saveHistory();
+/**
+ * Cell-by-cell reads and writes use the top-left of a range only, so a range
+ * address would silently read or overwrite the wrong cells
+ */
+function assertSingleCell(address) {
+    if (!isSingleCellAddress(address)) {
+        throw new Error(`${address} is not a single cell`);
+    }
 }
 
-function loadHistory() {
+/**
+ * Activate the sheet and select the range in Excel
+ */
+async function selectRangeInExcel(address) {
     try {
-        const stored = localStorage.getItem('lyncformula-history');
-        if (stored) {
-            operationHistory = JSON.parse(stored);
-            updateHistoryDisplay();
-        }
+        await Excel.run(async (context) => {
+            const range = getRangeForAddress(context, address);
+            range.worksheet.activate();
+            range.select();
+            await context.sync();
+        });
     } catch (error) {
-        console.error('Error loading history:', error);
+        console.error('Could not select range:', error);
+        showError(`Could not select ${address}: ${error.message}`);
     }
 }
 
-function saveHistory() {
-    try {
-        localStorage.setItem('lyncformula-history', JSON.stringify(operationHistory));
-    } catch (error) {
-        console.error('Error saving history:', error);
+/**
+ * Render a before/after diff of two formulas, highlighting the changed span
+ */
+function renderFormulaDiff(before, after) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+        prefix++;
     }
+    
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix &&
+           before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+        suffix++;
+    }
+    
+    const split = (text) => [
+        text.substring(0, prefix),
+        text.substring(prefix, text.length - suffix),
+        text.substring(text.length - suffix)
+    ];
+    
+    const [beforeHead, beforeChanged, beforeTail] = split(before);
+    const [afterHead, afterChanged, afterTail] = split(after);
+    
+    return html`
+        <div class="formula-diff">
+            <div class="diff-line diff-before"><span class="diff-marker">-</span><code>${beforeHead}<del>${beforeChanged}</del>${beforeTail}</code></div>
+            <div class="diff-line diff-after"><span class="diff-marker">+</span><code>${afterHead}<ins>${afterChanged}</ins>${afterTail}</code></div>
+        </div>
+    `;
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+    const resultsContent = document.getElementById('results-content');
+    
+    resultsContent.innerHTML = html`
+        <div class="result-item result-error">
+            <div class="result-header">
+                <strong>Error</strong>
+            </div>
+            <div class="result-content">
+                ${message}
+            </div>
+        </div>
+    `;
+    
+    document.getElementById('results-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * File selection functionality
+ */
+function showFileSelection() {
+    document.getElementById('file-selection-section').style.display = 'block';
+}
+
+function hideFileSelection() {
+    document.getElementById('file-selection-section').style.display = 'none';
+}
+
+/**
+ * Add a ribbon command's result to the history and show it
+ */
+function receiveRibbonResult(command, query, result) {
+    addToHistory(query, result, {
+        intent: command === 'quickAudit' ? 'audit' : 'explain',
+        endpoint: command === 'quickAudit' ? '/smart_analysis' : '/explain_sheet',
+        source: 'ribbon'
+    });
+    
+    showResults(result, query);
+    showNotification(`${query} finished from the ribbon`);
+}
+
+/**
+ * Document settings are saved inside the workbook, so they travel with the file
+ */
+function getDocumentSetting(key, fallback) {
+    const value = Office.context.document.settings.get(key);
+    return value === null || value === undefined ? fallback : value;
+}
+
+function setDocumentSetting(key, value) {
+    Office.context.document.settings.set(key, value);
+    
+    return new Promise((resolve, reject) => {
+        Office.context.document.settings.saveAsync(asyncResult => {
+            if (asyncResult.status === Office.AsyncResultStatus.Failed) {
+                reject(new Error(asyncResult.error.message));
+            } else {
+                resolve();
+            }
+        });
+    });
 }
 
 /**
@@ -664,41 +1432,30 @@ function hideSettings() {
 }
 
 function loadSettings() {
-    try {
-        const stored = localStorage.getItem('lyncformula-settings');
-        if (stored) {
-            const settings = JSON.parse(stored);
-            
-            if (settings.serviceUrl) {
-                serviceUrl = settings.serviceUrl;
-                document.getElementById('service-url').value = serviceUrl;
-            }
-            
-            if (settings.llmModel) {
-                document.getElementById('llm-model').value = settings.llmModel;
-            }
-            
-            if (settings.autoBackup !== undefined) {
-                document.getElementById('auto-backup').checked = settings.autoBackup;
-            }
-        }
-    } catch (error) {
-        console.error('Error loading settings:', error);
+    const settings = loadServiceSettings();
+    
+    document.getElementById('service-url').value = settings.serviceUrl;
+    document.getElementById('llm-model').value = settings.llmModel;
+    document.getElementById('auto-backup').checked = settings.autoBackup;
+    autoBackup = settings.autoBackup;
+    
+    updatePairingStatus();
+    
+    if (settings.liveAudit) {
+        setLiveAudit(true);
     }
 }
 
 function saveSettings() {
     try {
-        const settings = {
+        const settings = saveServiceSettings({
             serviceUrl: document.getElementById('service-url').value,
             llmModel: document.getElementById('llm-model').value,
             autoBackup: document.getElementById('auto-backup').checked
-        };
-        
-        localStorage.setItem('lyncformula-settings', JSON.stringify(settings));
+        });
         
-        // Update global serviceUrl
-        serviceUrl = settings.serviceUrl;
+        document.getElementById('service-url').value = settings.serviceUrl;
+        autoBackup = settings.autoBackup;
         
         // Recheck connection with new settings
         checkServiceConnection();
@@ -712,6 +1469,49 @@ function saveSettings() {
     }
 }
 
+/**
+ * Pair with the service at the URL in the form, using the one-time code it shows
+ */
+async function pairFromSettings() {
+    const input = document.getElementById('pairing-code');
+    const code = input.value.trim();
+    if (!code) {
+        showError('Enter the one-time code shown by the LyncFormula service');
+        return;
+    }
+    
+    // The code belongs to the service at this URL, so pair against it even if unsaved
+    saveServiceSettings({ serviceUrl: document.getElementById('service-url').value });
+    
+    try {
+        const health = await pairWithService(code);
+        input.value = '';
+        console.log(`🔑 Paired with ${health.service} v${health.version}`);
+        showNotification(`Paired with ${health.service} v${health.version}`);
+    } catch (error) {
+        console.error('Pairing failed:', error);
+        showError(`Pairing failed: ${error.message}`);
+    }
+    
+    updatePairingStatus();
+    checkServiceConnection();
+}
+
+function forgetPairing() {
+    forgetServicePairing();
+    updatePairingStatus();
+    checkServiceConnection();
+    showNotification('Pairing removed - the service will refuse requests until you pair again');
+}
+
+function updatePairingStatus() {
+    const settings = loadServiceSettings();
+    document.getElementById('pairing-status').textContent = settings.serviceToken ?
+        `Paired${settings.pairedServiceId ? ` with service ${settings.pairedServiceId}` : ''}` :
+        'Not paired. Start the service and enter the one-time code it shows.';
+    document.getElementById('btn-forget-pairing').disabled = !settings.serviceToken;
+}
+
 /**
  * Show help information
  */
@@ -744,6 +1544,12 @@ function showHelp() {
                     <li>🤖 AI-Powered - Uses local LLM for intelligent analysis</li>
                     <li>📊 Smart Analysis - Detects real formula errors</li>
                     <li>💬 Conversational - Ask follow-up questions</li>
+                    <li>🧮 Worksheet functions - =LYNC.EXPLAIN(A1), =LYNC.CHECK(A1:D20), =LYNC.ASK("question", A1:D20)</li>
+                    <li>📋 Reports - Export any result as an Audit Report sheet, HTML or CSV, with reviewer sign-off</li>
+                    <li>🗂️ Triage - Dismiss, accept the risk of or snooze an issue; the decision is saved in the workbook for everyone</li>
+                    <li>🔎 Explain Formulas - Follows your selection with each function's arguments and their values, the headers of referenced ranges and a step-by-step evaluation</li>
+                    <li>👁️ Live audit - Turn it on next to the connection status to re-check edited cells and the formulas that depend on them as you type</li>
+                    <li>🕘 History - Each workbook keeps its own operations; search them, view a stored result or re-run one on its original sheet and files</li>
                 </ul>
             </div>
         </div>